@@ -0,0 +1,40 @@
+// --- Split Storage Values ---
+// Forge storage values are limited to 240 KiB. Values that can outgrow that
+// (job payloads and checkpoints, the page writes of a run) are stored as
+// JSON split over numbered keys, key:0, key:1, ...; the piece count is kept
+// by whoever owns the value and is needed to load it again.
+import { storage } from '@forge/api';
+
+// A piece of this many characters stays below the limit even when every
+// character takes 3 bytes
+const PIECE_LENGTH = 60000;
+
+const pieceKey = (key, piece) => `${key}:${piece}`;
+
+// Store value under key; returns the piece count
+export async function saveBlob(key, value) {
+  const json = JSON.stringify(value);
+  const pieces = Math.max(Math.ceil(json.length / PIECE_LENGTH), 1);
+  for (let i = 0; i < pieces; i++) {
+    await storage.set(pieceKey(key, i), json.slice(i * PIECE_LENGTH, (i + 1) * PIECE_LENGTH));
+  }
+  return pieces;
+}
+
+// description names the value in the error for a missing piece
+export async function loadBlob(key, pieces, description) {
+  let json = '';
+  for (let i = 0; i < pieces; i++) {
+    const piece = await storage.get(pieceKey(key, i));
+    if (typeof piece !== 'string') throw new Error(`${description} is missing part ${i + 1} of ${pieces}`);
+    json += piece;
+  }
+  return JSON.parse(json);
+}
+
+// Delete pieces from (default 0) up to pieces
+export async function deleteBlob(key, pieces, from = 0) {
+  for (let i = from; i < pieces; i++) {
+    await storage.delete(pieceKey(key, i));
+  }
+}
@@ -0,0 +1,172 @@
+// --- Confluence Client ---
+// Every Confluence REST call goes through requestConfluence, which
+//  - retries throttled (429) and unavailable (502/503/504) responses, waiting
+//    for Retry-After when Confluence sends it and backing off exponentially
+//    otherwise; POSTs and PUTs are only retried on 429, as a 5xx may have
+//    created something or bumped a version already, and a PUT sent again
+//    with the same version number would then fail with a conflict,
+//  - counts requests against the budget of the current resolver call, so a
+//    large migration stops cleanly instead of being cut off by Forge,
+//  - turns failures into typed errors (NotFoundError, ForbiddenError,
+//    ConflictError, RateLimitedError, ...) that keep the HTTP status on
+//    err.status and the response body on err.body,
+//  - optionally retries a 404 as the current user: Confluence hides pages
+//    the app cannot see, so this tells "missing" apart from "app lacks
+//    access" and lets the user's permissions finish the job.
+import api from '@forge/api';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Methods that are safe to send again after a 5xx
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+// Resolver calls must finish within Forge's invocation time limit (25s)
+// and network request quota; leave room to record the run afterwards
+const DEFAULT_MAX_REQUESTS = 1000;
+const DEFAULT_TIME_LIMIT_MS = 22000;
+
+export class ConfluenceError extends Error {
+  constructor(message, { status = null, body = '', retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+export class NotFoundError extends ConfluenceError {}
+export class ForbiddenError extends ConfluenceError {}
+export class ConflictError extends ConfluenceError {}
+export class RateLimitedError extends ConfluenceError {}
+export class UnavailableError extends ConfluenceError {}
+export class BudgetExceededError extends ConfluenceError {}
+
+function errorClassFor(status) {
+  if (status === 404) return NotFoundError;
+  if (status === 401 || status === 403) return ForbiddenError;
+  if (status === 409) return ConflictError;
+  if (status === 429) return RateLimitedError;
+  if (status >= 500) return UnavailableError;
+  return ConfluenceError;
+}
+
+// --- Request Budgets ---
+const budgets = new AsyncLocalStorage();
+
+export function createRequestBudget({ maxRequests = DEFAULT_MAX_REQUESTS, timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) {
+  return { maxRequests, deadline: Date.now() + timeLimitMs, requests: 0, retries: 0, waitedMs: 0 };
+}
+
+// Run fn with every Confluence request it makes counted against budget
+export function runWithBudget(budget, fn) {
+  return budgets.run(budget, fn);
+}
+
+// { requests, retries, waitedMs } of the current budget, or null outside one
+export function requestStats() {
+  const budget = budgets.getStore();
+  return budget ? { requests: budget.requests, retries: budget.retries, waitedMs: budget.waitedMs } : null;
+}
+
+// Throw BudgetExceededError unless the current budget still has room for
+// requests more requests and ms more milliseconds. Lets a caller stop
+// between units of work instead of in the middle of one.
+export function ensureBudget({ requests = 1, ms = 0 } = {}, description = 'Next step') {
+  const budget = budgets.getStore();
+  if (!budget) return;
+  if (budget.maxRequests - budget.requests < requests || budget.deadline - Date.now() < ms) {
+    throw new BudgetExceededError(`${description} not started: the budget of this call is nearly used up`);
+  }
+}
+
+function spendRequest(description) {
+  const budget = budgets.getStore();
+  if (!budget) return;
+  if (budget.requests >= budget.maxRequests) {
+    throw new BudgetExceededError(`${description} not sent: the request budget of ${budget.maxRequests} requests is used up`);
+  }
+  if (Date.now() >= budget.deadline) {
+    throw new BudgetExceededError(`${description} not sent: the time budget of this call is used up`);
+  }
+  budget.requests++;
+}
+
+// Milliseconds from a Retry-After header (seconds or an HTTP date)
+function retryAfterMs(res) {
+  const header = res.headers?.get?.('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function backoffMs(attempt) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  // +/- 20% so parallel callers do not retry in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait before retrying, unless that would run past the budget's deadline
+async function waitToRetry(ms) {
+  const budget = budgets.getStore();
+  if (budget && Date.now() + ms >= budget.deadline) return false;
+  if (budget) {
+    budget.retries++;
+    budget.waitedMs += ms;
+  }
+  await sleep(ms);
+  return true;
+}
+
+async function send(requester, path, { method, headers, body, description }) {
+  const retryable = status => RETRYABLE_STATUSES.includes(status) && (IDEMPOTENT_METHODS.includes(method) || status === 429);
+  for (let attempt = 1; ; attempt++) {
+    spendRequest(description);
+    const res = await requester.requestConfluence(path, { method, headers, body });
+    if (res.ok) return res;
+    const text = await res.text();
+    const wait = retryAfterMs(res);
+    if (retryable(res.status) && attempt < MAX_ATTEMPTS) {
+      const delay = wait ?? backoffMs(attempt);
+      console.warn(`${description}: ${res.status}, retrying in ${delay}ms (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`);
+      if (await waitToRetry(delay)) continue;
+    }
+    const ErrorClass = errorClassFor(res.status);
+    throw new ErrorClass(`${description} failed: ${res.status} ${text}`, { status: res.status, body: text, retryAfterMs: wait });
+  }
+}
+
+// Send a request built with route`...` and return the (ok) Response.
+// Options: method, headers, body, description (used in errors and logs),
+// and asUserFallback to retry a 404 as the current user.
+export async function requestConfluence(path, { method = 'GET', headers = { 'Accept': 'application/json' }, body, description, asUserFallback = false } = {}) {
+  const request = { method, headers, body, description: description || `${method} ${path.value || path}` };
+  try {
+    return await send(api.asApp(), path, request);
+  } catch (err) {
+    if (!(err instanceof NotFoundError) || !asUserFallback) throw err;
+    try {
+      const res = await send(api.asUser(), path, request);
+      console.log(`${request.description}: succeeded as the user after the app got 404`);
+      return res;
+    } catch (userErr) {
+      // No user in this context, or the user cannot see it either
+      console.log(`${request.description}: also failed as the user`, userErr.message);
+      throw err;
+    }
+  }
+}
+
+// requestConfluence for a JSON response; null for an empty (204) response
+export async function requestJson(path, options) {
+  const res = await requestConfluence(path, options);
+  if (res.status === 204) return null;
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+}
@@ -0,0 +1,122 @@
+// --- Storage Format Diff and Merge ---
+// Block-level comparison of storage bodies: the top-level nodes of a body
+// (paragraphs, tables, macros, ...) are serialized and compared as strings.
+// Used to show what an update would change, and to merge a new migration
+// into a page someone edited since the previous one.
+import { parseFragment, serializeNodes } from './dom';
+
+const isBlank = node => node.type === 'text' && !node.data.trim();
+
+// Top-level blocks of a body. Bodies we write are wrapped in one bare <div>,
+// which is looked through so blocks compare the same with or without it.
+export function splitBlocks(html) {
+  const $ = parseFragment(html);
+  let nodes = $.root().contents().toArray().filter(node => !isBlank(node));
+  if (nodes.length === 1 && nodes[0].name === 'div' && Object.keys(nodes[0].attribs || {}).length === 0) {
+    nodes = nodes[0].children.filter(node => !isBlank(node));
+  }
+  return nodes.map(node => serializeNodes([node]).trim());
+}
+
+// Matched [i, j] index pairs of a longest common subsequence of a and b
+function commonPairs(a, b) {
+  // Common prefix and suffix first; the table is only built for the middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const n = endA - start;
+  const m = endB - start;
+  const table = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = a[start + i] === b[start + j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+// { changes: [{ type: 'unchanged' | 'removed' | 'added', block }], added, removed, unchanged }
+export function diffStorage(currentHtml, nextHtml) {
+  const a = splitBlocks(currentHtml);
+  const b = splitBlocks(nextHtml);
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...commonPairs(a, b), [a.length, b.length]]) {
+    while (i < pi) changes.push({ type: 'removed', block: a[i++] });
+    while (j < pj) changes.push({ type: 'added', block: b[j++] });
+    if (pi < a.length) changes.push({ type: 'unchanged', block: a[pi] });
+    i = pi + 1;
+    j = pj + 1;
+  }
+  const count = type => changes.filter(c => c.type === type).length;
+  return { changes, added: count('added'), removed: count('removed'), unchanged: count('unchanged') };
+}
+
+const sameBlocks = (a, b) => a.length === b.length && a.every((block, i) => block === b[i]);
+
+// Three-way merge of block lists. base is the body our previous migration
+// wrote, current what the page holds now, next what this migration
+// generated. Regions only one side changed take that side; where both
+// changed differently the editor's blocks are kept and the region is
+// returned as a conflict. Returns { html, conflicts: [{ current, next }] }.
+export function mergeStorage(baseHtml, currentHtml, nextHtml) {
+  const base = splitBlocks(baseHtml);
+  const current = splitBlocks(currentHtml);
+  const next = splitBlocks(nextHtml);
+  const toCurrent = new Map(commonPairs(base, current));
+  const toNext = new Map(commonPairs(base, next));
+  const merged = [];
+  const conflicts = [];
+  let b = 0;
+  let c = 0;
+  let n = 0;
+  const mergeRegion = (bEnd, cEnd, nEnd) => {
+    const baseRegion = base.slice(b, bEnd);
+    const currentRegion = current.slice(c, cEnd);
+    const nextRegion = next.slice(n, nEnd);
+    if (sameBlocks(currentRegion, baseRegion)) {
+      merged.push(...nextRegion);
+    } else if (sameBlocks(nextRegion, baseRegion) || sameBlocks(currentRegion, nextRegion)) {
+      merged.push(...currentRegion);
+    } else {
+      conflicts.push({ current: currentRegion, next: nextRegion });
+      merged.push(...currentRegion);
+    }
+  };
+  // Blocks unchanged on both sides anchor the regions in between
+  for (let i = 0; i < base.length; i++) {
+    if (!toCurrent.has(i) || !toNext.has(i)) continue;
+    mergeRegion(i, toCurrent.get(i), toNext.get(i));
+    merged.push(base[i]);
+    b = i + 1;
+    c = toCurrent.get(i) + 1;
+    n = toNext.get(i) + 1;
+  }
+  mergeRegion(base.length, current.length, next.length);
+  return { html: merged.join('\n'), conflicts };
+}
@@ -0,0 +1,33 @@
+// --- Server-side DOM ---
+// The Forge runtime has no DOMParser, so HTML transforms work on an
+// htmlparser2/cheerio tree instead. Fragments are parsed with HTML rules
+// (void elements, implied end tags) so raw Knosys markup survives, while
+// CDATA sections and namespaced ac:/ri: elements are kept intact.
+// Serialization is XML so the output is valid Confluence storage XHTML.
+import * as cheerio from 'cheerio';
+import render from 'dom-serializer';
+
+const PARSE_OPTIONS = {
+  xmlMode: false,
+  // Leave entities (&nbsp; etc.) exactly as Knosys wrote them
+  decodeEntities: false,
+  recognizeCDATA: true,
+  recognizeSelfClosing: true,
+};
+
+export function parseFragment(html) {
+  return cheerio.load(String(html || ''), { xml: PARSE_OPTIONS }, false);
+}
+
+export function serializeFragment($) {
+  return serializeNodes($.root().contents().toArray());
+}
+
+export function serializeNodes(nodes) {
+  return render(nodes, { xmlMode: true, decodeEntities: false });
+}
+
+// Escape a namespaced tag name for use in a selector, e.g. $(escapeTagName('ac:structured-macro'))
+export function escapeTagName(name) {
+  return name.replace(/:/g, '\\:');
+}
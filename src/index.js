@@ -10,8 +10,9 @@ function buildIdMap(node, map = {}) {
   return map;
 }
 
-// Recursively update anchor tags in all fields
-function replaceAnchorsWithContent(node, idMap) {
+// Recursively update anchor tags in all fields. Targets in another document
+// of the same batch (batchTargets) get that document's title as their text.
+function replaceAnchorsWithContent(node, idMap, batchTargets = {}) {
   if (Array.isArray(node.fields)) {
     node.fields.forEach(field => {
       if (typeof field.value === 'string' && field.value.includes('to be migrated')) {
@@ -26,6 +27,9 @@ function replaceAnchorsWithContent(node, idMap) {
               const value = docTitle ? docTitle.value : (target.fields[0] && target.fields[0].value) || '';
               return `<a${pre}data-itemid="${dataitemId}"${post}>${value}</a>`;
             }
+            if (batchTargets[dataitemId]) {
+              return `<a${pre}data-itemid="${dataitemId}"${post}>${batchTargets[dataitemId].title}</a>`;
+            }
             return match; // fallback: leave as is
           }
         );
@@ -33,15 +37,15 @@ function replaceAnchorsWithContent(node, idMap) {
     });
   }
   if (Array.isArray(node.children)) {
-    node.children.forEach(child => replaceAnchorsWithContent(child, idMap));
+    node.children.forEach(child => replaceAnchorsWithContent(child, idMap, batchTargets));
   }
   return node;
 }
 
 // Main entry for anchor replacement
-function migrateAnchorsInJson(rootJson) {
+function migrateAnchorsInJson(rootJson, batchTargets) {
   const idMap = buildIdMap(rootJson);
-  return replaceAnchorsWithContent(rootJson, idMap);
+  return replaceAnchorsWithContent(rootJson, idMap, batchTargets);
 }
 // Recursively search for an item by id in the JSON tree
 function findItemById(node, id) {
@@ -56,101 +60,126 @@ function findItemById(node, id) {
   return null;
 }
 
-// Handler for resolving item by id (to be used as a Forge resolver)
-// Expects req.body: { data, itemId }
-async function resolveItemById(req, res) {
-  const { data, itemId } = req.body;
-  const item = findItemById(data, itemId);
-  if (!item) {
-    return res.status(404).json({ error: 'Item not found' });
-  }
+// What the resolveItemById resolver returns for an item
+function describeItem(item) {
   const type = item.detail?.itemType;
+  const children = Array.isArray(item.children) ? item.children.length : 0;
   if (type === 'Document') {
     // Return info needed to create/navigate to a Confluence page
-    return res.json({
+    return {
       type: 'Document',
       title: item.detail.title,
       id: item.detail.id,
       fields: item.fields,
       properties: item.properties,
-    });
+      children,
+    };
   } else if (type === 'Link') {
     // Find the URL field
     const urlField = item.fields?.find(f => f.name === 'URL');
-    return res.json({
+    return {
       type: 'Link',
       url: urlField?.value || null,
       title: item.detail.title,
-    });
-  } else {
-    return res.json({ type, detail: item.detail });
+      id: item.detail.id,
+    };
   }
+  return { type, detail: item.detail, fields: item.fields, children };
 }
 
-exports.resolveItemById = resolveItemById;
+// Copy of the export without the subtrees unticked in the UI's item tree
+function pruneExport(node, excludedIds) {
+  if (!excludedIds.size || !Array.isArray(node.children)) return node;
+  return {
+    ...node,
+    children: node.children
+      .filter(child => !(child?.detail?.id && excludedIds.has(child.detail.id)))
+      .map(child => pruneExport(child, excludedIds)),
+  };
+}
 // --- Task List/Checkbox Conversion ---
 // Convert HTML checkboxes to Confluence task list macros
 function convertCheckboxesToTaskList(html) {
-  // Use DOMParser to parse HTML
-  let doc;
-  try {
-    doc = new DOMParser().parseFromString(html, 'text/html');
-  } catch (e) {
-    return html;
-  }
-  const checkboxes = Array.from(doc.querySelectorAll('input[type="checkbox"]'));
+  const $ = parseFragment(html);
+  const checkboxes = $('input[type="checkbox"]').toArray();
   if (!checkboxes.length) return html;
-  const taskListTag = doc.createElement('ac:task-list');
+  const taskList = $('<ac:task-list></ac:task-list>');
   const itemsToRemove = [];
   checkboxes.forEach(checkbox => {
     let content = checkbox.nextSibling;
-    while (content && content.nodeType === 3 && !content.textContent.trim()) {
+    while (content && content.type === 'text' && !content.data.trim()) {
       content = content.nextSibling;
     }
-    if (content && content.nodeType === 3) {
-      const taskTag = doc.createElement('ac:task');
-      const statusTag = doc.createElement('ac:task-status');
-      statusTag.textContent = checkbox.checked ? 'complete' : 'incomplete';
-      const bodyTag = doc.createElement('ac:task-body');
-      bodyTag.textContent = content.textContent.trim();
-      taskTag.appendChild(statusTag);
-      taskTag.appendChild(bodyTag);
-      taskListTag.appendChild(taskTag);
+    if (content && content.type === 'text') {
+      const status = $(checkbox).attr('checked') !== undefined ? 'complete' : 'incomplete';
+      // Text node data is still entity-encoded, so it can be reused verbatim
+      taskList.append(`<ac:task><ac:task-status>${status}</ac:task-status><ac:task-body>${content.data.trim()}</ac:task-body></ac:task>`);
       itemsToRemove.push(checkbox);
       itemsToRemove.push(content);
     }
   });
-  if (checkboxes[0]) checkboxes[0].parentNode.insertBefore(taskListTag, checkboxes[0]);
-  itemsToRemove.forEach(item => item.parentNode && item.parentNode.removeChild(item));
+  if (!itemsToRemove.length) return html;
+  $(checkboxes[0]).before(taskList);
+  itemsToRemove.forEach(item => $(item).remove());
   // Remove all <br> tags
-  Array.from(doc.querySelectorAll('br')).forEach(br => br.parentNode && br.parentNode.removeChild(br));
-  return doc.body.innerHTML;
+  $('br').remove();
+  return serializeFragment($);
 }
 // --- Internal/External/Hidden Link Rewriting ---
-// Fix broken external links (e.g., yesopt.us)
-function fixBrokenLinks(html) {
-  return html.replace(/<a([^>]+)href=["']#["']([^>]*)>(yesopt\.us[^<]+)<\/a>/gi, (m, pre, post, url) => {
-    return `<a${pre}href="https://${url}" target="_blank" class="externallink"${post}>${url}</a>`;
+// Fix broken external links: href="#" links whose text is a URL on one of the
+// configured domains (yesopt.us by default), optionally moved to a new domain
+function fixBrokenLinks(html, linkDomainRules = DEFAULT_MIGRATION_SETTINGS.linkDomainRules) {
+  linkDomainRules.forEach(({ domain, rewriteTo }) => {
+    const domainPattern = domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`<a([^>]+)href=["']#["']([^>]*)>(${domainPattern})([^<]+)<\\/a>`, 'gi');
+    html = html.replace(pattern, (m, pre, post, host, rest) => {
+      const url = `${rewriteTo || host}${rest}`;
+      return `<a${pre}href="https://${url}" target="_blank" class="externallink"${post}>${url}</a>`;
+    });
   });
+  return html;
+}
+
+// Link to a page by the title we expect it to have. The Knosys id behind the
+// title is remembered on ctx so resolvePageLinks can correct the link once
+// all pages exist.
+function generatePageLink(title, spaceKey, anchorText, itemId, ctx) {
+  const cleanTitle = (title || '').trim().replace(/"/g, '&quot;');
+  if (ctx && itemId) ctx.linkTargets[cleanTitle] = itemId;
+  return `<ac:link><ri:page ri:content-title="${cleanTitle}" ri:space-key="${spaceKey}" /><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
 }
 
 // Rewrite <a data-itemid=...> links to Confluence macros
-function rewriteInternalLinks(html, data, spaceKey) {
+function rewriteInternalLinks(html, data, spaceKey, ctx) {
+  const unresolved = (itemid, anchorText, detail) => {
+    addToReport(ctx?.report, 'unresolvedLinks', { itemId: itemid, title: anchorText, detail }, itemid);
+  };
   // Handle <a data-itemid> and <a href="#bookmark"> cases
   // 1. <a data-itemid> logic (Document/Link)
   html = html.replace(/<a([^>]*)data-itemid=["']([^"']+)["']([^>]*)>(.*?)<\/a>/gi, (m, pre, itemid, post, anchorText) => {
     const item = findItemById(data, itemid);
-    if (!item || !item.detail) return m;
+    // Another document of the batch: link to the page it gets (or already has)
+    const batchTarget = !item && ctx?.batchTargets[itemid];
+    if (batchTarget) return generatePageLink(batchTarget.title, spaceKey, anchorText, itemid, ctx);
+    if (!item || !item.detail) {
+      const excluded = ctx?.excludedItems.has(itemid);
+      unresolved(itemid, anchorText, excluded ? 'The item was left out of this migration' : 'No item with this id in the export');
+      return m;
+    }
     if (item.detail.itemType === 'Document') {
       const title = item.detail.title || (item.fields || []).find(f => f.name === 'DocumentTitle')?.value || '';
-      const cleanTitle = (title || '').trim().replace(/"/g, '&quot;');
-      return `<ac:link><ri:page ri:content-title="${cleanTitle}" ri:space-key="${spaceKey}" /><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
+      return generatePageLink(title, spaceKey, anchorText, itemid, ctx);
     } else if (item.detail.itemType === 'Link') {
       const urlField = (item.fields || []).find(f => f.name === 'URL');
       if (urlField && urlField.value) {
-        return `<ac:link><ri:url ri:value="${urlField.value}" /><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
+        // Field values are HTML, so decode them first to not escape "&amp;" twice
+        const safeUrl = escapeHtml(decodeAttribute(urlField.value)).replace(/"/g, '&quot;');
+        return `<ac:link><ri:url ri:value="${safeUrl}" /><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
       }
+      unresolved(itemid, anchorText, 'Link item has no URL field');
+      return m;
     }
+    unresolved(itemid, anchorText, `Item type ${item.detail.itemType || '(none)'} cannot be linked`);
     return m;
   });
 
@@ -158,8 +187,8 @@ function rewriteInternalLinks(html, data, spaceKey) {
   html = html.replace(/<a([^>]*)href=["']#([a-zA-Z0-9_-]+)["']([^>]*)>(.*?)<\/a>/gi, (m, pre, anchorName, post, anchorText) => {
     // Only process if no data-itemid present
     if (/data-itemid=/.test(m)) return m;
-    // Confluence anchor macro: <ac:link><ri:anchor ri:value="bookmark"/></ac:link>
-    return `<ac:link><ri:anchor ri:value="${anchorName}"/><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
+    // Link to an anchor macro on the same page: <ac:link ac:anchor="bookmark">
+    return `<ac:link ac:anchor="${anchorName}"><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
   });
   return html;
 }
@@ -203,31 +232,201 @@ function fixExternalLinks(html) {
 }
 
 // Rewrite hidden links (e.g., in HiddenText fields)
-function rewriteHiddenLinks(html, data, spaceKey) {
+function rewriteHiddenLinks(html, data, spaceKey, ctx) {
   // Use same logic as rewriteInternalLinks for <a data-itemid=...>
-  return rewriteInternalLinks(html, data, spaceKey);
+  return rewriteInternalLinks(html, data, spaceKey, ctx);
 }
 // --- Shared Paragraph and Image Hub Logic ---
-// Create or get a page in a given space by title
-async function getOrCreatePage(spaceId, title, htmlContent) {
-  // Try to find the page first
-  const res = await api.asApp().requestConfluence(route`/wiki/api/v2/pages?spaceId=${encodeURIComponent(spaceId)}&title=${encodeURIComponent(title)}`);
-  if (res.ok) {
-    const data = await res.json();
-    if (Array.isArray(data.results) && data.results.length > 0) return data.results[0];
+// Find a page in a given space by exact title
+async function findPageByTitle(spaceId, title) {
+  if (!spaceId) return null;
+  try {
+    // route encodes query values itself
+    const data = await requestJson(route`/wiki/api/v2/pages?space-id=${spaceId}&title=${title}`, { description: 'Find page by title' });
+    return (data.results || [])[0] || null;
+  } catch (err) {
+    // Unknown space
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+}
+
+// --- Title Collisions ---
+// Confluence titles are unique per space. Before a page is created for a
+// Knosys item its title is checked, and the run's title collision policy
+// (see src/settings.js) decides what happens when another page has it.
+// Every collision is listed in the report with how it was resolved.
+
+// A page with this title in the space, counting pages a dry run plans to create
+async function findTitleInSpace(spaceId, title, ctx) {
+  if (ctx?.dryRun) {
+    const planned = ctx.plannedPages.find(p => p.action === 'create' && p.spaceId === String(spaceId) && p.title === title);
+    if (planned) return { id: planned.id, title, spaceId: planned.spaceId, version: { number: 0 }, dryRun: true };
+  }
+  return findPageByTitle(spaceId, title);
+}
+
+function collisionError(message, collision) {
+  const err = new Error(message);
+  err.collision = collision;
+  return err;
+}
+
+// Titles the suffix policy tries: the Knosys id, else a number
+function suffixedTitles(title, knosysId) {
+  if (knosysId) return [`${title} (${knosysId})`];
+  return [2, 3, 4, 5, 6, 7, 8, 9].map(n => `${title} (${n})`);
+}
+
+// Returns { title } to create the page with (possibly changed by the
+// policy), { title, existing } to reuse the page that has the title, or
+// { title: null } to skip the page. The fail policy throws.
+async function claimTitle(spaceId, title, knosysId, ctx) {
+  const existing = await findTitleInSpace(spaceId, title, ctx);
+  if (!existing) return { title };
+  const { policy, namespace } = ctx.titleCollision;
+  const collision = { itemId: knosysId || '', title, pageId: existing.id || '' };
+  const resolved = detail => addToReport(ctx.report, 'titleCollisions', { ...collision, detail }, `${spaceId}\n${title}\n${knosysId || ''}`);
+
+  if (policy === 'reuse') {
+    resolved('Reused the existing page');
+    return { title, existing };
+  }
+  if (policy === 'skip') {
+    if (knosysId) ctx.collisionSkips.add(String(knosysId));
+    resolved('Skipped; the existing page was left alone');
+    return { title: null };
+  }
+  if (policy === 'suffix' || policy === 'prefix') {
+    const prefix = namespace || DEFAULT_MIGRATION_SETTINGS.titleNamespace;
+    const candidates = policy === 'prefix' ? [`${prefix}: ${title}`] : suffixedTitles(title, knosysId);
+    for (const candidate of candidates) {
+      if (!(await findTitleInSpace(spaceId, candidate, ctx))) {
+        resolved(`Created as "${candidate}"`);
+        return { title: candidate };
+      }
+    }
+    resolved(`Failed; "${candidates[candidates.length - 1]}" is taken as well`);
+    throw collisionError(`Cannot create "${title}": it and "${candidates[candidates.length - 1]}" already exist in the space`, collision);
+  }
+  resolved('Failed the run');
+  throw collisionError(`A page titled "${title}" already exists in the space (title collision policy: fail)`, collision);
+}
+
+// A page we update keeps its current title when the title we would give it
+// belongs to another page, e.g. after a collision made us suffix it
+async function titleForUpdate(page, title, spaceId, ctx) {
+  if (!page?.title || page.title === title) return title;
+  const holder = await findTitleInSpace(spaceId, title, ctx);
+  return holder && String(holder.id) !== String(page.id) ? page.title : title;
+}
+
+// --- Ledger-backed Page Writes ---
+// The page an earlier run recorded for a Knosys item, or null if there is
+// no ledger entry or the page has since been deleted
+async function findLedgerPage(knosysId) {
+  const entry = await getLedgerEntry(knosysId);
+  if (!entry) return null;
+  try {
+    const page = await getPageById(entry.pageId);
+    return { entry, page };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function recordItemPage(knosysId, page, spaceId, title, hash, ctx) {
+  if (!knosysId || !page || ctx?.dryRun) return;
+  // Keep the entry as it was before this run so rollbackRun can put it back
+  if (ctx && !ctx.ledgerChanges.some(c => c.knosysId === String(knosysId))) {
+    ctx.ledgerChanges.push({ knosysId: String(knosysId), previous: await getLedgerEntry(knosysId) });
   }
-  // Create if not found
-  return await createPage(spaceId, title, undefined, htmlContent);
+  const base = page._links?.base || '';
+  await recordLedgerEntry(knosysId, {
+    pageId: page.id,
+    spaceId,
+    title,
+    version: page.version?.number,
+    hash,
+    webui: page._links?.webui ? `${base}${page._links.webui}` : null,
+  });
+  if (ctx) await recordSourceProperty(knosysId, page, ctx);
+}
+
+// Create or get the page generated from a Knosys item. A page recorded in
+// the ledger is updated in place when the generated content changed; without
+// an entry the title collision policy decides between creating a page and
+// reusing (or skipping) the one that has the title. `overwrite` also updates
+// a reused page, for callers that always want their content on the page.
+// Returns { page, outcome } with outcome created, updated, unchanged, reused
+// or skipped (page is then null). Each item is one step of a background job.
+async function getOrCreateItemPage(knosysId, spaceId, title, htmlContent, parentId, ctx, { overwrite = false } = {}) {
+  return jobStep(ctx, knosysId && `page:${knosysId}`, title, async () => {
+    const hash = contentHash(htmlContent);
+    const recorded = knosysId ? await findLedgerPage(knosysId) : null;
+    let page;
+    let outcome;
+    if (recorded) {
+      if (recorded.entry.hash === hash) return { page: recorded.page, outcome: 'unchanged' };
+      title = await titleForUpdate(recorded.page, title, spaceId, ctx);
+      page = await updatePage(recorded.page.id, title, spaceId, htmlContent, recorded.page.version?.number ?? 0, ctx);
+      outcome = 'updated';
+    } else {
+      const claim = await claimTitle(spaceId, title, knosysId, ctx);
+      if (!claim.title) return { page: null, outcome: 'skipped' };
+      if (!claim.existing) {
+        title = claim.title;
+        page = await createPage(spaceId, title, parentId, htmlContent, ctx);
+        outcome = 'created';
+      } else if (overwrite) {
+        page = await updatePage(claim.existing.id, title, spaceId, htmlContent, claim.existing.version?.number ?? 0, ctx);
+        outcome = 'updated';
+      } else {
+        // Reused someone else's page as-is; nothing of ours to record
+        return { page: claim.existing, outcome: 'reused' };
+      }
+    }
+    await recordItemPage(knosysId, page, spaceId, title, hash, ctx);
+    return { page, outcome };
+  });
 }
 
 // Generate an include macro for a page
 function generateIncludeMacro(spaceKey, pageTitle) {
-  return `<ac:structured-macro ac:name="include" ac:schema-version="1"><ac:parameter ac:name=""><ac:link><ri:page ri:space-key="${spaceKey}" ri:content-title="${pageTitle}" /></ac:link></ac:parameter></ac:structured-macro>`;
+  const safeTitle = escapeHtml(pageTitle).replace(/"/g, '&quot;');
+  return `<ac:structured-macro ac:name="include" ac:schema-version="1"><ac:parameter ac:name=""><ac:link><ri:page ri:space-key="${spaceKey}" ri:content-title="${safeTitle}" /></ac:link></ac:parameter></ac:structured-macro>`;
+}
+
+// ParagraphTitle and Text of a Knosys SharedParagraph item
+function sharedParagraphFields(item) {
+  let title = '';
+  let value = '';
+  for (const field of item.fields || []) {
+    if (field.name === 'ParagraphTitle') title = (field.value || '').trim();
+    if (field.name === 'Text') value = field.value || '';
+  }
+  return { title, value };
+}
+
+// A shared paragraph is embedded where it occurs with an include macro of
+// its own page (written by processSharedContent), so an edit to the
+// paragraph shows up in every document using it. Returns null for other items.
+function includeSharedParagraph(item, ctx) {
+  if (item.detail?.itemType !== 'SharedParagraph') return null;
+  const { title, value } = sharedParagraphFields(item);
+  if (!title || !value) return null;
+  const macro = generateIncludeMacro(ctx.sharedParagraphSpaceKey, title);
+  // Lets resolvePageLinks find the page even if its title or space differ
+  ctx.linkTargets[escapeHtml(title).replace(/"/g, '&quot;')] = item.detail.id;
+  ctx.includedSharedParagraphs.add(item.detail.id);
+  return macro;
 }
 
-// Process shared paragraphs and images, create pages if needed, and return macros
-async function processSharedContent(data, sharedParagraphSpaceKey, imageHubSpaceKey, imageTitleMap) {
-  const sharedContentMacros = [];
+// Write the pages for shared paragraphs and images. Shared paragraph pages
+// are kept in sync with their Knosys Text, and the documents including each
+// one are recorded for the report.
+async function processSharedContent(data, sharedParagraphSpaceKey, imageHubSpaceKey, imageTitleMap, ctx) {
   // Resolve numeric spaceIds for sharedParagraphSpaceKey and imageHubSpaceKey
   let sharedParagraphSpaceId = sharedParagraphSpaceKey;
   let imageHubSpaceId = imageHubSpaceKey;
@@ -245,30 +444,44 @@ async function processSharedContent(data, sharedParagraphSpaceKey, imageHubSpace
     console.error('Resolved imageHubSpaceId is null. imageHubSpaceKey:', imageHubSpaceKey);
     throw new Error('Missing or invalid imageHubSpaceKey/spaceId');
   }
+  // Hub pages only nest under migrated pages when they live in the same space
+  const parentIn = (hubSpaceId, itemId) =>
+    String(hubSpaceId) === String(ctx?.spaceId) ? findParentPageId(itemId, ctx) : undefined;
   async function recurse(children) {
     for (const child of children) {
       const detail = child.detail || {};
       if (detail.itemType === 'Image') {
         const itemId = detail.id;
-        if (itemId && itemId !== '2e6d82ef-524c-ea11-a960-000d3ad095fb.png') {
+        if (itemId && !isExcludedAsset(itemId, ctx)) {
           const titleValue = detail.title || itemId;
           imageTitleMap[itemId] = titleValue;
-          const imageMacro = generateImageMacro(`${itemId}.png`);
+          const imageMacro = generateImageMacro(`${itemId}.png`, ctx);
           // Create image hub page if not exists
-          await getOrCreatePage(imageHubSpaceId, titleValue, imageMacro);
+          const { page: hubPage } = await getOrCreateItemPage(itemId, imageHubSpaceId, titleValue, imageMacro, parentIn(imageHubSpaceId, itemId), ctx);
+          addAttachmentTarget(ctx, `${itemId}.png`, hubPage);
+        } else if (itemId) {
+          reportExcludedImage(ctx, itemId, `${itemId}.png`);
         }
       }
       if (detail.itemType === 'SharedParagraph') {
-        let titleValue = '';
-        let value = '';
-        for (const field of child.fields || []) {
-          if (field.name === 'ParagraphTitle') titleValue = (field.value || '').trim();
-          if (field.name === 'Text') value = field.value || '';
-        }
+        const { title: titleValue, value } = sharedParagraphFields(child);
         if (titleValue && value) {
-          // Create shared paragraph page if not exists
-          await getOrCreatePage(sharedParagraphSpaceId, titleValue, value);
-          sharedContentMacros.push(generateIncludeMacro(sharedParagraphSpaceKey, titleValue));
+          // A page found by title is adopted and overwritten once; after that
+          // the ledger hash decides whether the Text changed
+          const { page, outcome } = await getOrCreateItemPage(detail.id, sharedParagraphSpaceId, titleValue, value, parentIn(sharedParagraphSpaceId, detail.id), ctx, { overwrite: true });
+          if (detail.id && page?.id) ctx.pageIdsByItemId[detail.id] = page.id;
+          const included = ctx.includedSharedParagraphs.has(detail.id);
+          const document = { documentId: ctx.documentId, title: ctx.documentTitle, pageId: ctx.rootPageId };
+          if (!ctx.dryRun) await recordInclusion(detail.id, document, included);
+          const includedBy = (await getInclusions(detail.id)).filter(d => d.documentId !== String(ctx.documentId));
+          if (included) includedBy.unshift(document);
+          addToReport(ctx.report, 'sharedParagraphs', {
+            itemId: detail.id || '',
+            title: titleValue,
+            pageId: page?.id || '',
+            detail: included ? outcome : `${outcome}, not embedded in this document`,
+            includedBy: includedBy.map(d => d.title || d.documentId).join('; '),
+          }, detail.id || titleValue);
         }
       }
       if (Array.isArray(child.children)) {
@@ -277,11 +490,45 @@ async function processSharedContent(data, sharedParagraphSpaceKey, imageHubSpace
     }
   }
   await recurse(data.children || []);
-  return sharedContentMacros;
 }
 // --- Tooltip/External Info Logic ---
+// How each Knosys informationType is rendered: 'inline' keeps the link text
+// and puts an info panel after the paragraph (or other block) holding it,
+// 'page' links to a generated tooltip page. Types not
+// listed here are inlined when short and get their own page otherwise.
+const TOOLTIP_RENDERING = {
+  'Image / screenshot': 'page',
+  'Tooltip': 'inline',
+  'Definition': 'inline',
+};
+const INLINE_TOOLTIP_MAX_LENGTH = 500;
+// Elements that only hold inline content, so an info panel can't go inside them
+const PHRASING_PARENT_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'a', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'code', 'font', 'label'];
+
+// Map knosysJson.external.information (an array, or an object keyed by id) by external id
+function buildInfoLookup(knosysJson) {
+  const information = knosysJson?.external?.information;
+  let entries = [];
+  if (Array.isArray(information)) {
+    entries = information;
+  } else if (information && typeof information === 'object') {
+    entries = Object.entries(information).map(([id, entry]) => ({ id, ...entry }));
+  }
+  const infoLookup = {};
+  for (const entry of entries) {
+    const id = entry && (entry.id || entry.externalId || entry.detail?.id);
+    if (id) infoLookup[id] = entry;
+  }
+  return infoLookup;
+}
+
+function getTooltipTitle(entry, fallback) {
+  const titleField = (entry.fields || []).find(f => f.name === 'Title' || f.name === 'DocumentTitle');
+  return (entry.title || entry.name || entry.detail?.title || titleField?.value || fallback || '').trim();
+}
+
 // Lookup info by externalId from infoLookup map
-function getTooltipPanelContent(externalId, infoLookup) {
+function getTooltipPanelContent(externalId, infoLookup, ctx) {
   const entry = infoLookup[externalId];
   if (!entry) return null;
   const infoType = entry.informationType;
@@ -297,8 +544,7 @@ function getTooltipPanelContent(externalId, infoLookup) {
     const match = content.match(/<img[^>]*itemid=["']([^"']+)["']/);
     if (match) {
       const itemId = match[1];
-      // The actual image fetch/attach logic should be handled elsewhere
-      return generateImageMacro(`${itemId}.png`);
+      return generateImageMacro(`${itemId}.png`, ctx);
     }
     return null;
   }
@@ -313,54 +559,179 @@ function generateTooltipLinkMacro(tooltipTitle, tooltipSpaceKey, linkText) {
   return `<ac:link><ri:page ri:content-title="${safeTitle}" ri:space-key="${tooltipSpaceKey}"/><ac:plain-text-link-body><![CDATA[${safeText}]]></ac:plain-text-link-body></ac:link>`;
 }
 
-// Create a tooltip/external info page if it doesn't exist
-async function ensureTooltipPage(spaceKey, title, htmlContent) {
-  // Check if page exists
-  const res = await api.asApp().requestConfluence(route`/wiki/api/v2/pages?spaceId=${encodeURIComponent(spaceKey)}&title=${encodeURIComponent(title)}`);
-  if (res.ok) {
-    const data = await res.json();
-    if (Array.isArray(data.results) && data.results.length > 0) return data.results[0];
-  }
-  // Create page if not found
-  const page = await createPage(spaceKey, title, undefined, htmlContent);
+// Create a tooltip/external info page if it doesn't exist. Tooltip pages are
+// tracked in the ledger as external:<id> and nest under the main page.
+async function ensureTooltipPage(spaceId, title, htmlContent, externalId, ctx) {
+  const ledgerId = externalId ? `external:${externalId}` : null;
+  const { page } = await getOrCreateItemPage(ledgerId, spaceId, title, htmlContent, ctx?.rootPageId || undefined, ctx);
   return page;
 }
+
+// Rewrite <a data-externalid=...> anchors using the external information
+// entries. Tooltip pages are only queued on ctx.tooltipPages here; they are
+// created by createTooltipPages once the main page exists.
+function rewriteExternalInfoLinks(html, infoLookup, spaceKey, ctx) {
+  const $ = parseFragment(html);
+  const anchors = $('a[data-externalid]').toArray();
+  if (!anchors.length) return html;
+  // The last panel placed after each block, so several panels keep link order
+  const lastPanels = new Map();
+  anchors.forEach(anchor => {
+    const $anchor = $(anchor);
+    const externalId = $anchor.attr('data-externalid');
+    const entry = infoLookup[externalId];
+    const content = entry ? getTooltipPanelContent(externalId, infoLookup, ctx) : null;
+    const plainText = serializeNodes($anchor.contents().toArray()).replace(/<[^>]+>/g, '').trim();
+    // Keep the link text even when the tooltip itself can't be migrated,
+    // and list the tooltip in the report
+    if (!content) {
+      let detail = 'No external information entry with this id';
+      if (entry) detail = entry.informationType === 'Image / screenshot' ? 'Image entry has no <img itemid>' : 'External information entry has no content';
+      addToReport(ctx?.report, 'droppedTooltips', { itemId: externalId, title: plainText, detail }, externalId);
+      $anchor.replaceWith($anchor.contents());
+      return;
+    }
+    let rendering = TOOLTIP_RENDERING[entry.informationType];
+    if (!rendering) rendering = content.length <= INLINE_TOOLTIP_MAX_LENGTH ? 'inline' : 'page';
+    if (rendering === 'inline') {
+      // Climb out of paragraphs and other inline-only parents; the panel goes
+      // right after the outermost one, inside whatever holds block content
+      let block = anchor;
+      while (block.parent && PHRASING_PARENT_TAGS.includes(block.parent.name?.toLowerCase())) block = block.parent;
+      const panel = $(`<ac:structured-macro ac:name="info"><ac:parameter ac:name="title">${escapeHtml(plainText)}</ac:parameter><ac:rich-text-body>${content}</ac:rich-text-body></ac:structured-macro>`);
+      const after = block === anchor ? null : lastPanels.get(block);
+      $(after || block).after(panel);
+      if (block !== anchor) lastPanels.set(block, panel.last()[0]);
+      $anchor.replaceWith($anchor.contents());
+      return;
+    }
+    const title = getTooltipTitle(entry, plainText || externalId);
+    if (ctx && !ctx.tooltipPages.some(t => t.externalId === externalId)) {
+      ctx.tooltipPages.push({ externalId, title, content });
+    }
+    $anchor.replaceWith(generateTooltipLinkMacro(title, spaceKey, plainText));
+  });
+  return serializeFragment($);
+}
+
+async function createTooltipPages(spaceId, ctx) {
+  for (const tooltip of ctx.tooltipPages) {
+    const page = await ensureTooltipPage(spaceId, tooltip.title, tooltip.content, tooltip.externalId, ctx);
+    findAttachmentFilenames(tooltip.content).forEach(filename => addAttachmentTarget(ctx, filename, page));
+  }
+}
 // --- Image Handling and Macro Generation Utilities ---
+// Image ids and filenames compare without extension and case
+const assetKey = idOrFilename => String(idOrFilename).toLowerCase().replace(/\.[a-z0-9]+$/, '');
+
+// Excluded asset ids come from the migration settings (the Knosys
+// placeholder image by default)
+function isExcludedAsset(idOrFilename, ctx) {
+  const excluded = ctx ? ctx.excludedAssets : new Set(DEFAULT_MIGRATION_SETTINGS.excludedAssetIds.map(assetKey));
+  return excluded.has(assetKey(idOrFilename));
+}
+
 // Generate Confluence image macro for a given filename
-function generateImageMacro(filename) {
-  if (!filename || filename === '2e6d82ef-524c-ea11-a960-000d3ad095fb.png') return '';
+function generateImageMacro(filename, ctx) {
+  if (!filename || isExcludedAsset(filename, ctx)) return '';
   return `<p><ac:image><ri:attachment ri:filename="${filename}"/></ac:image></p>`;
 }
 
-// Attach an image file (Buffer or base64) to a Confluence page
+// Knosys <img itemid="..."> tags refer to exported image files named <itemId>.png
+function convertImagesToAttachments(html, ctx) {
+  return html.replace(/<img[^>]*\bitemid=["']([^"']+)["'][^>]*\/?>/gi, (m, itemId) => {
+    const filename = /\.[a-z0-9]+$/i.test(itemId) ? itemId : `${itemId}.png`;
+    const macro = generateImageMacro(filename, ctx);
+    if (!macro) reportExcludedImage(ctx, itemId, filename);
+    return macro;
+  });
+}
+
+function reportExcludedImage(ctx, itemId, filename) {
+  addToReport(ctx?.report, 'excludedImages', {
+    itemId,
+    filename,
+    detail: 'Excluded asset id (migration settings)',
+  }, filename);
+}
+
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+function imageContentType(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return IMAGE_CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+// Build a multipart/form-data body by hand: requestConfluence only accepts
+// string/ArrayBuffer bodies, so a FormData instance can't be passed through
+function buildMultipartBody(fields, filename, fileBuffer, contentType) {
+  const boundary = `----KnosysMigration${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+  const safeName = String(filename).replace(/["\r\n]/g, '');
+  const parts = Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+  );
+  parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeName}"\r\nContent-Type: ${contentType}\r\n\r\n`));
+  parts.push(fileBuffer);
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+  const body = Buffer.concat(parts);
+  return {
+    body: body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
+
+// Attach an image file (Buffer or base64) to a Confluence page. Uses the v1
+// child/attachment PUT, which creates the attachment or adds a new version
+// when one with the same filename already exists (v2 has no upload endpoint).
 async function attachImageToPage(pageId, filename, fileBuffer) {
-  // Forge API: https://developer.atlassian.com/platform/forge/api-reference/#api-confluence-requestconfluence
-  const res = await api.asApp().requestConfluence(route`/wiki/api/v2/pages/${pageId}/attachments`, {
-    method: 'POST',
+  const buffer = Buffer.isBuffer(fileBuffer) ? fileBuffer : Buffer.from(String(fileBuffer || ''), 'base64');
+  const { body, contentType } = buildMultipartBody({ minorEdit: 'true' }, filename, buffer, imageContentType(filename));
+  return await requestJson(route`/wiki/rest/api/content/${pageId}/child/attachment`, {
+    method: 'PUT',
     headers: {
       'Accept': 'application/json',
+      'Content-Type': contentType,
       'X-Atlassian-Token': 'no-check',
     },
-    body: fileBuffer,
-    // Forge API will set content-type automatically for binary
+    body,
+    description: `Attach ${filename}`,
   });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Failed to attach image: ${res.status} ${text}`);
-  }
-  return await res.json();
 }
 
-// Fetch image from external URL and attach to Confluence page, then return macro
-async function fetchAndAttachImage(imageUrl, pageId, filename) {
-  // Fetch image as binary
-  const imgRes = await fetch(imageUrl);
-  if (!imgRes.ok) throw new Error(`Failed to fetch image: ${imgRes.status}`);
-  const arrayBuffer = await imgRes.arrayBuffer();
-  const buffer = Buffer.from(arrayBuffer);
-  await attachImageToPage(pageId, filename, buffer);
-  return generateImageMacro(filename);
+// Remember that `filename` must be attached to `page` once the run finishes
+function addAttachmentTarget(ctx, filename, page) {
+  if (!ctx || !filename || !page?.id) return;
+  if (ctx.attachments.some(a => a.filename === filename && a.pageId === String(page.id))) return;
+  ctx.attachments.push({ filename, pageId: String(page.id), pageTitle: page.title || '' });
+}
+
+// Every attachment image referenced from storage HTML
+function findAttachmentFilenames(html) {
+  const names = new Set();
+  String(html || '').replace(/<ri:attachment[^>]*ri:filename=["']([^"']+)["']/g, (m, filename) => {
+    names.add(filename);
+    return m;
+  });
+  return Array.from(names);
+}
+
+// Flag attachment targets the uploaded image bundle can't satisfy. Names are
+// compared case-insensitively since exports come from Windows file systems.
+function summarizeAttachments(ctx, imageFiles) {
+  const available = new Set((imageFiles || []).map(name => String(name).toLowerCase()));
+  const attachments = ctx.attachments.map(a => ({ ...a, missing: !available.has(a.filename.toLowerCase()) }));
+  const missingImages = Array.from(new Set(attachments.filter(a => a.missing).map(a => a.filename)));
+  return { attachments, missingImages };
 }
+
 // --- Color and Style Formatting Utilities (ported from Python) ---
 function rgbToHex(str) {
   // Convert rgb/rgba(255,255,255,1) to #ffffff
@@ -370,10 +741,11 @@ function rgbToHex(str) {
   });
 }
 
-function convertUnits(style) {
-  // Convert cm and pt to px
-  style = style.replace(/([\d.]+)\s*cm/g, (_, n) => `${(parseFloat(n) * 37.8).toFixed(2)}px`);
-  style = style.replace(/([\d.]+)\s*pt/g, (_, n) => `${(parseFloat(n) * 1.333).toFixed(2)}px`);
+function convertUnits(style, unitConversions) {
+  // Convert lengths in the configured units (cm and pt by default) to px
+  unitConversions.forEach(({ unit, factor }) => {
+    style = style.replace(new RegExp(`([\\d.]+)\\s*${unit}`, 'g'), (_, n) => `${(parseFloat(n) * factor).toFixed(2)}px`);
+  });
   return style;
 }
 
@@ -390,88 +762,146 @@ function updateStyleWithBackground(style, bgColor) {
   return Object.entries(styles).map(([k, v]) => `${k}:${v}`).join('; ') + ';';
 }
 
-function colorFormatter(htmlContent) {
-  // Main color/style formatter for HTML content
+// Append CSS declarations to an element's style, skipping properties it already sets
+function addStyles($el, declarations) {
+  let style = $el.attr('style') || '';
+  declarations.split(';').forEach(declaration => {
+    const property = declaration.split(':')[0].trim().toLowerCase();
+    if (!property || new RegExp(`(^|;)\\s*${property}\\s*:`, 'i').test(style)) return;
+    style += (style && !style.trim().endsWith(';') ? ';' : '') + ` ${declaration.trim()};`;
+  });
+  $el.attr('style', style.trim());
+}
+
+// Main color/style formatter for HTML content. Class styles, unit
+// conversions and table attributes come from the admin style settings.
+function colorFormatter(htmlContent, styleSettings = DEFAULT_STYLE_SETTINGS) {
   if (!htmlContent) return '';
+  const { classStyles, unitConversions, tables } = styleSettings;
   htmlContent = rgbToHex(htmlContent);
-  // Use DOMParser for HTML manipulation
-  let doc;
-  try {
-    doc = new DOMParser().parseFromString(htmlContent, 'text/html');
-  } catch (e) {
-    // fallback for environments without DOMParser
-    return htmlContent;
-  }
-  // Color classes
-  doc.querySelectorAll('.alt3').forEach(tag => {
-    let style = tag.getAttribute('style') || '';
-    if (!/color:/i.test(style)) style += (style && !style.trim().endsWith(';') ? ';' : '') + ' color: red;';
-    tag.setAttribute('style', style.trim());
-  });
-  doc.querySelectorAll('.alt2').forEach(tag => {
-    let style = tag.getAttribute('style') || '';
-    if (!/color:/i.test(style)) style += (style && !style.trim().endsWith(';') ? ';' : '') + ' color: green;';
-    tag.setAttribute('style', style.trim());
+  const $ = parseFragment(htmlContent);
+  // Class styles (.alt3 red and .alt2 green by default)
+  classStyles.forEach(({ className, style }) => {
+    $(`.${className}`).each((i, tag) => addStyles($(tag), style));
   });
   // Style/unit conversion and background color
-  doc.querySelectorAll('*').forEach(tag => {
-    let style = tag.getAttribute('style') || '';
-    style = convertUnits(style);
+  $('*').each((i, tag) => {
+    const $tag = $(tag);
+    let style = $tag.attr('style') || '';
+    style = convertUnits(style, unitConversions);
     const match = style.match(/background(?:-color)?:\s*(#[0-9a-fA-F]{6})/);
     if (match) {
       const bgColor = match[1];
-      tag.setAttribute('style', updateStyleWithBackground(style, bgColor));
-      if (['td', 'th'].includes(tag.tagName.toLowerCase())) {
-        tag.setAttribute('data-highlight-colour', bgColor);
+      $tag.attr('style', updateStyleWithBackground(style, bgColor));
+      if (tables.highlightCells && ['td', 'th'].includes(tag.name.toLowerCase())) {
+        $tag.attr('data-highlight-colour', bgColor);
       } else {
-        tag.removeAttribute('data-highlight-colour');
+        $tag.removeAttr('data-highlight-colour');
       }
     } else {
-      if (style.trim()) tag.setAttribute('style', style);
-      else tag.removeAttribute('style');
+      if (style.trim()) $tag.attr('style', style);
+      else $tag.removeAttr('style');
     }
   });
   // Table cleanup
-  doc.querySelectorAll('table').forEach(table => {
-    table.removeAttribute('width');
-    let style = table.getAttribute('style') || '';
-    style = style.replace(/width\s*:\s*[^;]+;?/gi, '').trim().replace(/;$/, '');
-    table.setAttribute('data-layout', 'default');
-    if (style) table.setAttribute('style', style);
-    else table.removeAttribute('style');
-  });
-  // Remove empty tags (except void tags)
-  const VOID_TAGS = ['br', 'img', 'input', 'hr', 'meta', 'link'];
-  doc.body.querySelectorAll('*').forEach(tag => {
-    if (VOID_TAGS.includes(tag.tagName.toLowerCase())) return;
-    if (tag.querySelector('ac\:structured-macro')) return;
-    if (/^(ac:|ri:)/.test(tag.tagName)) return;
-    if (!tag.textContent.trim() && Array.from(tag.childNodes).every(n => n.nodeType === 3 && !n.textContent.trim())) {
-      tag.remove();
-    }
-  });
-  // Unwrap nested same tags
+  $('table').each((i, table) => {
+    const $table = $(table);
+    let style = $table.attr('style') || '';
+    if (tables.stripWidths) {
+      $table.removeAttr('width');
+      style = style.replace(/width\s*:\s*[^;]+;?/gi, '').trim().replace(/;$/, '');
+    }
+    if (tables.layout) $table.attr('data-layout', tables.layout);
+    if (style) $table.attr('style', style);
+    else $table.removeAttr('style');
+  });
+  // Remove empty tags (except void tags and table cells, which keep the grid intact)
+  const KEEP_EMPTY_TAGS = ['br', 'img', 'input', 'hr', 'meta', 'link', 'td', 'th', 'col'];
+  $('*').each((i, tag) => {
+    const name = tag.name.toLowerCase();
+    if (KEEP_EMPTY_TAGS.includes(name)) return;
+    if (/^(ac:|ri:)/.test(name)) return;
+    const $tag = $(tag);
+    if ($tag.find(escapeTagName('ac:structured-macro')).length) return;
+    if (tag.children.every(n => n.type === 'text' && !n.data.trim())) {
+      $tag.remove();
+    }
+  });
+  // Unwrap nested same tags (only when the inner tag carries no attributes of its own)
   let changed = true;
   while (changed) {
     changed = false;
-    doc.body.querySelectorAll('*').forEach(tag => {
-      const children = Array.from(tag.children);
-      if (children.length === 1 && children[0].tagName === tag.tagName) {
-        const inner = children[0];
-        while (inner.firstChild) tag.appendChild(inner.firstChild);
-        inner.remove();
+    $('*').each((i, tag) => {
+      if (/^(ac:|ri:)/.test(tag.name)) return;
+      const children = $(tag).children().toArray();
+      if (children.length === 1 && children[0].name === tag.name && !Object.keys(children[0].attribs || {}).length) {
+        const inner = $(children[0]);
+        inner.replaceWith(inner.contents());
         changed = true;
       }
     });
   }
-  return doc.body.innerHTML;
+  return serializeFragment($);
 }
 // src/index.js
 import Resolver from '@forge/resolver';
-import api, { route } from '@forge/api';
+import { route } from '@forge/api';
+import {
+  contentHash,
+  getLedgerEntry,
+  recordLedgerEntry,
+  listLedgerEntries,
+  restoreLedgerEntry,
+  getInclusions,
+  recordInclusion,
+} from './ledger';
+import { parseFragment, serializeFragment, serializeNodes, escapeTagName } from './dom';
+import { registerStage, runPipeline, getProfile, saveProfile, deleteProfile, listProfiles, listStages } from './pipeline';
+import { newRunId, getRun, recordRun, updateRun, listRunsAfter } from './runs';
+import { validateStorageFormat, repairStorageFormat } from './storage-format';
+import { createReport, addToReport, finalizeReport, truncateReport, serializeReport, restoreReport } from './report';
+import { diffStorage, mergeStorage } from './diff';
+import {
+  DEFAULT_STYLE_SETTINGS,
+  getStyleSettings,
+  saveStyleSettings,
+  resetStyleSettings,
+  DEFAULT_MIGRATION_SETTINGS,
+  getMigrationSettings,
+  saveMigrationSettings,
+  resetMigrationSettings,
+  TITLE_COLLISION_POLICIES,
+} from './settings';
+import { validateKnosysExport } from './schema';
+import {
+  requestConfluence,
+  requestJson,
+  ConfluenceError,
+  NotFoundError,
+  RateLimitedError,
+  createRequestBudget,
+  runWithBudget,
+  requestStats,
+  ensureBudget,
+  BudgetExceededError,
+} from './confluence';
+import {
+  FINISHED_JOB_STATUSES,
+  createJob,
+  getJob,
+  updateJob,
+  saveJobBlob,
+  loadJobBlob,
+  deleteJobBlob,
+  queueJobChunk,
+} from './jobs';
 
 const resolver = new Resolver();
 
+// Resolvers that write pages get a Confluence request budget, so they stop
+// with an error instead of being cut off by Forge's time limit
+const withRequestBudget = handler => req => runWithBudget(createRequestBudget(), () => handler(req));
+
 function escapeHtml(str = '') {
   return String(str)
     .replace(/&/g, '&amp;')
@@ -479,122 +909,371 @@ function escapeHtml(str = '') {
     .replace(/>/g, '&gt;');
 }
 
-function extractHtmlFromNode(node = {}, isTopLevel = true) {
-  if (!node) return '';
+// HiddenText is only migrated inside an expand macro titled by LinkText
+function reportSkippedHiddenText(item, ctx) {
+  const itemId = item.detail?.id || '';
+  addToReport(ctx?.report, 'skippedFields', {
+    itemId,
+    title: item.detail?.title || '',
+    field: 'HiddenText',
+    detail: 'HiddenText without LinkText',
+  }, `${itemId}:HiddenText`);
+}
+
+// --- Content Extraction ---
+// Items with children are sections: a heading for their title at their
+// nesting depth (h1 for the document's own children, at most h6) behind an
+// anchor, then their content and children, then a link back to PageTop.
+// Items without children contribute their fields.
+const PAGE_TOP_ANCHOR = 'PageTop';
+const TITLE_FIELDS = ['Title', 'DocumentTitle'];
+const BACK_TO_TOP_LINK = `<p><ac:link ac:anchor="${PAGE_TOP_ANCHOR}"><ac:plain-text-link-body><![CDATA[Back to top]]></ac:plain-text-link-body></ac:link></p>`;
+const TOC_MACRO = '<ac:structured-macro ac:name="toc" ac:schema-version="1" />';
+
+function anchorMacro(name) {
+  return `<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">${name}</ac:parameter></ac:structured-macro>`;
+}
+
+// An item's own fields: a LinkText/HiddenText pair becomes an expand macro,
+// a shared paragraph an include macro, other values are copied as they are
+function extractItemFields(item, ctx, skipFields = []) {
+  const include = ctx && includeSharedParagraph(item, ctx);
+  if (include) return include;
+  if (!Array.isArray(item.fields)) return '';
+  const linkTextField = item.fields.find(f => f && f.name === 'LinkText' && f.value);
+  const hiddenTextField = item.fields.find(f => f && f.name === 'HiddenText' && f.value);
+  if (linkTextField && hiddenTextField) {
+    return `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${linkTextField.value}</ac:parameter><ac:rich-text-body>${hiddenTextField.value}</ac:rich-text-body></ac:structured-macro>`;
+  }
+  if (hiddenTextField) reportSkippedHiddenText(item, ctx);
+  let html = '';
+  for (const f of item.fields) {
+    if (!f || f.name === 'HiddenText' || skipFields.includes(f.name)) continue;
+    if (typeof f.value !== 'undefined' && f.value !== null) html += f.value;
+  }
+  return html;
+}
+
+// Heading text for a section, escaped: detail.title, else the text of its
+// Title/DocumentTitle field (an HTML value, so tags are dropped)
+function sectionTitle(item) {
+  if (item.detail?.title && item.detail.title.trim()) return escapeHtml(item.detail.title.trim());
+  const field = (item.fields || []).find(f => f && TITLE_FIELDS.includes(f.name) && f.value);
+  return field ? escapeHtml(decodeAttribute(String(field.value).replace(/<[^>]*>/g, '')).trim()) : '';
+}
+
+// Anchor name for a section heading, unique on the page
+function sectionAnchor(title, itemId, usedAnchors) {
+  const base = title
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[#\w]+;/g, ' ')
+    .trim()
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || `section-${itemId || usedAnchors.size}`;
+  let name = base;
+  for (let n = 2; usedAnchors.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+  usedAnchors.add(name.toLowerCase());
+  return name;
+}
+
+// Returns { html, endsWithTopLink } so a section whose last child already
+// ends with a back-to-top link does not get a second one
+function extractItems(items, depth, state) {
   let html = '';
-  // If this node has a 'children' array, and those children have 'detail',
-  // only migrate and display the fields of those 'detail.children' (ignore deeper nested children)
+  let endsWithTopLink = false;
+  for (const item of items) {
+    if (!item) continue;
+    const part = Array.isArray(item.children) && item.children.length > 0
+      ? extractSection(item, depth, state)
+      : { html: extractItemFields(item, state.ctx), endsWithTopLink: false };
+    if (!part.html) continue;
+    html += part.html;
+    endsWithTopLink = part.endsWithTopLink;
+  }
+  return { html, endsWithTopLink };
+}
+
+function extractSection(item, depth, state) {
+  const { ctx } = state;
+  const title = sectionTitle(item);
+  if (!title) {
+    // Untitled grouping: no heading, and its children stay at this depth
+    const own = extractItemFields(item, ctx);
+    const children = extractItems(item.children, depth, state);
+    return { html: own + children.html, endsWithTopLink: children.html ? children.endsWithTopLink : false };
+  }
+  const level = Math.min(depth, 6);
+  const anchor = sectionAnchor(title, item.detail?.id, state.usedAnchors);
+  if (ctx) ctx.sections.push({ itemId: item.detail?.id || null, title, anchor, level });
+  let html = `${anchorMacro(anchor)}<h${level}>${title}</h${level}>`;
+  html += extractItemFields(item, ctx, TITLE_FIELDS);
+  const children = extractItems(item.children, depth + 1, state);
+  html += children.html;
+  if (!children.endsWithTopLink) html += BACK_TO_TOP_LINK;
+  return { html, endsWithTopLink: true };
+}
+
+// The document's own fields are not content when it has children: its title
+// becomes the page title
+function extractHtmlFromNode(node = {}, ctx) {
+  if (!node) return '';
   if (Array.isArray(node.children) && node.children.length > 0) {
-    for (const child of node.children) {
-      // If child has a 'detail' and 'children', process only the first level of children under 'detail'
-      if (child.detail && Array.isArray(child.children) && child.children.length > 0) {
-        for (const detailChild of child.children) {
-          if (Array.isArray(detailChild.fields)) {
-            // Look for LinkText/HiddenText pairs
-            const linkTextField = detailChild.fields.find(f => f && f.name === 'LinkText' && f.value);
-            const hiddenTextField = detailChild.fields.find(f => f && f.name === 'HiddenText' && f.value);
-            if (linkTextField && hiddenTextField) {
-              html += `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${linkTextField.value}</ac:parameter><ac:rich-text-body>${hiddenTextField.value}</ac:rich-text-body></ac:structured-macro>`;
-              continue;
-            }
-            for (const f of detailChild.fields) {
-              if (f && f.name === 'HiddenText') continue;
-              if (f && typeof f.value !== 'undefined' && f.value !== null) {
-                html += f.value;
-              }
-            }
-          }
-        }
-      } else if (Array.isArray(child.fields)) {
-        // If no further children, just display this child's fields
-        // Look for LinkText/HiddenText pairs
-        const linkTextField = child.fields.find(f => f && f.name === 'LinkText' && f.value);
-        const hiddenTextField = child.fields.find(f => f && f.name === 'HiddenText' && f.value);
-        if (linkTextField && hiddenTextField) {
-          html += `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${linkTextField.value}</ac:parameter><ac:rich-text-body>${hiddenTextField.value}</ac:rich-text-body></ac:structured-macro>`;
-          continue;
-        }
-        for (const f of child.fields) {
-          if (f && f.name === 'HiddenText') continue;
-          if (f && typeof f.value !== 'undefined' && f.value !== null) {
-            html += f.value;
-          }
-        }
-      }
-    }
-    return html;
+    const state = { ctx, usedAnchors: new Set([PAGE_TOP_ANCHOR.toLowerCase()]) };
+    return extractItems(node.children, 1, state).html;
   }
-  // If no children, display the value of each field (fields:[{"value":}]), except HiddenText
-  if (Array.isArray(node.fields)) {
-    // Look for LinkText/HiddenText pairs
-    const linkTextField = node.fields.find(f => f && f.name === 'LinkText' && f.value);
-    const hiddenTextField = node.fields.find(f => f && f.name === 'HiddenText' && f.value);
-    if (linkTextField && hiddenTextField) {
-      html += `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${linkTextField.value}</ac:parameter><ac:rich-text-body>${hiddenTextField.value}</ac:rich-text-body></ac:structured-macro>`;
-    } else {
-      for (const f of node.fields) {
-        if (f && f.name === 'HiddenText') continue;
-        if (f && typeof f.value !== 'undefined' && f.value !== null) {
-          html += f.value;
-        }
-      }
-    }
+  return extractItemFields(node, ctx);
+}
+
+// --- Run Context / Dry Run ---
+// State shared by the page-writing helpers for a single migration run.
+// In dry-run mode createPage/updatePage record the write in plannedPages
+// instead of calling Confluence; lookups (GET requests) still happen so the
+// plan reflects which pages already exist.
+function createRunContext({ dryRun = false, autoRepair = false, spaceId = null, knosysJson = null, settings = DEFAULT_MIGRATION_SETTINGS, excludedItemIds = [] } = {}) {
+  return {
+    // Migration settings the run uses, see src/settings.js
+    settings,
+    excludedAssets: new Set(settings.excludedAssetIds.map(assetKey)),
+    // Knosys ids of the subtrees unticked in the item tree
+    excludedItems: new Set(excludedItemIds.map(String)),
+    dryRun: Boolean(dryRun),
+    // Repair invalid storage format instead of refusing to write it
+    autoRepair: Boolean(autoRepair),
+    // Pages whose storage body failed validation or was repaired: { title, errors, repaired }
+    validationIssues: [],
+    plannedPages: [],
+    nextPlaceholderId: 1,
+    spaceId,
+    // Page tree: Knosys id -> parent node, and Knosys id -> Confluence page id
+    parentMap: knosysJson ? buildParentMap(knosysJson) : {},
+    // Knosys id -> item, and the export's date, for the knosys-source content property
+    itemsById: knosysJson ? buildIdMap(knosysJson) : {},
+    exportDate: exportDateOf(knosysJson),
+    sourcePropertyPages: new Set(),
+    pageIdsByItemId: {},
+    rootPageId: null,
+    // ri:content-title of generated page links -> Knosys id they point at
+    linkTargets: {},
+    // Items of the other documents in a batch migration: Knosys id ->
+    // { title, documentId }, and the titles of links to them that could not
+    // be resolved yet (-> Knosys id), for resolveBatchLinks to fix later
+    batchTargets: {},
+    pendingBatchLinks: {},
+    // Space key for the include macros of shared paragraphs, and the Knosys
+    // ids of the shared paragraphs embedded in the document
+    sharedParagraphSpaceKey: '',
+    includedSharedParagraphs: new Set(),
+    // Section headings of the main page, in order: { itemId, title, anchor, level }
+    sections: [],
+    // Knosys document being migrated, for the shared paragraph report
+    documentId: null,
+    documentTitle: '',
+    // Title collision policy and prefix namespace, and the Knosys ids whose
+    // pages the skip policy left out
+    titleCollision: { policy: settings.titleCollisionPolicy, namespace: settings.titleNamespace },
+    collisionSkips: new Set(),
+    // Space id -> key, filled in while resolving page links
+    spaceKeysById: {},
+    // Images to attach once pages exist: { filename, pageId, pageTitle }
+    attachments: [],
+    // Tooltip pages to create once the main page exists: { externalId, title, content }
+    tooltipPages: [],
+    // Name of the migration profile whose stages ran
+    profileName: null,
+    // Pipeline stages that failed and were skipped: { step, message }
+    warnings: [],
+    // Follow-up items for the content team, see src/report.js
+    report: createReport(),
+    // Pages this run wrote, in order: { pageId, title, action, priorVersion, version }
+    writes: [],
+    // Ledger entries this run changed: { knosysId, previous }
+    ledgerChanges: [],
+  };
+}
+
+// Remember a page write for rollbackRun. A page written more than once keeps
+// its first action and prior version. Returns the page for chaining.
+function recordWrite(ctx, page, action, priorVersion) {
+  if (!ctx || !page?.id) return page;
+  const version = page.version?.number ?? null;
+  const earlier = ctx.writes.find(w => w.pageId === String(page.id));
+  if (earlier) {
+    earlier.version = version;
+  } else {
+    ctx.writes.push({
+      pageId: String(page.id),
+      title: page.title,
+      parentId: page.parentId ? String(page.parentId) : null,
+      action,
+      priorVersion: priorVersion ?? null,
+      version,
+    });
   }
-  return html;
+  return page;
 }
 
-async function getSpaceIdFromKey(spaceKey) {
-  if (!spaceKey) return null;
-  const res = await api.asApp().requestConfluence(
-    route`/wiki/api/v2/spaces?key=${encodeURIComponent(spaceKey)}`,
-    { headers: { 'Accept': 'application/json' } }
-  );
-  if (!res.ok) return null;
-  const j = await res.json();
-  if (Array.isArray(j.results) && j.results.length > 0) return j.results[0].id;
-  return null;
+// Run context fields holding Sets, saved as arrays in job checkpoints, and
+// the fields rebuilt from the export instead of saved
+const RUN_CONTEXT_SETS = ['excludedAssets', 'excludedItems', 'sourcePropertyPages', 'includedSharedParagraphs', 'collisionSkips'];
+const RUN_CONTEXT_REBUILT = ['parentMap', 'itemsById', 'job'];
+
+// JSON-safe copy of a run context, for a background job's checkpoint
+function saveRunContext(ctx) {
+  const saved = {};
+  Object.entries(ctx).forEach(([key, value]) => {
+    if (RUN_CONTEXT_REBUILT.includes(key)) return;
+    if (RUN_CONTEXT_SETS.includes(key)) saved[key] = Array.from(value);
+    else if (key === 'report') saved[key] = serializeReport(value);
+    else saved[key] = value;
+  });
+  return saved;
 }
 
-async function getPageById(pageId) {
-  // First try as the app installation (default). If the app is not able
-  // to see the page (404), try as the current user as a diagnostic/fallback.
-  // This helps distinguish "page does not exist" from "app lacks access".
-  const asAppRes = await api.asApp().requestConfluence(
-    route`/wiki/api/v2/pages/${pageId}`,
-    { headers: { 'Accept': 'application/json' } }
-  );
+function restoreRunContext(saved, knosysJson) {
+  const ctx = createRunContext({ spaceId: saved.spaceId, knosysJson, settings: saved.settings });
+  Object.entries(saved).forEach(([key, value]) => {
+    if (RUN_CONTEXT_SETS.includes(key)) ctx[key] = new Set(value);
+    else if (key === 'report') ctx[key] = restoreReport(value);
+    else ctx[key] = value;
+  });
+  return ctx;
+}
 
-  if (asAppRes.ok) {
-    return await asAppRes.json();
+// --- Page Tree ---
+// Map every item's detail.id to its parent node in the Knosys children tree
+function buildParentMap(node, map = {}, parent = null) {
+  if (!node) return map;
+  if (node.detail && node.detail.id && parent) {
+    map[node.detail.id] = parent;
+  }
+  if (Array.isArray(node.children)) {
+    node.children.forEach(child => buildParentMap(child, map, node));
   }
+  return map;
+}
 
-  const asAppText = await asAppRes.text();
-  console.log('getPageById: asApp failed', { pageId, status: asAppRes.status, body: asAppText });
+// Number of ancestors above an item (unknown items sort first)
+function itemDepth(node, ctx) {
+  let depth = 0;
+  let parent = node?.detail?.id ? ctx.parentMap[node.detail.id] : null;
+  while (parent) {
+    depth++;
+    parent = parent.detail?.id ? ctx.parentMap[parent.detail.id] : null;
+  }
+  return depth;
+}
 
-  // If the app returned 404, try asUser to see if the currently signed-in user
-  // can access the page (this can indicate a permissions problem for the app).
-  if (asAppRes.status === 404) {
-    try {
-      const asUserRes = await api.asUser().requestConfluence(
-        route`/wiki/api/v2/pages/${pageId}`,
-        { headers: { 'Accept': 'application/json' } }
-      );
-      if (asUserRes.ok) {
-        console.log('getPageById: asUser succeeded while asApp returned 404', { pageId });
-        return await asUserRes.json();
-      }
-      const asUserText = await asUserRes.text();
-      console.log('getPageById: asUser also failed', { pageId, status: asUserRes.status, body: asUserText });
-    } catch (e) {
-      console.log('getPageById: asUser request errored', e);
-    }
+// Confluence parent for a Knosys item: the page created in this run for its
+// nearest ancestor, falling back to the run's root (main) page
+function findParentPageId(itemId, ctx) {
+  if (!ctx) return undefined;
+  let parent = itemId ? ctx.parentMap[itemId] : null;
+  while (parent) {
+    const parentItemId = parent.detail?.id;
+    if (parentItemId && ctx.pageIdsByItemId[parentItemId]) return ctx.pageIdsByItemId[parentItemId];
+    parent = parentItemId ? ctx.parentMap[parentItemId] : null;
+  }
+  return ctx.rootPageId || undefined;
+}
+
+function planCreatePage(ctx, spaceId, title, parentId, htmlValue) {
+  const id = `dry-run-${ctx.nextPlaceholderId++}`;
+  ctx.plannedPages.push({
+    action: 'create',
+    id,
+    spaceId: String(spaceId),
+    title,
+    parentId: parentId || null,
+    bodyLength: String(htmlValue || '').length,
+  });
+  // Shaped like a Confluence page so callers can keep chaining on it
+  return { id, title, spaceId: String(spaceId), version: { number: 0 }, dryRun: true };
+}
+
+function planUpdatePage(ctx, pageId, title, spaceId, htmlValue, currentVersionNumber) {
+  // Updating a page this run already plans to write folds into that entry
+  const planned = ctx.plannedPages.find(p => p.id === String(pageId));
+  if (planned) {
+    planned.bodyLength = String(htmlValue || '').length;
+    const number = planned.action === 'create' ? 0 : planned.fromVersion;
+    return { id: planned.id, title, spaceId: String(spaceId), version: { number }, dryRun: true };
+  }
+  ctx.plannedPages.push({
+    action: 'update',
+    id: String(pageId),
+    spaceId: String(spaceId),
+    title,
+    fromVersion: currentVersionNumber ?? 0,
+    bodyLength: String(htmlValue || '').length,
+  });
+  return { id: String(pageId), title, spaceId: String(spaceId), version: { number: currentVersionNumber ?? 0 }, dryRun: true };
+}
+
+// --- Storage Format Checks ---
+// The storage value sent for htmlValue: { value, errors, repaired }. With
+// autoRepair an invalid body is repaired and re-validated; errors are
+// whatever problems remain.
+function checkStorageBody(htmlValue, autoRepair) {
+  const value = `<div>${htmlValue}</div>`;
+  const result = validateStorageFormat(value);
+  if (result.valid || !autoRepair) return { value, errors: result.errors, repaired: false };
+  const repairedValue = repairStorageFormat(value);
+  return { value: repairedValue, errors: validateStorageFormat(repairedValue).errors, repaired: true };
+}
+
+// A body read back from Confluence without the bare <div> checkStorageBody
+// wrapped it in, so writing it again does not nest it one level deeper
+function unwrapStorageBody(value) {
+  const $ = parseFragment(value);
+  const nodes = $.root().contents().toArray().filter(node => node.type !== 'text' || node.data.trim());
+  if (nodes.length !== 1 || nodes[0].name !== 'div' || Object.keys(nodes[0].attribs || {}).length) return value;
+  return serializeNodes(nodes[0].children);
+}
+
+// Validate a page body right before it is written. Invalid bodies are
+// recorded on ctx.validationIssues; outside dry-run mode they also abort the
+// write with an error carrying the line/column problems.
+function prepareStorageBody(htmlValue, title, ctx) {
+  const { value, errors, repaired } = checkStorageBody(htmlValue, ctx?.autoRepair);
+  if (repaired || errors.length) ctx?.validationIssues.push({ title, errors, repaired });
+  if (errors.length && !ctx?.dryRun) {
+    const first = errors[0];
+    const err = new Error(`Storage format for "${title}" is invalid (${errors.length} problem(s)); line ${first.line}, column ${first.column}: ${first.message}`);
+    err.validationErrors = [{ title, errors }];
+    throw err;
+  }
+  return value;
+}
+
+async function getSpaceIdFromKey(spaceKey) {
+  if (!spaceKey) return null;
+  const j = await requestJson(route`/wiki/api/v2/spaces?keys=${spaceKey}`, { description: `Find space ${spaceKey}` });
+  if (Array.isArray(j.results) && j.results.length > 0) return j.results[0].id;
+  return null;
+}
+
+async function getSpaceKeyById(spaceId, ctx) {
+  if (!spaceId) return null;
+  if (ctx && ctx.spaceKeysById[spaceId] !== undefined) return ctx.spaceKeysById[spaceId];
+  let key = null;
+  try {
+    key = (await requestJson(route`/wiki/api/v2/spaces/${spaceId}`, { description: `GET space ${spaceId}` })).key || null;
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) throw err;
   }
+  if (ctx) ctx.spaceKeysById[spaceId] = key;
+  return key;
+}
 
-  // If we reach here, surface the original asApp error (with body) to the caller.
-  throw new Error(`GET page failed: ${asAppRes.status} ${asAppText}`);
+// The app may not see a page the user can (Confluence answers 404 for
+// both), so a 404 is retried as the user
+async function getPageById(pageId) {
+  return await requestJson(route`/wiki/api/v2/pages/${pageId}`, { description: 'GET page', asUserFallback: true });
 }
 
-async function updatePage(pageId, title, spaceId, htmlValue, currentVersionNumber) {
+async function updatePage(pageId, title, spaceId, htmlValue, currentVersionNumber, ctx) {
+  const storageValue = prepareStorageBody(htmlValue, title, ctx);
+  if (ctx && ctx.dryRun) return planUpdatePage(ctx, pageId, title, spaceId, htmlValue, currentVersionNumber);
   const bodyData = {
     id: String(pageId),
     status: 'current',
@@ -602,7 +1281,7 @@ async function updatePage(pageId, title, spaceId, htmlValue, currentVersionNumbe
     spaceId: String(spaceId),
     body: {
       representation: 'storage',
-      value: `<div>${htmlValue}</div>`
+      value: storageValue
     },
     version: {
       number: (currentVersionNumber ?? 0) + 1,
@@ -610,108 +1289,160 @@ async function updatePage(pageId, title, spaceId, htmlValue, currentVersionNumbe
     }
   };
 
-  // Try updating as the app first. If the app can't see the page (404),
-  // retry as the current user so we can determine whether the page exists
-  // but the app lacks access (Confluence hides existence from unauthorized apps).
-  const asAppRes = await api.asApp().requestConfluence(
-    route`/wiki/api/v2/pages/${pageId}`,
-    {
-      method: 'PUT',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(bodyData)
-    }
-  );
-
-  const asAppText = await asAppRes.text();
-  if (asAppRes.ok) {
-    return JSON.parse(asAppText);
-  }
-
-  console.log('updatePage: asApp failed', { pageId, status: asAppRes.status, body: asAppText });
-
-  // If app got 404, try asUser to check if the page exists or user has permissions.
-  if (asAppRes.status === 404) {
-    try {
-      const asUserRes = await api.asUser().requestConfluence(
-        route`/wiki/api/v2/pages/${pageId}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(bodyData)
-        }
-      );
-
-      const asUserText = await asUserRes.text();
-      if (asUserRes.ok) {
-        console.log('updatePage: asUser update succeeded while asApp returned 404', { pageId });
-        return JSON.parse(asUserText);
-      }
-      console.log('updatePage: asUser also failed', { pageId, status: asUserRes.status, body: asUserText });
-    } catch (e) {
-      console.log('updatePage: asUser request errored', e);
-    }
-  }
-
-  // Surface the original asApp error to the caller.
-  throw new Error(`PUT page failed: ${asAppRes.status} ${asAppText}`);
+  // As the user when the app cannot see the page, like getPageById
+  const page = await requestJson(route`/wiki/api/v2/pages/${pageId}`, {
+    method: 'PUT',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(bodyData),
+    description: 'PUT page',
+    asUserFallback: true,
+  });
+  return recordWrite(ctx, page, 'updated', currentVersionNumber);
 }
 
-async function createPage(spaceId, title, parentId, htmlValue) {
+async function createPage(spaceId, title, parentId, htmlValue, ctx) {
+  const storageValue = prepareStorageBody(htmlValue, title, ctx);
+  if (ctx && ctx.dryRun) return planCreatePage(ctx, spaceId, title, parentId, htmlValue);
   const bodyData = {
     spaceId: String(spaceId),
     status: 'current',
     title,
     body: {
       representation: 'storage',
-      value: `<div>${htmlValue}</div>`
+      value: storageValue
     },
   };
+  if (parentId) bodyData.parentId = String(parentId);
 
-  const res = await api.asApp().requestConfluence(
-    route`/wiki/api/v2/pages`,
-    {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(bodyData)
-    }
+  const page = await requestJson(route`/wiki/api/v2/pages`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(bodyData),
+    description: 'POST create page',
+  });
+  return recordWrite(ctx, page, 'created');
+}
+
+// --- Update Checks ---
+// What an update would replace is shown as a diff before anything is
+// written, and a page edited since the version our last migration wrote is
+// only touched with an explicit conflict policy.
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'merge'];
+
+// A page with its storage body, optionally as it was at an older version
+async function getPageStorage(pageId, version) {
+  return await requestJson(
+    version
+      ? route`/wiki/api/v2/pages/${pageId}?body-format=storage&version=${version}`
+      : route`/wiki/api/v2/pages/${pageId}?body-format=storage`,
+    { description: `GET page ${pageId}${version ? ` version ${version}` : ''}` }
   );
+}
+
+function updateError(message, update) {
+  const err = new Error(message);
+  err.update = update;
+  return err;
+}
 
-  const text = await res.text();
-  if (!res.ok) {
-    throw new Error(`POST create page failed: ${res.status} ${text}`);
+// Decide what to write over an existing page: our body, nothing (skip), or
+// the editor's changes merged with ours. entry is the ledger entry of the
+// document, if any; its version is the one our last migration wrote.
+// Returns { update, page, html } where update describes it for the UI.
+async function prepareMainPageUpdate(pageId, entry, finalHtml, payload, ctx) {
+  const page = await getPageStorage(pageId);
+  const currentBody = page.body?.storage?.value || '';
+  const currentVersion = page.version?.number ?? 0;
+  const lastMigratedVersion = entry && entry.pageId === String(pageId) ? entry.version : null;
+  const edited = lastMigratedVersion != null && currentVersion !== lastMigratedVersion;
+  const update = {
+    pageId: String(pageId),
+    title: page.title,
+    currentVersion,
+    lastMigratedVersion,
+    conflict: edited ? { editedBy: page.version?.authorId || null, editedAt: page.version?.createdAt || null } : null,
+    policy: edited ? payload.conflictPolicy || null : 'overwrite',
+    mergeConflicts: [],
+  };
+  if (update.policy && !CONFLICT_POLICIES.includes(update.policy)) {
+    throw new Error(`Unknown conflict policy "${update.policy}"`);
+  }
+  // The caller confirmed a diff against this version; anything newer is unreviewed
+  if (payload.expectedVersion != null && Number(payload.expectedVersion) !== currentVersion) {
+    throw updateError(`Page ${pageId} is now at version ${currentVersion}, not the version ${payload.expectedVersion} that was reviewed; preview the update again`, update);
+  }
+
+  let html = finalHtml;
+  if (update.policy === 'merge') {
+    const base = await getPageStorage(pageId, lastMigratedVersion);
+    const merged = mergeStorage(base.body?.storage?.value || '', currentBody, checkStorageBody(finalHtml, ctx.autoRepair).value);
+    html = merged.html;
+    update.mergeConflicts = merged.conflicts;
   }
-  return JSON.parse(text);
+  update.diff = diffStorage(currentBody, update.policy === 'skip' ? currentBody : checkStorageBody(html, ctx.autoRepair).value);
+
+  if (edited && !update.policy && !ctx.dryRun) {
+    throw updateError(`Page "${page.title}" was edited since the last migration (version ${lastMigratedVersion}, now ${currentVersion}); choose overwrite, skip or merge`, update);
+  }
+  return { update, page, html };
 }
 
-resolver.define('listSpaces', async () => {
-  try {
-    const res = await api.asApp().requestConfluence(
-      route`/wiki/api/v2/spaces?limit=50`,
-      { headers: { 'Accept': 'application/json' } }
-    );
+// --- Space Search ---
+// Cursor for the next page of a v2 list, taken from its _links.next URL
+function nextCursorFrom(data) {
+  const next = data?._links?.next;
+  if (!next) return null;
+  return new URL(next, 'https://confluence.invalid').searchParams.get('cursor');
+}
 
-    if (!res.ok) {
-      const text = await res.text();
-      return { error: `Failed to fetch spaces: ${res.status} ${text}` };
+// Pages of 250 spaces one listSpaces call scans for matches of a query
+const SPACE_SCAN_PAGES = 8;
+
+const toSpaceSummary = s => ({ id: s.id, key: s.key, name: s.name, type: s.type });
+
+async function fetchSpaces(params) {
+  return await requestJson(route`/wiki/api/v2/spaces?${params}`, { description: 'Fetch spaces' });
+}
+
+// Spaces sorted by name, a page at a time: { query, type, status, cursor, limit }.
+// The v2 API cannot search names, so with a query the spaces whose key or
+// name contain it are collected by scanning up to SPACE_SCAN_PAGES pages;
+// nextCursor continues the scan where it stopped. A space whose key is the
+// query comes first.
+resolver.define('listSpaces', async (req) => {
+  try {
+    const { query = '', type, status, cursor, limit = 25 } = req.payload || {};
+    const needle = String(query).trim().toLowerCase();
+    const wanted = Math.min(Math.max(Number(limit) || 25, 1), 250);
+    const filters = {};
+    if (type) filters.type = type;
+    if (status) filters.status = status;
+
+    const spaces = [];
+    if (needle && !cursor && /^[a-z0-9~]+$/.test(needle)) {
+      // Personal space keys (~accountId) are case-sensitive, others upper case
+      const key = String(query).trim();
+      const exact = await fetchSpaces(new URLSearchParams({ ...filters, keys: key.startsWith('~') ? key : key.toUpperCase() }));
+      (exact.results || []).forEach(s => spaces.push(toSpaceSummary(s)));
     }
 
-    const data = await res.json();
-    const spaces = (data.results || []).map(s => ({
-      id: s.id,
-      key: s.key,
-      name: s.name,
-    }));
+    let nextCursor = cursor || null;
+    let scanned = 0;
+    do {
+      const params = new URLSearchParams({ ...filters, sort: 'name', limit: String(needle ? 250 : wanted) });
+      if (nextCursor) params.set('cursor', nextCursor);
+      const data = await fetchSpaces(params);
+      (data.results || []).forEach(s => {
+        if (spaces.some(found => found.id === s.id)) return;
+        if (!needle || String(s.key).toLowerCase().includes(needle) || String(s.name || '').toLowerCase().includes(needle)) {
+          spaces.push(toSpaceSummary(s));
+        }
+      });
+      nextCursor = nextCursorFrom(data);
+      scanned++;
+    } while (needle && nextCursor && spaces.length < wanted && scanned < SPACE_SCAN_PAGES);
 
-    return { ok: true, spaces };
+    return { ok: true, spaces, nextCursor };
   } catch (err) {
     return { error: err.message || String(err) };
   }
@@ -719,49 +1450,246 @@ resolver.define('listSpaces', async () => {
 
 
 
-// --- Anchor Placeholder and Replacement Logic ---
-// On the main page, keep anchor text and link to a new Confluence page (created with 'to be migrated')
-function insertAnchorLinksToPages(html, data, spaceKey) {
-  // Replace <a data-itemid="...">...</a> with a Confluence page link, keeping anchorText
-  return html.replace(/<a([^>]*)data-itemid=["']([^"']+)["']([^>]*)>(.*?)<\/a>/gi, (m, pre, itemid, post, anchorText) => {
-    const item = findItemById(data, itemid);
-    if (item && item.detail && item.detail.itemType === 'Document') {
-      const title = item.detail.title || (item.fields || []).find(f => f.name === 'DocumentTitle')?.value || anchorText || itemid;
-      const cleanTitle = (title || '').trim().replace(/"/g, '&quot;');
-      return `<ac:link><ri:page ri:content-title="${cleanTitle}" ri:space-key="${spaceKey}" /><ac:plain-text-link-body><![CDATA[${anchorText}]]></ac:plain-text-link-body></ac:link>`;
-    }
-    return m;
-  });
+// Pages of a space, for choosing the parent page the migrated tree goes
+// under: { spaceId, cursor } returns 250 pages sorted by title and the
+// nextCursor of the rest (null after the last)
+resolver.define('listPages', async (req) => {
+  try {
+    const { spaceId, cursor } = req.payload || {};
+    if (!spaceId) return { error: 'Missing spaceId' };
+    const params = new URLSearchParams({ limit: '250', sort: 'title' });
+    if (cursor) params.set('cursor', cursor);
+    const data = await requestJson(route`/wiki/api/v2/spaces/${spaceId}/pages?${params}`, { description: 'Fetch pages' });
+    const pages = (data.results || []).map(p => ({
+      id: p.id,
+      title: p.title,
+      parentId: p.parentId || null,
+    }));
+
+    return { ok: true, pages, nextCursor: nextCursorFrom(data) };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// --- Page Search ---
+// Quote a value for a CQL string literal
+function cqlString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
 }
 
-function replaceAnchorPlaceholders(html, data) {
-  // Replace <a data-itemid="...">to be migrated</a> with actual content from matching inner child
-  return html.replace(/<a([^>]*)data-itemid=["']([^"']+)["']([^>]*)>to be migrated<\/a>/gi, (m, pre, itemid, post) => {
-    // Find the innermost child for this itemid
-    const item = findItemById(data, itemid);
-    if (item && Array.isArray(item.children) && item.children.length > 0) {
-      // Find the deepest child with fields
-      let target = item;
-      while (Array.isArray(target.children) && target.children.length > 0) {
-        // Prefer the first child with fields
-        const next = target.children.find(c => Array.isArray(c.fields) && c.fields.length > 0) || target.children[0];
-        if (!next || next === target) break;
-        target = next;
-      }
-      if (Array.isArray(target.fields)) {
-        const value = target.fields.map(f => f.value).filter(Boolean).join(' ');
-        return value || '';
+// Page as shown by the page picker: title, path of ancestor titles, last change
+function toPageSummary(content, base = '') {
+  return {
+    id: content.id,
+    title: content.title,
+    path: (content.ancestors || []).map(a => a.title).join(' / '),
+    space: content.space ? { id: String(content.space.id), key: content.space.key, name: content.space.name } : null,
+    version: content.version?.number ?? null,
+    lastModified: content.version?.when || null,
+    lastModifiedBy: content.version?.by?.displayName || null,
+    webui: content._links?.webui ? `${base}${content._links.webui}` : null,
+  };
+}
+
+// Pages of one space whose title matches query ({ spaceKey, query, cursor,
+// limit }); without a query the most recently modified pages come first.
+resolver.define('searchPages', async (req) => {
+  try {
+    const { spaceKey, query = '', cursor, limit = 25 } = req.payload || {};
+    if (!spaceKey) return { error: 'Missing spaceKey' };
+    const text = String(query).trim();
+    let cql = `space = ${cqlString(spaceKey)} AND type = page`;
+    // Whole words, or a word being typed
+    if (text) cql += ` AND (title ~ ${cqlString(text)} OR title ~ ${cqlString(`${text}*`)})`;
+    cql += ' ORDER BY lastmodified DESC';
+
+    const params = new URLSearchParams({
+      cql,
+      limit: String(Math.min(Math.max(Number(limit) || 25, 1), 100)),
+      expand: 'ancestors,version,space',
+    });
+    if (cursor) params.set('cursor', cursor);
+    const data = await requestJson(route`/wiki/rest/api/content/search?${params}`, { description: 'Search pages' });
+    const base = data._links?.base || '';
+    return {
+      ok: true,
+      pages: (data.results || []).map(c => toPageSummary(c, base)),
+      nextCursor: nextCursorFrom(data),
+    };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// The page an earlier run migrated this Knosys document to, if it still exists
+resolver.define('findRecordedPage', async (req) => {
+  try {
+    const entry = await getLedgerEntry(req.payload?.knosysId);
+    if (!entry) return { ok: true, page: null };
+    let content;
+    try {
+      content = await requestJson(route`/wiki/rest/api/content/${entry.pageId}?expand=ancestors,version,space`, {
+        description: `Fetch page ${entry.pageId}`,
+      });
+    } catch (err) {
+      if (err instanceof NotFoundError) return { ok: true, page: null };
+      throw err;
+    }
+    if (content.status && content.status !== 'current') return { ok: true, page: null };
+    return { ok: true, page: toPageSummary(content, content._links?.base || ''), entry };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// Upload images from the UI's bundle as attachments. Expects
+// { pageId, files: [{ filename, data (base64) }] }; each file is attempted
+// separately so one bad image does not stop the rest.
+resolver.define('attachImages', withRequestBudget(async (req) => {
+  try {
+    const { pageId, files } = req.payload || {};
+    if (!pageId) return { error: 'Missing pageId' };
+    if (!Array.isArray(files) || files.length === 0) return { error: 'No files to attach' };
+    const results = [];
+    for (const file of files) {
+      try {
+        await attachImageToPage(String(pageId), file.filename, Buffer.from(file.data || '', 'base64'));
+        results.push({ filename: file.filename, ok: true });
+      } catch (err) {
+        results.push({ filename: file.filename, ok: false, error: err.message || String(err) });
       }
     }
-    return '';
-  });
-}
+    return { ok: true, results };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+}));
+
+// Migration profiles: the registered stages plus every saved profile
+resolver.define('listProfiles', async () => {
+  try {
+    return { ok: true, stages: listStages(), profiles: await listProfiles() };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
 
+resolver.define('saveProfile', async (req) => {
+  try {
+    const profile = await saveProfile(req.payload?.profile);
+    return { ok: true, profile };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+resolver.define('deleteProfile', async (req) => {
+  try {
+    await deleteProfile(req.payload?.name);
+    return { ok: true };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
 
+resolver.define('getStyleSettings', async () => {
+  try {
+    return { ok: true, settings: await getStyleSettings(), defaults: DEFAULT_STYLE_SETTINGS };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
 
+resolver.define('saveStyleSettings', async (req) => {
+  try {
+    const settings = req.payload?.reset ? await resetStyleSettings() : await saveStyleSettings(req.payload?.settings);
+    return { ok: true, settings };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+resolver.define('getMigrationSettings', async () => {
+  try {
+    return { ok: true, settings: await getMigrationSettings(), defaults: DEFAULT_MIGRATION_SETTINGS };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+resolver.define('saveMigrationSettings', async (req) => {
+  try {
+    const settings = req.payload?.reset ? await resetMigrationSettings() : await saveMigrationSettings(req.payload?.settings);
+    return { ok: true, settings };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// Look up one item of an export: { data, itemId }
+resolver.define('resolveItemById', async (req) => {
+  try {
+    const { data, itemId } = req.payload || {};
+    if (!data || !itemId) return { error: 'data and itemId are required' };
+    const item = findItemById(data, itemId);
+    if (!item) return { error: `Item ${itemId} not found` };
+    return { ok: true, item: describeItem(item) };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// Check an export against the Knosys schema (src/schema.js) before migrating it
+resolver.define('validateExport', async (req) => {
+  try {
+    const json = req.payload?.json;
+    if (json === undefined) return { error: 'Missing JSON payload under "json"' };
+    return { ok: true, ...validateKnosysExport(json) };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// Where did a Knosys item end up? Looks up one id, or pages through the ledger
+resolver.define('getLedger', async (req) => {
+  try {
+    const { knosysId, cursor, limit } = req.payload || {};
+    if (knosysId) {
+      const entry = await getLedgerEntry(knosysId);
+      return { ok: true, entries: entry ? [entry] : [], nextCursor: null };
+    }
+    const { entries, nextCursor } = await listLedgerEntries({ cursor, limit });
+    return { ok: true, entries, nextCursor };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// --- Anchor Placeholder and Replacement Logic ---
+// On the main page, keep anchor text and link to a new Confluence page (created with 'to be migrated')
+function insertAnchorLinksToPages(html, data, spaceKey, ctx) {
+  // Replace <a data-itemid="...">...</a> with a Confluence page link, keeping anchorText
+  return html.replace(/<a([^>]*)data-itemid=["']([^"']+)["']([^>]*)>(.*?)<\/a>/gi, (m, pre, itemid, post, anchorText) => {
+    const item = findItemById(data, itemid);
+    if (item && item.detail && item.detail.itemType === 'Document') {
+      const title = item.detail.title || (item.fields || []).find(f => f.name === 'DocumentTitle')?.value || anchorText || itemid;
+      return generatePageLink(title, spaceKey, anchorText, itemid, ctx);
+    }
+    return m;
+  });
+}
+
+// Anchor pages are titled after the item's title or DocumentTitle; the
+// link title (often a bare Knosys id) is only the fallback
+function anchorPageTitle(node, fallback) {
+  const docTitle = (node?.fields || []).find(f => f && f.name === 'DocumentTitle' && f.value);
+  const title = node?.detail?.title || (docTitle ? decodeAttribute(docTitle.value.replace(/<[^>]*>/g, '')) : '');
+  return title.replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim() || fallback;
+}
 
 // Helper: Traverse all nodes and update anchor-linked pages as soon as a matching id is found
-async function updateAnchorPagesOnTraversal(node, anchorRefs, spaceId) {
+async function updateAnchorPagesOnTraversal(node, anchorRefs, spaceId, ctx) {
   if (!node) return;
   if (node.detail && anchorRefs.has(node.detail.id)) {
     // Extract value from fields (prefer fields of this node, else look for deepest child with fields)
@@ -782,151 +1710,1112 @@ async function updateAnchorPagesOnTraversal(node, anchorRefs, spaceId) {
     }
     if (value) {
       // Update the anchor-linked page with the value (as Confluence storage format)
-      const existingPage = await getOrCreatePage(spaceId, node.detail.id, `<div>${value}</div>`);
-      const currentVersionNumber = existingPage.version?.number ?? 0;
-      await updatePage(existingPage.id, node.detail.id, spaceId, `<div>${value}</div>`, currentVersionNumber);
+      await getOrCreateItemPage(node.detail.id, spaceId, anchorPageTitle(node, node.detail.id), `<div>${value}</div>`, findParentPageId(node.detail.id, ctx), ctx, { overwrite: true });
     }
   }
   if (Array.isArray(node.children)) {
     for (const child of node.children) {
-      await updateAnchorPagesOnTraversal(child, anchorRefs, spaceId);
+      await updateAnchorPagesOnTraversal(child, anchorRefs, spaceId, ctx);
     }
   }
 }
 
-resolver.define('migrateJsonToPage', async (req) => {
+// --- For each anchor with data-itemid, create or update a separate page with placeholder ---
+// Pages are created parents-first so each one can be nested under the page
+// of its nearest Knosys ancestor that has one (see findParentPageId).
+// Titles of the pages the anchor links in htmlBody point at: the page links
+// generatePageLink wrote for Document items (their titles are keys of
+// ctx.linkTargets). Read from the parsed DOM, as the DOM stages reserialize
+// the links. Include macros (no link body) and tooltip links are left out,
+// and so are links to other documents of a batch, which get those
+// documents' own pages.
+function collectAnchorRefs(htmlBody, knosysJson, ctx) {
+  const $ = parseFragment(htmlBody);
+  const anchorRefs = new Set();
+  $(escapeTagName('ri:page')).each((i, el) => {
+    const link = $(el).parent(escapeTagName('ac:link'));
+    if (!link.children(escapeTagName('ac:plain-text-link-body')).length) return;
+    const pageTitle = $(el).attr('ri:content-title');
+    const itemId = pageTitle && ctx.linkTargets[pageTitle];
+    if (!itemId || (ctx.batchTargets[itemId] && !findItemById(knosysJson, itemId))) return;
+    anchorRefs.add(pageTitle);
+  });
+  return anchorRefs;
+}
+
+async function createAnchorPages(htmlBody, knosysJson, spaceId, ctx) {
+  const anchorRefs = collectAnchorRefs(htmlBody, knosysJson, ctx);
 
+  // Traverse all nodes to find by detail.title
+  function findByTitle(n, title) {
+    if (n && n.detail && n.detail.title === title) return n;
+    if (Array.isArray(n.children)) {
+      for (const c of n.children) {
+        const found = findByTitle(c, title);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  // Try to find the node by the id behind the link first, then by title
+  const anchors = Array.from(anchorRefs).map(anchor => ({
+    anchor,
+    node: findItemById(knosysJson, ctx.linkTargets[anchor]) || findItemById(knosysJson, anchor) || findByTitle(knosysJson, anchor),
+  }));
+  anchors.sort((a, b) => itemDepth(a.node, ctx) - itemDepth(b.node, ctx));
+
+  // For each anchor, set the page content to the correct value from the JSON if available
+  for (const { anchor, node } of anchors) {
+    let value = '<p>to be migrated</p>';
+    if (node && Array.isArray(node.fields)) {
+      // Prefer DocumentTitle, else first value
+      const docTitle = node.fields.find(f => f.name === 'DocumentTitle');
+      value = `<div>${docTitle ? docTitle.value : (node.fields[0] && node.fields[0].value) || ''}</div>`;
+    }
+    const itemId = node?.detail?.id;
+    const { page } = await jobStep(ctx, `anchor:${anchor}`, anchorPageTitle(node, anchor), async () => {
+      // Placeholders never replace content a ledger-tracked page already has
+      const recorded = itemId ? await findLedgerPage(itemId) : null;
+      if (recorded) return { page: recorded.page };
+      const claim = await claimTitle(spaceId, anchorPageTitle(node, anchor), itemId, ctx);
+      if (!claim.title || claim.existing) return { page: claim.existing || null };
+      const created = await createPage(spaceId, claim.title, findParentPageId(itemId, ctx), value, ctx);
+      await recordItemPage(itemId, created, spaceId, claim.title, contentHash(value), ctx);
+      if (value === '<p>to be migrated</p>') {
+        addToReport(ctx.report, 'placeholderPages', {
+          itemId: itemId || '',
+          title: claim.title,
+          pageId: created?.id || '',
+          detail: node ? 'Item has no fields' : 'No matching item in the export',
+        }, anchor);
+      }
+      return { page: created };
+    });
+    if (itemId && page?.id) ctx.pageIdsByItemId[itemId] = page.id;
+  }
+
+  // Traverse all nodes and update anchor-linked pages as soon as a matching id is found
+  await updateAnchorPagesOnTraversal(knosysJson, anchorRefs, spaceId, ctx);
+}
+
+// --- Second-pass Page Link Resolution ---
+// ri:page links are generated from Knosys titles before the pages they point
+// at exist, and often with an empty space key. Once every page of the run
+// has been written, each link is pointed at the page that really exists:
+// through the Knosys id behind it when we know one, else by title.
+function decodeAttribute(value) {
+  return String(value || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// { title, spaceId } of the page a link should point at, or null
+async function resolveLinkedPage(title, spaceKey, ctx) {
+  const itemId = ctx.linkTargets[title];
+  // The page was skipped over a title collision; the title belongs to another page
+  if (itemId && ctx.collisionSkips.has(String(itemId))) return null;
+  const batchTarget = itemId && ctx.batchTargets[itemId];
+  // An item of another batch document without a page of its own links to that document's page
+  const pageId = itemId && (ctx.pageIdsByItemId[itemId] || (await getLedgerEntry(itemId))?.pageId ||
+    (batchTarget && (await getLedgerEntry(batchTarget.documentId))?.pageId));
+  if (pageId) {
+    const planned = ctx.plannedPages.find(p => p.id === String(pageId));
+    if (planned) return { title: planned.title, spaceId: planned.spaceId };
+    try {
+      const page = await getPageById(pageId);
+      return { title: page.title, spaceId: page.spaceId };
+    } catch (err) {
+      // Recorded page was deleted; fall back to the title lookup
+      if (err.status !== 404) throw err;
+    }
+  }
+  const spaceId = (spaceKey && (await getSpaceIdFromKey(spaceKey))) || ctx.spaceId;
+  const plainTitle = decodeAttribute(title);
+  const planned = ctx.plannedPages.find(p => p.action === 'create' && p.spaceId === String(spaceId) && p.title === plainTitle);
+  if (planned) return { title: planned.title, spaceId: planned.spaceId };
+  const page = await findPageByTitle(spaceId, plainTitle);
+  return page ? { title: page.title, spaceId: page.spaceId } : null;
+}
+
+// Rewrite every ri:page link in html to the actual title and space key of
+// its target. Links that resolve to nothing are reported as broken links.
+async function resolvePageLinks(html, ctx) {
+  const $ = parseFragment(html);
+  const links = $(escapeTagName('ri:page')).toArray();
+  if (!links.length) return html;
+  const targets = new Map();
+  let changed = false;
+  for (const el of links) {
+    const link = $(el);
+    const title = link.attr('ri:content-title') || '';
+    const spaceKey = link.attr('ri:space-key') || '';
+    const cacheKey = `${spaceKey}\n${title}`;
+    if (!targets.has(cacheKey)) targets.set(cacheKey, await resolveLinkedPage(title, spaceKey, ctx));
+    const target = targets.get(cacheKey);
+    if (!target) {
+      const itemId = ctx.linkTargets[title];
+      // Its document is later in the batch; resolveBatchLinks fixes the link then
+      let detail = spaceKey ? `No page with this title in space ${spaceKey}` : 'No page with this title';
+      if (itemId && ctx.batchTargets[itemId]) {
+        ctx.pendingBatchLinks[title] = itemId;
+        detail = 'Its document is not migrated yet; the link is fixed when the batch finishes';
+      }
+      addToReport(ctx.report, 'brokenLinks', { itemId: itemId || '', title: decodeAttribute(title), detail }, cacheKey);
+      // An empty key is not a space; leave the link relative to the current one
+      if (link.attr('ri:space-key') === '') {
+        link.removeAttr('ri:space-key');
+        changed = true;
+      }
+      continue;
+    }
+    const targetTitle = escapeHtml(target.title);
+    const targetKey = await getSpaceKeyById(target.spaceId, ctx);
+    if (targetTitle !== title) {
+      link.attr('ri:content-title', targetTitle);
+      changed = true;
+    }
+    if (targetKey && targetKey !== spaceKey) {
+      link.attr('ri:space-key', targetKey);
+      changed = true;
+    } else if (!targetKey && link.attr('ri:space-key') === '') {
+      link.removeAttr('ri:space-key');
+      changed = true;
+    }
+  }
+  return changed ? serializeFragment($) : html;
+}
+
+// --- Batch Migration ---
+// The UI migrates a batch of exports one document (one job) at a time. Each
+// payload carries batchTargets: the items of the other documents in the
+// batch that the export links to, { [knosysId]: { title, documentId } }.
+// Links to them become page links instead of "to be migrated" placeholders.
+// A link to a document later in the batch cannot be resolved yet; it is
+// returned in pendingBatchLinks, and resolveBatchLinks fixes it once the
+// whole batch is migrated.
+
+function batchTargetsFrom(value) {
+  const targets = {};
+  if (!value || typeof value !== 'object') return targets;
+  Object.entries(value).forEach(([itemId, target]) => {
+    if (!target || !target.title || !target.documentId) return;
+    targets[itemId] = { title: String(target.title), documentId: String(target.documentId) };
+  });
+  return targets;
+}
+
+// Expects { pageId, documentId, pendingBatchLinks, batchTargets } from a
+// batch document's migration; returns { ok, updated, pending } with the
+// links still unresolved
+resolver.define('resolveBatchLinks', withRequestBudget(async (req) => {
   try {
-    const payload = req.payload || {};
-    let knosysJson = payload.json || payload;
-    if (!knosysJson) return { error: 'Missing JSON payload under "json"' };
+    const { pageId, documentId, pendingBatchLinks, batchTargets } = req.payload || {};
+    if (!pageId) return { error: 'Missing pageId' };
+    const page = await getPageStorage(pageId);
+    const ctx = createRunContext({ spaceId: page.spaceId });
+    ctx.linkTargets = { ...(pendingBatchLinks || {}) };
+    ctx.batchTargets = batchTargetsFrom(batchTargets);
+    const html = unwrapStorageBody(page.body?.storage?.value || '');
+    const linkedHtml = await resolvePageLinks(html, ctx);
+    const pending = Object.keys(ctx.pendingBatchLinks);
+    if (linkedHtml === html) return { ok: true, updated: false, pending };
+    const updated = await updatePage(pageId, page.title, page.spaceId, linkedHtml, page.version?.number ?? 0, ctx);
+    // Keep the ledger's hash of the generated content, so a re-run of the
+    // document still finds the page unchanged by anyone else
+    const entry = await getLedgerEntry(documentId);
+    if (entry && entry.pageId === String(pageId)) {
+      await recordLedgerEntry(documentId, { ...entry, version: updated.version?.number });
+    }
+    return { ok: true, updated: true, pending };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+}));
+
+// --- Knosys Metadata ---
+// The document's properties and fields become page labels and a details
+// (page properties) macro as the metadataMappings setting says, and every
+// page we write gets a content property naming the Knosys item behind it.
+const SOURCE_PROPERTY_KEY = 'knosys-source';
 
-    // --- Anchor replacement: update all anchor tags with correct linked content ---
-    knosysJson = migrateAnchorsInJson(knosysJson);
+// Export date of a Knosys export, when it carries one
+function exportDateOf(knosysJson) {
+  return knosysJson?.exportDate || knosysJson?.exportedAt || knosysJson?.detail?.exportDate || knosysJson?.detail?.exportedAt || null;
+}
 
-    if (!payload.sharedParagraphSpaceKey) payload.sharedParagraphSpaceKey = payload.spaceKey || payload.spaceId;
-    if (!payload.imageHubSpaceKey) payload.imageHubSpaceKey = payload.spaceKey || payload.spaceId;
+// Values of a property, field or detail entry as non-empty strings.
+// properties is either { name: value } or [{ name, value }], and a value
+// may itself be a list.
+function metadataValues(item, { source, name }) {
+  let values = [];
+  if (source === 'detail') {
+    values = [item.detail?.[name]];
+  } else if (source === 'field') {
+    values = (item.fields || []).filter(f => f && f.name === name).map(f => f.value);
+  } else if (Array.isArray(item.properties)) {
+    values = item.properties.filter(p => p && p.name === name).map(p => p.value);
+  } else if (item.properties && typeof item.properties === 'object') {
+    values = [item.properties[name]];
+  }
+  return values
+    .flat()
+    .filter(v => v !== undefined && v !== null && typeof v !== 'object')
+    .map(v => String(v).replace(/<[^>]*>/g, '').trim())
+    .filter(Boolean);
+}
+
+// Confluence labels are lower case, without spaces or :;,.?&()[]#^*@!
+function toLabel(value, prefix = '') {
+  return (prefix + value)
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[:;,.?&[\]()#^*@!'"<>\\/]+/g, '')
+    .slice(0, 255);
+}
+
+// Returns { labels, details: [{ heading, values }] } for the document
+function mapMetadata(item, mappings = []) {
+  const labels = new Set();
+  const details = [];
+  for (const mapping of mappings) {
+    const values = metadataValues(item, mapping);
+    if (!values.length) continue;
+    if (mapping.toLabel) values.map(v => toLabel(v, mapping.labelPrefix)).filter(Boolean).forEach(l => labels.add(l));
+    if (mapping.toDetails) details.push({ heading: mapping.heading || mapping.name, values });
+  }
+  return { labels: Array.from(labels), details };
+}
 
-    // Always resolve numeric spaceId for Confluence REST v2
-    let spaceId = payload.spaceId || null;
-    let spaceKey = payload.spaceKey || null;
-    if (!spaceId && spaceKey) {
-      spaceId = await getSpaceIdFromKey(spaceKey);
+function detailsMacro(rows) {
+  if (!rows.length) return '';
+  const body = rows.map(row => `<tr><th>${escapeHtml(row.heading)}</th><td>${escapeHtml(row.values.join(', '))}</td></tr>`).join('');
+  return `<ac:structured-macro ac:name="details" ac:schema-version="1"><ac:rich-text-body><table><tbody>${body}</tbody></table></ac:rich-text-body></ac:structured-macro>`;
+}
+
+// Confluence turned a labels or property request down (a bad value, no
+// permission), which only costs the page its metadata. Throttling that
+// outlasted the retries, outages and a used-up budget stop the run instead.
+function isRejectedRequest(err) {
+  return err instanceof ConfluenceError && !(err instanceof RateLimitedError) && err.status >= 400 && err.status < 500;
+}
+
+// REST v2 has no endpoint for adding labels, so this one is v1
+async function addPageLabels(pageId, labels) {
+  if (!labels.length) return;
+  await requestConfluence(route`/wiki/rest/api/content/${pageId}/label`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(labels.map(name => ({ prefix: 'global', name }))),
+    description: 'Adding labels',
+  });
+}
+
+// Create a content property on a page, or update the one with the same key
+async function setPageProperty(pageId, key, value) {
+  const headers = { 'Accept': 'application/json', 'Content-Type': 'application/json' };
+  const data = await requestJson(route`/wiki/api/v2/pages/${pageId}/properties?key=${key}`, {
+    description: `Reading content property ${key}`,
+  });
+  const existing = (data.results || [])[0];
+  if (existing) {
+    await requestConfluence(route`/wiki/api/v2/pages/${pageId}/properties/${existing.id}`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify({ key, value, version: { number: (existing.version?.number ?? 0) + 1 } }),
+      description: `Writing content property ${key}`,
+    });
+  } else {
+    await requestConfluence(route`/wiki/api/v2/pages/${pageId}/properties`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ key, value }),
+      description: `Writing content property ${key}`,
+    });
+  }
+}
+
+// Trace a page we wrote back to its Knosys item. A rejected property only
+// warns: the page itself is written by then.
+async function recordSourceProperty(knosysId, page, ctx) {
+  if (ctx.sourcePropertyPages.has(page.id)) return;
+  ctx.sourcePropertyPages.add(page.id);
+  try {
+    await setPageProperty(page.id, SOURCE_PROPERTY_KEY, {
+      knosysId: String(knosysId),
+      itemType: ctx.itemsById[knosysId]?.detail?.itemType || null,
+      exportDate: ctx.exportDate,
+      migratedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    if (!isRejectedRequest(err)) throw err;
+    console.error('Could not record the Knosys source of page', page.id, err);
+    ctx.warnings.push({ step: 'contentProperties', message: `${page.title || page.id}: ${err.message}` });
+  }
+}
+
+// --- Run Rollback ---
+// Undo the page writes of a recorded run, newest first: pages it created are
+// deleted (moved to the trash) and pages it updated are restored to the
+// version they had before. A page edited after the run is left alone unless
+// force is set, so later human work is not thrown away, and so are the
+// pages the run created under it or that it links to. A run is not rolled
+// back at all while a later run that wrote the same pages still stands.
+async function deletePage(pageId) {
+  try {
+    await requestConfluence(route`/wiki/api/v2/pages/${pageId}`, { method: 'DELETE', description: 'DELETE page' });
+  } catch (err) {
+    // Already gone is as good as deleted
+    if (!(err instanceof NotFoundError)) throw err;
+  }
+}
+
+async function restorePageVersion(pageId, versionNumber, runId) {
+  const restored = await requestJson(route`/wiki/rest/api/content/${pageId}/version`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      operationKey: 'restore',
+      params: { versionNumber, message: `Rolled back migration run ${runId}`, restoreTitle: true },
+    }),
+    description: `Restoring version ${versionNumber}`,
+  });
+  // Restoring adds a new version with the old content
+  return restored.version?.number ?? null;
+}
+
+// null when the write can be undone, else the result that stands for it.
+// restores lists the { pageId, priorVersion, restoredAs } of later runs that
+// were rolled back: a page they put back to the version this run left
+// counts as unedited.
+async function checkWrite(write, force, restores) {
+  if (force || write.version == null) return null;
+  let page;
+  try {
+    page = await getPageById(write.pageId);
+  } catch (err) {
+    if (err.status === 404) return { outcome: write.action === 'created' ? 'already-deleted' : 'missing' };
+    throw err;
+  }
+  const current = page.version?.number ?? null;
+  const restoredToOurs = restores.some(r => r.pageId === write.pageId && r.priorVersion === write.version && r.restoredAs === current);
+  if (current !== write.version && !restoredToOurs) {
+    return { outcome: 'skipped', error: `Edited after the run (now version ${current}, the run left version ${write.version})` };
+  }
+  return null;
+}
+
+async function undoWrite(write, runId) {
+  if (write.action === 'created') {
+    await deletePage(write.pageId);
+    return { outcome: 'deleted' };
+  }
+  if (!write.priorVersion) return { outcome: 'skipped', error: 'Prior version is unknown' };
+  const restoredAs = await restorePageVersion(write.pageId, write.priorVersion, runId);
+  return { outcome: 'restored', restoredAs };
+}
+
+// Titles of the pages a page links to or includes
+async function linkedPageTitles(pageId) {
+  const $ = parseFragment((await getPageStorage(pageId)).body?.storage?.value || '');
+  return new Set($(escapeTagName('ri:page')).toArray().map(el => decodeAttribute($(el).attr('ri:content-title'))));
+}
+
+// Why a page the run created has to stay for a kept page, or null
+function keptDependency(write, keepers) {
+  for (const keeper of keepers) {
+    if (write.parentId && write.parentId === keeper.pageId) return `Its parent page "${keeper.title}" is kept`;
+    if (keeper.linkedTitles.has(write.title)) return `Page "${keeper.title}" that links to it is kept`;
+  }
+  return null;
+}
+
+// The first of the later runs (not rolled back) that wrote a page or ledger entry of run
+function findOverlappingRun(run, later) {
+  const pageIds = new Set(run.writes.map(w => w.pageId));
+  const knosysIds = new Set((run.ledgerChanges || []).map(c => c.knosysId));
+  return later.find(other => !other.rolledBackAt && (
+    (other.writes || []).some(w => pageIds.has(w.pageId)) ||
+    (other.ledgerChanges || []).some(c => knosysIds.has(c.knosysId))
+  )) || null;
+}
+
+// Outcomes that need no further rollback attempts
+const SETTLED_OUTCOMES = ['deleted', 'already-deleted', 'restored', 'missing'];
+
+resolver.define('rollbackRun', withRequestBudget(async (req) => {
+  try {
+    const { runId, force = false } = req.payload || {};
+    const run = await getRun(runId);
+    if (!run) return { error: `Unknown migration run "${runId}"` };
+    if (run.rolledBackAt) return { error: `Run ${runId} was already rolled back at ${run.rolledBackAt}` };
+    if (!Array.isArray(run.writes)) return { error: `Run ${runId} was recorded before page writes were tracked` };
+    const later = await listRunsAfter(runId);
+    const overlapping = force ? null : findOverlappingRun(run, later);
+    if (overlapping) {
+      return { error: `Run ${overlapping.runId} ("${overlapping.title}") wrote the same pages after this run; roll it back first` };
     }
-    if (!spaceId) {
-      console.error('Resolved spaceId is null or empty. Payload:', payload, 'spaceKey:', spaceKey);
-      return { error: 'Missing or invalid spaceId/spaceKey in payload (resolved spaceId is null)' };
+    const restores = later.filter(other => other.rolledBackAt).flatMap(other => other.rollback.results.filter(r => r.outcome === 'restored'));
+
+    // A retry after a partial rollback only redoes what is still outstanding
+    const previous = new Map((run.rollback?.results || []).map(r => [r.pageId, r]));
+    const writes = [...run.writes].reverse();
+    const decided = new Map();
+    const pending = [];
+    for (const write of writes) {
+      const earlier = previous.get(write.pageId);
+      if (earlier && SETTLED_OUTCOMES.includes(earlier.outcome)) {
+        decided.set(write.pageId, earlier);
+        continue;
+      }
+      try {
+        const checked = await checkWrite(write, force, restores);
+        if (checked) decided.set(write.pageId, { ...write, ...checked });
+        else pending.push(write);
+      } catch (err) {
+        decided.set(write.pageId, { ...write, outcome: 'failed', error: err.message || String(err) });
+      }
     }
-    spaceKey = spaceKey || '';
 
-    // 1. Extract and process HTML from JSON
-    let htmlBody = extractHtmlFromNode(knosysJson) || '<p>(no content extracted)</p>';
-
-    // --- Insert anchor links to new pages, keeping anchor text ---
-    htmlBody = insertAnchorLinksToPages(htmlBody, knosysJson, spaceKey);
-
-    // 2. Fix broken/external links
-    htmlBody = fixBrokenLinks(htmlBody);
-    htmlBody = fixExternalLinks(htmlBody);
-
-    // 3. Rewrite internal/hidden links and handle bookmarks
-    htmlBody = rewriteInternalLinks(htmlBody, knosysJson, spaceKey);
-    htmlBody = rewriteHiddenLinks(htmlBody, knosysJson, spaceKey);
-    htmlBody = insertAnchorMacros(htmlBody, knosysJson);
-
-    // 4. Convert checkboxes to Confluence task list macros
-    htmlBody = convertCheckboxesToTaskList(htmlBody);
-
-    // 5. Color/style formatting
-    htmlBody = colorFormatter(htmlBody);
-
-    // 6. Process shared paragraphs and image hub logic
-    const sharedParagraphSpaceKey = payload.sharedParagraphSpaceKey || '';
-    const imageHubSpaceKey = payload.imageHubSpaceKey || '';
-    const imageTitleMap = {};
-    await processSharedContent(knosysJson, sharedParagraphSpaceKey, imageHubSpaceKey, imageTitleMap);
-
-    // 7. Tooltip/external info logic (if needed, e.g., for <a data-externalid=...>)
-    // (Assume infoLookup is built from knosysJson.external.information)
-    // Not fully implemented here, but can be added as needed
-
-    // 8. Assemble final Confluence storage format
-    const pageTopAnchor = '<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">PageTop</ac:parameter></ac:structured-macro>\n';
-    const finalHtml = pageTopAnchor + htmlBody;
-
-    // 9. Determine title
-    const title =
-      payload.title ||
-      knosysJson.detail?.title ||
-      (knosysJson.fields?.find(f => f.name === 'DocumentTitle')?.value) ||
-      'Migrated page from Knosys';
-
-    // 10. Create or update page
-    if (payload.pageId) {
-      const pageIdToUpdate = String(payload.pageId);
-      const existing = await getPageById(pageIdToUpdate);
-      const currentVersionNumber = existing.version?.number ?? 0;
-      const updated = await updatePage(
-        pageIdToUpdate,
-        title,
-        spaceId,
-        finalHtml,
-        currentVersionNumber
-      );
-      return { ok: true, action: 'updated', page: updated };
+    // Pages the run created are not deleted from under a page that stays
+    const keepers = [];
+    const keep = async (result) => {
+      let linkedTitles = new Set();
+      try {
+        linkedTitles = await linkedPageTitles(result.pageId);
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+      keepers.push({ pageId: result.pageId, title: result.title, linkedTitles });
+    };
+    for (const result of decided.values()) {
+      if (!SETTLED_OUTCOMES.includes(result.outcome)) await keep(result);
+    }
+    for (let grown = true; grown;) {
+      grown = false;
+      for (const write of pending) {
+        if (decided.has(write.pageId) || write.action !== 'created') continue;
+        const reason = keptDependency(write, keepers);
+        if (!reason) continue;
+        const result = { ...write, outcome: 'skipped', error: reason };
+        decided.set(write.pageId, result);
+        await keep(result);
+        grown = true;
+      }
     }
 
-    // --- For each anchor with data-itemid, create or update a separate page with placeholder ---
-    // Collect all anchor refs
-    const anchorRefs = new Set();
-    htmlBody.replace(/<ac:link><ri:page ri:content-title=\"([^\"]+)\" ri:space-key=\"[^\"]*\" \/><ac:plain-text-link-body><!\[CDATA\[(.*?)\]\]><\/ac:plain-text-link-body><\/ac:link>/g, (m, pageTitle, anchorText) => {
-      anchorRefs.add(pageTitle);
-      return m;
+    for (const write of pending) {
+      if (decided.has(write.pageId)) continue;
+      try {
+        decided.set(write.pageId, { ...write, ...(await undoWrite(write, runId)) });
+      } catch (err) {
+        decided.set(write.pageId, { ...write, outcome: 'failed', error: err.message || String(err) });
+      }
+    }
+    const results = writes.map(write => decided.get(write.pageId));
+
+    // The ledger goes back to how the run found it, except where it points at
+    // a page that was kept (skipped or failed); restored pages are recorded
+    // at the version the restore created, so the next run does not mistake
+    // it for a human edit.
+    const byPage = new Map(results.map(r => [r.pageId, r]));
+    for (const change of run.ledgerChanges || []) {
+      const current = await getLedgerEntry(change.knosysId);
+      const result = current && byPage.get(current.pageId);
+      if (result && !SETTLED_OUTCOMES.includes(result.outcome)) continue;
+      const restored = change.previous && byPage.get(change.previous.pageId);
+      const entry = restored && restored.outcome === 'restored'
+        ? { ...change.previous, version: restored.restoredAs ?? change.previous.version }
+        : change.previous;
+      await restoreLedgerEntry(change.knosysId, entry);
+    }
+
+    const complete = results.every(r => SETTLED_OUTCOMES.includes(r.outcome));
+    const rollback = { at: new Date().toISOString(), complete, results };
+    await updateRun(runId, complete ? { rollback, rolledBackAt: rollback.at } : { rollback });
+    return { ok: true, runId, complete, results };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+}));
+
+// --- Built-in Pipeline Stages ---
+// Registered in the order the default profile runs them
+registerStage('insertAnchorLinksToPages', (html, { knosysJson, spaceKey, ctx }) => insertAnchorLinksToPages(html, knosysJson, spaceKey, ctx), {
+  description: 'Link <a data-itemid> anchors to Document items to their own pages',
+});
+registerStage('fixBrokenLinks', (html, { ctx }) => fixBrokenLinks(html, ctx.settings.linkDomainRules), {
+  description: 'Turn href="#" links whose text is a URL on a configured domain into real external links',
+});
+registerStage('fixExternalLinks', html => fixExternalLinks(html), {
+  description: 'Normalise <a class="externallink"> links',
+});
+registerStage('rewriteInternalLinks', (html, { knosysJson, spaceKey, ctx }) => rewriteInternalLinks(html, knosysJson, spaceKey, ctx), {
+  description: 'Rewrite remaining data-itemid and #bookmark links as Confluence links',
+});
+registerStage('rewriteHiddenLinks', (html, { knosysJson, spaceKey, ctx }) => rewriteHiddenLinks(html, knosysJson, spaceKey, ctx), {
+  description: 'Rewrite data-itemid links inside HiddenText content',
+});
+registerStage('insertAnchorMacros', (html, { knosysJson }) => insertAnchorMacros(html, knosysJson), {
+  description: 'Insert anchor macros for Knosys Bookmark fields',
+});
+registerStage('convertImagesToAttachments', (html, { ctx }) => convertImagesToAttachments(html, ctx), {
+  description: 'Turn <img itemid> tags into attachment image macros',
+});
+registerStage('convertCheckboxesToTaskList', html => convertCheckboxesToTaskList(html), {
+  description: 'Turn HTML checkboxes into a Confluence task list',
+});
+registerStage('colorFormatter', (html, { styleSettings }) => colorFormatter(html, styleSettings), {
+  description: 'Apply .alt2/.alt3 colours, convert units and clean up tables and empty tags',
+});
+registerStage('rewriteExternalInfoLinks', (html, { infoLookup, spaceKey, ctx }) => rewriteExternalInfoLinks(html, infoLookup, spaceKey, ctx), {
+  description: 'Turn <a data-externalid> tooltips into inline panels or tooltip page links',
+});
+
+// Fill in the report sections that are kept elsewhere on ctx during the run
+function buildRunReport(ctx, attachmentSummary, summary) {
+  ctx.warnings.forEach(w => addToReport(ctx.report, 'transformFallbacks', { step: w.step, detail: w.message }));
+  attachmentSummary.attachments.filter(a => a.missing).forEach(a => {
+    addToReport(ctx.report, 'missingImages', { filename: a.filename, title: a.pageTitle, pageId: a.pageId || '' });
+  });
+  ctx.validationIssues.forEach(issue => {
+    issue.errors.forEach(e => {
+      addToReport(ctx.report, 'storageProblems', {
+        title: issue.title,
+        detail: `line ${e.line}, column ${e.column}: ${e.message}`,
+        repaired: Boolean(issue.repaired),
+      });
     });
+  });
+  return finalizeReport(ctx.report, { ...summary, profile: ctx.profileName });
+}
 
-    // For each anchor, set the page content to the correct value from the JSON if available
-    for (const anchor of anchorRefs) {
-      // Try to find the node by title or id
-      let node = null;
-      // Try by id first
-      node = findItemById(knosysJson, anchor);
-      // If not found by id, try by title
-      if (!node) {
-        // Traverse all nodes to find by detail.title
-        function findByTitle(n, title) {
-          if (n && n.detail && n.detail.title === title) return n;
-          if (Array.isArray(n.children)) {
-            for (const c of n.children) {
-              const found = findByTitle(c, title);
-              if (found) return found;
-            }
-          }
-          return null;
-        }
-        node = findByTitle(knosysJson, anchor);
+// Result returned instead of a page when payload.dryRun is set
+function dryRunResult(ctx, title, finalHtml, imageFiles, documentId) {
+  const attachmentSummary = summarizeAttachments(ctx, imageFiles);
+  return {
+    ok: true,
+    action: 'dry-run',
+    title,
+    // Same value createPage/updatePage would send as body.storage
+    storage: checkStorageBody(finalHtml, ctx.autoRepair).value,
+    pages: ctx.plannedPages,
+    validation: ctx.validationIssues,
+    profile: ctx.profileName,
+    warnings: ctx.warnings,
+    ...attachmentSummary,
+    report: buildRunReport(ctx, attachmentSummary, { runId: null, title, documentId: documentId || null, action: 'dry-run', dryRun: true }),
+  };
+}
+
+// Result for a document the skip title collision policy left alone: another
+// page has its title, so nothing is written and no run is recorded. The
+// collision is in the report.
+function skippedMigrationResult(ctx, title, documentId) {
+  // No page to attach images to
+  const attachmentSummary = { attachments: [], missingImages: [] };
+  return {
+    ok: true,
+    action: 'skipped',
+    runId: null,
+    title,
+    page: null,
+    reason: `A page titled "${title}" already exists in the space (title collision policy: skip)`,
+    warnings: ctx.warnings,
+    ...attachmentSummary,
+    report: buildRunReport(ctx, attachmentSummary, { runId: null, title, documentId: documentId || null, action: 'skipped', dryRun: ctx.dryRun }),
+    requests: requestStats(),
+  };
+}
+
+// Error result for a payload whose export fails schema validation, or null
+function schemaErrorResult(knosysJson) {
+  const schemaCheck = validateKnosysExport(knosysJson);
+  if (schemaCheck.valid) return null;
+  return {
+    error: `The file is not a valid Knosys export: ${schemaCheck.errors.length} problem(s), first at ${schemaCheck.errors[0].path}`,
+    schemaErrors: schemaCheck.errors,
+  };
+}
+
+// --- Migration ---
+// One migration of a migrateJsonToPage payload, returning its result. run.ctx
+// is set as soon as the run context exists so the caller can still record
+// the pages written before an error. In a background job chunk (run.job),
+// page-writing steps are checkpointed, and a chunk resuming the job starts
+// from the checkpoint's run context and converted HTML instead of
+// converting the export again.
+async function migrateExport(payload, run) {
+  let knosysJson = payload.json || payload;
+  if (!knosysJson) return { error: 'Missing JSON payload under "json"' };
+  const schemaErrors = schemaErrorResult(knosysJson);
+  if (schemaErrors) return schemaErrors;
+
+  // Only the subtrees ticked in the item tree are migrated
+  const excludedItemIds = Array.isArray(payload.excludeItemIds) ? payload.excludeItemIds : [];
+  if (excludedItemIds.length) knosysJson = pruneExport(knosysJson, new Set(excludedItemIds.map(String)));
+
+  // --- Anchor replacement: update all anchor tags with correct linked content ---
+  const batchTargets = batchTargetsFrom(payload.batchTargets);
+  knosysJson = migrateAnchorsInJson(knosysJson, batchTargets);
+
+  // Payload fields override the admin's migration settings
+  const settings = await getMigrationSettings();
+  if (!payload.sharedParagraphSpaceKey) payload.sharedParagraphSpaceKey = settings.sharedParagraphSpaceKey || payload.spaceKey || payload.spaceId;
+  if (!payload.imageHubSpaceKey) payload.imageHubSpaceKey = settings.imageHubSpaceKey || payload.spaceKey || payload.spaceId;
+
+  // Always resolve numeric spaceId for Confluence REST v2
+  let spaceId = payload.spaceId || null;
+  let spaceKey = payload.spaceKey || null;
+  if (!spaceId && spaceKey) {
+    spaceId = await getSpaceIdFromKey(spaceKey);
+  }
+  if (!spaceId) {
+    console.error('Resolved spaceId is null or empty. Payload:', payload, 'spaceKey:', spaceKey);
+    return { error: 'Missing or invalid spaceId/spaceKey in payload (resolved spaceId is null)' };
+  }
+  spaceKey = spaceKey || '';
+  const checkpoint = run.job?.checkpoint;
+  let ctx;
+  let htmlBody;
+  let profile;
+  if (checkpoint) {
+    ctx = restoreRunContext(checkpoint.context, knosysJson);
+    htmlBody = checkpoint.htmlBody;
+    profile = checkpoint.profile;
+  } else {
+    ctx = createRunContext({ dryRun: payload.dryRun, autoRepair: payload.autoRepair, spaceId, knosysJson, settings, excludedItemIds });
+    ctx.batchTargets = batchTargets;
+    if (payload.titleCollisionPolicy) {
+      if (!TITLE_COLLISION_POLICIES.includes(payload.titleCollisionPolicy)) {
+        return { error: `Unknown title collision policy "${payload.titleCollisionPolicy}"` };
       }
-      let value = '<p>to be migrated</p>';
-      if (node && Array.isArray(node.fields)) {
-        // Prefer DocumentTitle, else first value
-        const docTitle = node.fields.find(f => f.name === 'DocumentTitle');
-        value = `<div>${docTitle ? docTitle.value : (node.fields[0] && node.fields[0].value) || ''}</div>`;
+      ctx.titleCollision.policy = payload.titleCollisionPolicy;
+    }
+    // Include macros need a space key; a numeric id is left for resolvePageLinks to fix
+    const sharedParagraphSpace = String(payload.sharedParagraphSpaceKey || '');
+    ctx.sharedParagraphSpaceKey = sharedParagraphSpace === String(spaceId) || !isNaN(Number(sharedParagraphSpace)) ? spaceKey : sharedParagraphSpace;
+
+    // 1. Extract and process HTML from JSON
+    htmlBody = extractHtmlFromNode(knosysJson, ctx) || '<p>(no content extracted)</p>';
+
+    // 2. Run the conversion stages of the selected migration profile
+    profile = await getProfile(payload.profile);
+    ctx.profileName = profile.name;
+    const infoLookup = buildInfoLookup(knosysJson);
+    const styleSettings = await getStyleSettings();
+    htmlBody = await runPipeline(htmlBody, profile, { knosysJson, spaceKey, infoLookup, styleSettings, ctx });
+  }
+  run.ctx = ctx;
+  if (run.job) {
+    ctx.job = run.job;
+    run.htmlBody = htmlBody;
+    run.profile = profile;
+    if (!checkpoint) run.job.total = estimateJobSteps(htmlBody, knosysJson, ctx);
+  }
+
+  // 3. Assemble final Confluence storage format
+  // PageTop is the target of the sections' back-to-top links
+  const pageTopAnchor = `${anchorMacro(PAGE_TOP_ANCHOR)}\n`;
+  const toc = ctx.sections.length ? `${TOC_MACRO}\n` : '';
+  const metadata = mapMetadata(knosysJson, settings.metadataMappings);
+  const finalHtml = pageTopAnchor + detailsMacro(metadata.details) + toc + htmlBody;
+
+  // 4. Determine title
+  let title =
+    payload.title ||
+    knosysJson.detail?.title ||
+    (knosysJson.fields?.find(f => f.name === 'DocumentTitle')?.value) ||
+    'Migrated page from Knosys';
+
+  // 5. Create or update the main page; it is the root of the migrated page tree.
+  // Without an explicit pageId, a page recorded in the ledger for this
+  // document by an earlier run is updated instead of creating a duplicate.
+  const documentId = knosysJson.detail?.id;
+  const finalHash = contentHash(finalHtml);
+  const main = await jobStep(ctx, 'main', title, async () => {
+    // Updates are checked against edits made since our last migration first.
+    const recorded = payload.pageId ? null : await findLedgerPage(documentId);
+    // A new document's title goes through the title collision policy; reuse
+    // turns the create into an update of the page that has the title
+    let reused = null;
+    if (!payload.pageId && !recorded) {
+      const claim = await claimTitle(spaceId, title, documentId, ctx);
+      if (!claim.title) return { page: null, action: 'skipped', title, update: null, html: null };
+      reused = claim.existing || null;
+      title = claim.title;
+    }
+    let mainPage;
+    let action;
+    let writtenHtml = finalHtml;
+    let update = null;
+    if (recorded && recorded.entry.hash === finalHash && recorded.entry.version === recorded.page.version?.number) {
+      mainPage = recorded.page;
+      action = 'unchanged';
+    } else if (payload.pageId || recorded || reused) {
+      const pageIdToUpdate = String(payload.pageId || (recorded ? recorded.page.id : reused.id));
+      const entry = recorded ? recorded.entry : await getLedgerEntry(documentId);
+      const prepared = await prepareMainPageUpdate(pageIdToUpdate, entry, finalHtml, payload, ctx);
+      update = prepared.update;
+      if (update.policy === 'skip') {
+        mainPage = prepared.page;
+        action = 'skipped';
+      } else {
+        writtenHtml = prepared.html;
+        title = await titleForUpdate(prepared.page, title, spaceId, ctx);
+        mainPage = await updatePage(
+          pageIdToUpdate,
+          title,
+          spaceId,
+          writtenHtml,
+          update.currentVersion,
+          ctx
+        );
+        action = 'updated';
       }
-      await getOrCreatePage(spaceId, anchor, value);
+    } else {
+      mainPage = await createPage(
+        spaceId,
+        title,
+        payload.parentId || undefined,
+        finalHtml,
+        ctx
+      );
+      action = 'created';
     }
+    const wroteMainPage = action === 'created' || action === 'updated';
+    if (wroteMainPage) await recordItemPage(documentId, mainPage, spaceId, title, finalHash, ctx);
+    if (wroteMainPage && !ctx.dryRun) {
+      try {
+        await addPageLabels(mainPage.id, metadata.labels);
+      } catch (err) {
+        if (!isRejectedRequest(err)) throw err;
+        console.error('Could not label the main page', err);
+        ctx.warnings.push({ step: 'labels', message: err.message });
+      }
+    }
+    return { page: mainPage, action, title, update, html: writtenHtml === finalHtml ? null : writtenHtml };
+  });
+  let mainPage = main.page;
+  const { action, update } = main;
+  title = main.title;
+  if (!mainPage) return skippedMigrationResult(ctx, title, documentId);
+  const writtenHtml = main.html || finalHtml;
+  const wroteMainPage = action === 'created' || action === 'updated';
+  ctx.rootPageId = mainPage.id;
+  ctx.documentId = documentId || null;
+  ctx.documentTitle = title;
+  if (documentId) ctx.pageIdsByItemId[documentId] = mainPage.id;
+
+  // 6. Create anchor pages below their Knosys parents
+  await createAnchorPages(htmlBody, knosysJson, spaceId, ctx);
+
+  // 7. Create the tooltip pages queued by the rewriteExternalInfoLinks stage
+  await createTooltipPages(spaceId, ctx);
+
+  // 8. Write the shared paragraph pages the main page includes, and the image hub pages
+  const sharedParagraphSpaceKey = payload.sharedParagraphSpaceKey || '';
+  const imageHubSpaceKey = payload.imageHubSpaceKey || '';
+  const imageTitleMap = {};
+  await processSharedContent(knosysJson, sharedParagraphSpaceKey, imageHubSpaceKey, imageTitleMap, ctx);
+
+  // 9. Second pass: point the generated page links at the pages that now exist
+  const linked = await jobStep(ctx, 'links', 'Page links', async () => {
+    const html = await resolvePageLinks(writtenHtml, ctx);
+    if (html !== writtenHtml && wroteMainPage) {
+      mainPage = await updatePage(mainPage.id, title, spaceId, html, mainPage.version?.number ?? 0, ctx);
+      // Keep the pre-resolution hash so an unchanged re-run is still skipped
+      await recordItemPage(documentId, mainPage, spaceId, title, finalHash, ctx);
+    }
+    return { page: mainPage, html: html === writtenHtml ? null : html };
+  });
+  mainPage = linked.page;
+  const linkedHtml = linked.html || writtenHtml;
+
+  // 10. Work out which images the UI must upload from its bundle, and where
+  findAttachmentFilenames(linkedHtml).forEach(filename => addAttachmentTarget(ctx, filename, mainPage));
 
-    // Traverse all nodes and update anchor-linked pages as soon as a matching id is found
-    await updateAnchorPagesOnTraversal(knosysJson, anchorRefs, spaceId);
+  if (ctx.dryRun) return { ...dryRunResult(ctx, title, linkedHtml, payload.imageFiles, documentId), update, labels: metadata.labels };
 
-    const created = await createPage(
-      spaceId,
-      title,
-      undefined,
-      finalHtml
-    );
-    return { ok: true, action: 'created', page: created };
+  // 11. Record the run, including the profile it used and its report
+  const runId = newRunId();
+  const attachmentSummary = summarizeAttachments(ctx, payload.imageFiles);
+  const report = buildRunReport(ctx, attachmentSummary, {
+    runId,
+    title,
+    documentId: documentId || null,
+    pageId: mainPage.id,
+    action,
+    dryRun: false,
+  });
+  await recordRun({
+    runId,
+    documentId: documentId || null,
+    title,
+    spaceId: String(spaceId),
+    pageId: mainPage.id,
+    action,
+    profile,
+    warnings: ctx.warnings,
+    report: truncateReport(report),
+    writes: ctx.writes,
+    ledgerChanges: ctx.ledgerChanges,
+  });
+  return {
+    ok: true,
+    action,
+    runId,
+    page: mainPage,
+    warnings: ctx.warnings,
+    validation: ctx.validationIssues,
+    ...attachmentSummary,
+    report,
+    update,
+    labels: metadata.labels,
+    pendingBatchLinks: ctx.pendingBatchLinks,
+    requests: requestStats(),
+  };
 
+}
+
+// Error result for a migration that threw. Pages written before the error
+// are recorded as a run (with status failed, or cancelled for a cancelled
+// job) so they can still be rolled back.
+async function failedMigrationResult(err, ctx, status = 'failed') {
+  const result = {
+    error: err.message || String(err),
+    validationErrors: err.validationErrors,
+    update: err.update,
+    collision: err.collision,
+    requests: requestStats(),
+  };
+  if (ctx && !ctx.dryRun && ctx.writes.length) {
+    result.runId = newRunId();
+    try {
+      await recordRun({
+        runId: result.runId,
+        status,
+        error: result.error,
+        spaceId: String(ctx.spaceId),
+        profile: ctx.profileName,
+        warnings: ctx.warnings,
+        writes: ctx.writes,
+        ledgerChanges: ctx.ledgerChanges,
+      });
+    } catch (recordErr) {
+      console.error('Could not record the failed run', recordErr);
+      delete result.runId;
+    }
+  }
+  return result;
+}
+
+resolver.define('migrateJsonToPage', withRequestBudget(async (req) => {
+  const run = { ctx: null };
+  try {
+    return await migrateExport(req.payload || {}, run);
   } catch (err) {
     console.error('migrateJsonToPage error', err);
+    return await failedMigrationResult(err, run.ctx);
+  }
+}));
+
+// --- Background Jobs ---
+// startMigrationJob queues a migration for the migration-job consumer
+// (manifest.yml) instead of running it within the resolver's time limit.
+// Each queue event runs one chunk of the job under its own request budget.
+// Page-writing steps (jobStep) are checkpointed: a chunk that runs out of
+// budget saves the run context, the converted HTML and the finished steps,
+// and queues the next chunk, which carries on from there.
+
+// Consumer functions may run for 15 minutes; stop a minute before that
+const JOB_CHUNK_BUDGET = { maxRequests: 5000, timeLimitMs: 14 * 60 * 1000 };
+// A step takes a handful of requests (ledger lookup, title check, write,
+// content property); a chunk stops before a step rather than inside one
+const JOB_STEP_RESERVE = { requests: 20, ms: 30000 };
+const JOB_PROGRESS_INTERVAL_MS = 2000;
+// Give up on a job whose chunks keep running out of budget
+const MAX_JOB_CHUNKS = 50;
+const MAX_JOB_ERRORS = 50;
+const JOB_POLL_FIELDS = ['jobId', 'status', 'title', 'documentId', 'createdAt', 'updatedAt', 'finishedAt', 'chunks', 'progress', 'errors', 'cancelRequested', 'runId'];
+
+function jobCancelledError(jobId) {
+  const err = new Error(`Migration job ${jobId} was cancelled`);
+  err.cancelled = true;
+  return err;
+}
+
+// Page-writing steps a job runs: the main page, a placeholder per anchor
+// link and a content page for the ones named by a Knosys id (see
+// updateAnchorPagesOnTraversal), the tooltip pages, the image and shared
+// paragraph pages, and the page link pass. Items without content get no
+// page, so this can come out a few steps high.
+function estimateJobSteps(htmlBody, knosysJson, ctx) {
+  let items = 0;
+  const count = node => {
+    const type = node?.detail?.itemType;
+    if (type === 'Image' || type === 'SharedParagraph') items++;
+    (node?.children || []).forEach(count);
+  };
+  (knosysJson.children || []).forEach(count);
+  const anchorRefs = Array.from(collectAnchorRefs(htmlBody, knosysJson, ctx));
+  const contentPages = anchorRefs.filter(anchor => findItemById(knosysJson, anchor)).length;
+  return 2 + anchorRefs.length + contentPages + ctx.tooltipPages.length + items;
+}
+
+function jobProgress(job) {
+  const done = Object.keys(job.steps).length;
+  return { done, total: Math.max(job.total || 0, done), current: job.current };
+}
+
+// Before each step: stop the chunk if its budget is nearly used up, report
+// progress now and then, and stop the job if it was cancelled meanwhile
+async function beginJobStep(ctx, label) {
+  const job = ctx.job;
+  ensureBudget(JOB_STEP_RESERVE, `"${label}"`);
+  job.current = label;
+  if (Date.now() - job.savedAt < JOB_PROGRESS_INTERVAL_MS) return;
+  job.savedAt = Date.now();
+  const saved = await updateJob(job.jobId, { progress: jobProgress(job), errors: ctx.warnings.slice(0, MAX_JOB_ERRORS) });
+  if (saved.cancelRequested) throw jobCancelledError(job.jobId);
+}
+
+// Run a page-writing step once per job: a chunk resuming the job gets the
+// checkpointed result back instead of writing again. Page bodies are left
+// out of the checkpoint; callers only use page ids, titles and versions.
+// Outside a job, or without a key, run is simply called.
+async function jobStep(ctx, key, label, run) {
+  const job = ctx?.job;
+  if (!job || !key) return run();
+  if (Object.prototype.hasOwnProperty.call(job.steps, key)) return job.steps[key];
+  await beginJobStep(ctx, label);
+  const result = await run();
+  job.steps[key] = JSON.parse(JSON.stringify(result ?? null, (name, value) => (name === 'body' ? undefined : value)));
+  return result;
+}
+
+function jobErrors(warnings, error) {
+  const errors = (warnings || []).slice(0, MAX_JOB_ERRORS);
+  if (error) errors.push({ step: 'migration', message: error });
+  return errors;
+}
+
+// Save a finished job's result and drop the payload and checkpoint
+async function finishJob(jobId, status, result, run) {
+  const pieces = await saveJobBlob(jobId, 'result', result);
+  const job = await getJob(jobId);
+  await deleteJobBlob(job, 'payload');
+  await deleteJobBlob(job, 'checkpoint');
+  const progress = jobProgress(run.job);
+  await updateJob(jobId, {
+    status,
+    finishedAt: new Date().toISOString(),
+    runId: result.runId || null,
+    progress: status === 'completed' ? { done: progress.done, total: progress.done, current: null } : { ...progress, current: null },
+    errors: jobErrors(run.ctx?.warnings, result.error),
+    blobs: { result: pieces },
+  });
+}
+
+async function runJobChunk(jobId) {
+  let job = await getJob(jobId);
+  if (!job || FINISHED_JOB_STATUSES.includes(job.status)) return;
+  job = await updateJob(jobId, { status: 'running', chunks: job.chunks + 1 });
+  const checkpoint = await loadJobBlob(job, 'checkpoint');
+  const state = { jobId, steps: checkpoint?.steps || {}, total: checkpoint?.total ?? null, current: null, savedAt: 0, checkpoint };
+  const run = { ctx: null, job: state };
+  const stepsBefore = Object.keys(state.steps).length;
+  try {
+    if (job.cancelRequested) throw jobCancelledError(jobId);
+    const payload = await loadJobBlob(job, 'payload');
+    const result = await runWithBudget(createRequestBudget(JOB_CHUNK_BUDGET), () => migrateExport(payload, run));
+    await finishJob(jobId, result.error ? 'failed' : 'completed', result, run);
+  } catch (err) {
+    const progressed = Object.keys(state.steps).length > stepsBefore;
+    if (err instanceof BudgetExceededError && run.ctx && progressed && job.chunks < MAX_JOB_CHUNKS) {
+      const pieces = await saveJobBlob(jobId, 'checkpoint', {
+        context: saveRunContext(run.ctx),
+        htmlBody: run.htmlBody,
+        profile: run.profile,
+        steps: state.steps,
+        total: state.total,
+      });
+      await updateJob(jobId, {
+        status: 'queued',
+        progress: jobProgress(state),
+        errors: jobErrors(run.ctx.warnings),
+        blobs: { ...job.blobs, checkpoint: pieces },
+      });
+      await queueJobChunk(jobId);
+      return;
+    }
+    console.error(`Migration job ${jobId} stopped`, err);
+    // Cancelled before this chunk got going: the checkpoint has the pages written so far
+    const ctx = run.ctx || (checkpoint ? restoreRunContext(checkpoint.context, null) : null);
+    const result = await failedMigrationResult(err, ctx, err.cancelled ? 'cancelled' : 'failed');
+    run.ctx = ctx;
+    await finishJob(jobId, err.cancelled ? 'cancelled' : 'failed', result, run);
+  }
+}
+
+// Queue consumer (migration-job in manifest.yml): each event runs one chunk
+export const migrationJobHandler = async (event) => {
+  await runJobChunk(event.body.jobId);
+};
+
+function jobStatus(job) {
+  const status = {};
+  JOB_POLL_FIELDS.forEach(field => {
+    status[field] = job[field] ?? null;
+  });
+  return status;
+}
+
+// Same payload as migrateJsonToPage (dry runs excepted); returns { ok, job }
+resolver.define('startMigrationJob', async (req) => {
+  try {
+    const payload = req.payload || {};
+    const knosysJson = payload.json || payload;
+    if (payload.dryRun) return { error: 'Dry runs are not queued; run them with migrateJsonToPage' };
+    const schemaErrors = schemaErrorResult(knosysJson);
+    if (schemaErrors) return schemaErrors;
+    const job = await createJob(payload, {
+      title: payload.title || anchorPageTitle(knosysJson, ''),
+      documentId: knosysJson.detail?.id || null,
+    });
+    return { ok: true, job: jobStatus(job) };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// Progress of a job; a finished job also returns its migrateJsonToPage-style result
+resolver.define('getJobStatus', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await getJob(jobId);
+    if (!job) return { error: `Unknown migration job "${jobId}"` };
+    const status = jobStatus(job);
+    if (FINISHED_JOB_STATUSES.includes(job.status)) status.result = await loadJobBlob(job, 'result');
+    return { ok: true, job: status };
+  } catch (err) {
+    return { error: err.message || String(err) };
+  }
+});
+
+// The job stops before its next step; pages it wrote are recorded as a run
+// with status cancelled, so they can be rolled back
+resolver.define('cancelJob', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await getJob(jobId);
+    if (!job) return { error: `Unknown migration job "${jobId}"` };
+    if (FINISHED_JOB_STATUSES.includes(job.status)) return { error: `Job ${jobId} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` };
+    return { ok: true, job: jobStatus(await updateJob(jobId, { cancelRequested: true })) };
+  } catch (err) {
     return { error: err.message || String(err) };
   }
 });
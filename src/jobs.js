@@ -0,0 +1,87 @@
+// --- Background Migration Jobs ---
+// Large exports are migrated by a queue consumer instead of the resolver that
+// received them. Each job has one Forge storage entry for its status and
+// progress, and "blobs" for what does not fit in one entry: the payload, the
+// checkpoint a chunk leaves for the next one, and the final result. Every
+// event on the queue runs one chunk; a chunk that runs out of time queues the
+// next one.
+import { storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import { newRunId } from './runs';
+import { saveBlob, loadBlob, deleteBlob } from './blobs';
+
+const JOB_PREFIX = 'job:';
+const BLOB_PREFIX = 'jobblob:';
+
+// Declared as the consumer's queue in manifest.yml
+const queue = new Queue({ key: 'migration-jobs' });
+
+export const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Same sortable format as run ids
+export function newJobId() {
+  return newRunId();
+}
+
+const blobKey = (jobId, name) => `${BLOB_PREFIX}${jobId}:${name}`;
+
+export async function getJob(jobId) {
+  if (!jobId) return null;
+  return (await storage.get(JOB_PREFIX + jobId)) || null;
+}
+
+export async function updateJob(jobId, changes) {
+  const job = await getJob(jobId);
+  if (!job) throw new Error(`Unknown migration job "${jobId}"`);
+  const entry = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await storage.set(JOB_PREFIX + jobId, entry);
+  return entry;
+}
+
+// Store value as JSON under the job, split into pieces; returns the piece
+// count, which loadJobBlob needs (keep it in the job's blobs)
+export async function saveJobBlob(jobId, name, value) {
+  return await saveBlob(blobKey(jobId, name), value);
+}
+
+// The value saved as name, or null if the job has none
+export async function loadJobBlob(job, name) {
+  const pieces = job?.blobs?.[name];
+  if (!pieces) return null;
+  return await loadBlob(blobKey(job.jobId, name), pieces, `The ${name} of job ${job.jobId}`);
+}
+
+export async function deleteJobBlob(job, name) {
+  await deleteBlob(blobKey(job.jobId, name), job?.blobs?.[name] || 0);
+}
+
+// Queue the next chunk of a job. Chunks of one job never run side by side.
+export async function queueJobChunk(jobId) {
+  await queue.push({ body: { jobId }, concurrency: { key: `job-${jobId}`, limit: 1 } });
+}
+
+// Record a new job for payload and queue its first chunk
+export async function createJob(payload, { title = '', documentId = null } = {}) {
+  const jobId = newJobId();
+  const now = new Date().toISOString();
+  const pieces = await saveJobBlob(jobId, 'payload', payload);
+  const job = {
+    jobId,
+    status: 'queued',
+    title,
+    documentId,
+    createdAt: now,
+    updatedAt: now,
+    chunks: 0,
+    // done and total count page-writing steps; total is an estimate until the job completes
+    progress: { done: 0, total: null, current: null },
+    // Problems the migration carried on after, and the error that ended it: { step, message }
+    errors: [],
+    cancelRequested: false,
+    runId: null,
+    blobs: { payload: pieces },
+  };
+  await storage.set(JOB_PREFIX + jobId, job);
+  await queueJobChunk(jobId);
+  return job;
+}
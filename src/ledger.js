@@ -0,0 +1,90 @@
+// --- Knosys ID → Confluence Page Ledger ---
+// One Forge storage entry per migrated Knosys item, recording the Confluence
+// page generated for it. Re-runs look items up here so they update the
+// recorded page in place instead of creating a duplicate.
+import { storage, startsWith } from '@forge/api';
+import { createHash } from 'crypto';
+
+const LEDGER_PREFIX = 'ledger:';
+const INCLUDES_PREFIX = 'includes:';
+
+// Forge storage keys only allow [a-zA-Z0-9:._\s-#]
+function storageKey(prefix, knosysId) {
+  return prefix + String(knosysId).replace(/[^a-zA-Z0-9:._\s#-]/g, '_');
+}
+
+const ledgerKey = knosysId => storageKey(LEDGER_PREFIX, knosysId);
+
+// Stable hash of generated storage HTML, used to skip unchanged writes
+export function contentHash(html) {
+  return createHash('sha256').update(String(html || '')).digest('hex');
+}
+
+export async function getLedgerEntry(knosysId) {
+  if (!knosysId) return null;
+  return (await storage.get(ledgerKey(knosysId))) || null;
+}
+
+export async function recordLedgerEntry(knosysId, { pageId, spaceId, title, version, hash, webui }) {
+  if (!knosysId || !pageId) return null;
+  const entry = {
+    knosysId: String(knosysId),
+    pageId: String(pageId),
+    spaceId: spaceId ? String(spaceId) : null,
+    title: title || '',
+    version: version ?? null,
+    hash: hash || null,
+    webui: webui || null,
+    updatedAt: new Date().toISOString(),
+  };
+  await storage.set(ledgerKey(knosysId), entry);
+  return entry;
+}
+
+// Put back an entry exactly as it was before a run changed it; null removes it
+export async function restoreLedgerEntry(knosysId, entry) {
+  if (!knosysId) return;
+  if (entry) {
+    await storage.set(ledgerKey(knosysId), entry);
+  } else {
+    await storage.delete(ledgerKey(knosysId));
+  }
+}
+
+// --- Shared Paragraph Inclusions ---
+// For each shared paragraph, the migrated documents whose pages embed it:
+// { [documentId]: { documentId, title, pageId, updatedAt } }
+
+export async function getInclusions(sharedParagraphId) {
+  if (!sharedParagraphId) return [];
+  return Object.values((await storage.get(storageKey(INCLUDES_PREFIX, sharedParagraphId))) || {});
+}
+
+// Record that a document includes (or, with included false, no longer
+// includes) a shared paragraph
+export async function recordInclusion(sharedParagraphId, { documentId, title, pageId }, included = true) {
+  if (!sharedParagraphId || !documentId) return;
+  const key = storageKey(INCLUDES_PREFIX, sharedParagraphId);
+  const documents = (await storage.get(key)) || {};
+  if (included) {
+    documents[documentId] = { documentId: String(documentId), title: title || '', pageId: pageId ? String(pageId) : null, updatedAt: new Date().toISOString() };
+  } else if (documents[documentId]) {
+    delete documents[documentId];
+  } else {
+    return;
+  }
+  await storage.set(key, documents);
+}
+
+// Page through all ledger entries (Forge caps a query page at 100 results)
+export async function listLedgerEntries({ cursor, limit = 50 } = {}) {
+  let query = storage.query()
+    .where('key', startsWith(LEDGER_PREFIX))
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 100));
+  if (cursor) query = query.cursor(cursor);
+  const res = await query.getMany();
+  return {
+    entries: (res.results || []).map(r => r.value),
+    nextCursor: res.nextCursor || null,
+  };
+}
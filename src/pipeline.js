@@ -0,0 +1,121 @@
+// --- Transformation Pipeline ---
+// HTML conversion steps are registered here as named stages. A migration
+// profile picks which stages run, in what order, and with which options;
+// profiles other than the built-in default live in Forge storage.
+//
+// Adding a stage (e.g. a team-specific cleanup) means calling registerStage
+// from a module imported by src/index.js, after the built-in stages are
+// registered. It then shows up in the profile editor and runs in the default
+// profile unless enabledByDefault is false.
+import { storage, startsWith } from '@forge/api';
+
+const PROFILE_PREFIX = 'profile:';
+export const DEFAULT_PROFILE_NAME = 'default';
+
+// name -> { name, run, description, enabledByDefault, defaultOptions }
+const stages = new Map();
+
+// run(html, context, options) returns the new HTML (or a promise of it).
+// context carries knosysJson, spaceKey, infoLookup, styleSettings and the run
+// context (ctx).
+export function registerStage(name, run, { description = '', enabledByDefault = true, defaultOptions = {} } = {}) {
+  if (!name || typeof run !== 'function') throw new Error('registerStage needs a name and a run function');
+  if (stages.has(name)) throw new Error(`Stage "${name}" is already registered`);
+  stages.set(name, { name, run, description, enabledByDefault, defaultOptions });
+}
+
+export function listStages() {
+  return Array.from(stages.values()).map(({ name, description, enabledByDefault, defaultOptions }) => ({
+    name,
+    description,
+    enabledByDefault,
+    defaultOptions,
+  }));
+}
+
+// Every registered stage, in registration order
+export function defaultProfile() {
+  return {
+    name: DEFAULT_PROFILE_NAME,
+    stages: Array.from(stages.values()).map(stage => ({
+      name: stage.name,
+      enabled: stage.enabledByDefault,
+      options: {},
+    })),
+  };
+}
+
+function profileKey(name) {
+  return PROFILE_PREFIX + String(name).replace(/[^a-zA-Z0-9:._\s#-]/g, '_');
+}
+
+// Check a profile coming from the UI and drop anything we don't understand
+function normalizeProfile(profile) {
+  if (!profile || typeof profile !== 'object') throw new Error('Profile must be an object');
+  const name = String(profile.name || '').trim();
+  if (!name) throw new Error('Profile name is required');
+  if (!Array.isArray(profile.stages)) throw new Error('Profile stages must be an array');
+  return {
+    name,
+    stages: profile.stages.map((stage, i) => {
+      if (!stage || !stage.name) throw new Error(`Stage #${i + 1} has no name`);
+      const options = stage.options && typeof stage.options === 'object' ? stage.options : {};
+      return { name: String(stage.name), enabled: stage.enabled !== false, options };
+    }),
+  };
+}
+
+export async function getProfile(name) {
+  if (!name || name === DEFAULT_PROFILE_NAME) return defaultProfile();
+  const profile = await storage.get(profileKey(name));
+  if (!profile) throw new Error(`Unknown migration profile "${name}"`);
+  return profile;
+}
+
+export async function saveProfile(profile) {
+  const normalized = normalizeProfile(profile);
+  if (normalized.name === DEFAULT_PROFILE_NAME) throw new Error('The default profile cannot be overwritten');
+  normalized.updatedAt = new Date().toISOString();
+  await storage.set(profileKey(normalized.name), normalized);
+  return normalized;
+}
+
+export async function deleteProfile(name) {
+  if (!name || name === DEFAULT_PROFILE_NAME) throw new Error('The default profile cannot be deleted');
+  await storage.delete(profileKey(name));
+}
+
+export async function listProfiles() {
+  const profiles = [defaultProfile()];
+  let cursor;
+  do {
+    let query = storage.query().where('key', startsWith(PROFILE_PREFIX)).limit(100);
+    if (cursor) query = query.cursor(cursor);
+    const res = await query.getMany();
+    (res.results || []).forEach(r => profiles.push(r.value));
+    cursor = res.nextCursor;
+  } while (cursor);
+  return profiles;
+}
+
+// Run the enabled stages of a profile over html. A stage that throws (or is
+// not registered) is skipped: the run continues with the HTML as it was and
+// the problem is recorded on ctx.warnings.
+export async function runPipeline(html, profile, context) {
+  const { ctx } = context;
+  for (const entry of profile.stages) {
+    if (entry.enabled === false) continue;
+    const stage = stages.get(entry.name);
+    if (!stage) {
+      ctx.warnings.push({ step: entry.name, message: 'Stage is not registered' });
+      continue;
+    }
+    try {
+      html = await stage.run(html, context, { ...stage.defaultOptions, ...(entry.options || {}) });
+    } catch (err) {
+      console.error(`${entry.name} failed, continuing without it`, err);
+      ctx.warnings.push({ step: entry.name, message: err.message || String(err) });
+    }
+  }
+  return html;
+}
@@ -0,0 +1,78 @@
+// --- Migration Report ---
+// Structured record of what a run could not migrate cleanly, for the
+// content team's follow-up. Every section is a list of flat entries so the
+// UI can show it as tables and export it as CSV.
+
+// Section key -> heading shown in the UI and used in CSV exports
+export const REPORT_SECTIONS = {
+  unresolvedLinks: 'Unresolved data-itemid links',
+  brokenLinks: 'Broken page links',
+  droppedTooltips: 'Tooltips kept as plain text',
+  placeholderPages: 'Placeholder pages ("to be migrated")',
+  skippedFields: 'Skipped fields',
+  excludedImages: 'Excluded images',
+  missingImages: 'Images missing from the bundle',
+  sharedParagraphs: 'Shared paragraphs',
+  titleCollisions: 'Title collisions',
+  transformFallbacks: 'Transforms that fell back',
+  storageProblems: 'Storage format problems',
+};
+
+// Stored runs keep at most this many entries per section (Forge storage
+// values are limited in size); the count before truncation is kept.
+const MAX_STORED_ENTRIES = 200;
+
+export function createReport() {
+  const report = { sections: {}, keys: {} };
+  Object.keys(REPORT_SECTIONS).forEach(section => {
+    report.sections[section] = [];
+    report.keys[section] = new Set();
+  });
+  return report;
+}
+
+// Add an entry to a section; entries sharing a dedupe key are only added once
+export function addToReport(report, section, entry, key) {
+  if (!report) return;
+  if (key !== undefined) {
+    if (report.keys[section].has(key)) return;
+    report.keys[section].add(key);
+  }
+  report.sections[section].push(entry);
+}
+
+// Plain-object report for the resolver result (and the run log)
+export function finalizeReport(report, summary) {
+  const counts = {};
+  Object.entries(report.sections).forEach(([section, entries]) => {
+    counts[section] = entries.length;
+  });
+  return { ...summary, generatedAt: new Date().toISOString(), labels: REPORT_SECTIONS, counts, sections: report.sections };
+}
+
+export function truncateReport(report) {
+  const sections = {};
+  Object.entries(report.sections || {}).forEach(([section, entries]) => {
+    sections[section] = entries.slice(0, MAX_STORED_ENTRIES);
+  });
+  return { ...report, sections, truncated: Object.values(report.counts || {}).some(n => n > MAX_STORED_ENTRIES) };
+}
+
+// JSON-safe copy of a report in progress (its dedupe keys are Sets), for
+// background jobs that continue a run in a later invocation
+export function serializeReport(report) {
+  const keys = {};
+  Object.entries(report.keys).forEach(([section, set]) => {
+    keys[section] = Array.from(set);
+  });
+  return { sections: report.sections, keys };
+}
+
+export function restoreReport(saved) {
+  const report = createReport();
+  Object.keys(report.sections).forEach(section => {
+    report.sections[section] = saved?.sections?.[section] || [];
+    report.keys[section] = new Set(saved?.keys?.[section] || []);
+  });
+  return report;
+}
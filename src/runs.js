@@ -0,0 +1,78 @@
+// --- Migration Run Log ---
+// One Forge storage entry per (non dry-run) migration, recording the profile
+// it ran with, what it produced, and the page writes rollbackRun undoes.
+// The fields that grow with the export (see BLOB_FIELDS) are kept as blobs
+// next to the entry, which only holds their piece counts.
+import { storage, startsWith } from '@forge/api';
+import { saveBlob, loadBlob, deleteBlob } from './blobs';
+
+const RUN_PREFIX = 'run:';
+const RUN_BLOB_PREFIX = 'runblob:';
+const BLOB_FIELDS = ['writes', 'ledgerChanges', 'warnings', 'report', 'rollback'];
+
+const blobKey = (runId, name) => `${RUN_BLOB_PREFIX}${runId}:${name}`;
+
+// Sortable, unique enough for one app installation
+export function newRunId() {
+  return `${new Date().toISOString().replace(/[^0-9]/g, '')}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// The stored entry with its blobs filled back in. Runs recorded before
+// blobs were used still hold every field themselves.
+async function loadRun(entry) {
+  const run = { ...entry };
+  for (const [name, pieces] of Object.entries(entry.blobs || {})) {
+    run[name] = await loadBlob(blobKey(entry.runId, name), pieces, `The ${name} of run ${entry.runId}`);
+  }
+  delete run.blobs;
+  return run;
+}
+
+// Store run, writing the blobs of the fields named in changed (and of any
+// still held by an older entry itself)
+async function storeRun(run, stored, changed) {
+  const blobs = { ...(stored?.blobs || {}) };
+  const entry = { ...run };
+  for (const name of BLOB_FIELDS) {
+    delete entry[name];
+    if (run[name] === undefined || (!changed.includes(name) && blobs[name])) continue;
+    const pieces = await saveBlob(blobKey(run.runId, name), run[name]);
+    await deleteBlob(blobKey(run.runId, name), blobs[name] || 0, pieces);
+    blobs[name] = pieces;
+  }
+  await storage.set(RUN_PREFIX + run.runId, { ...entry, blobs });
+  return run;
+}
+
+export async function getRun(runId) {
+  if (!runId) return null;
+  const entry = await storage.get(RUN_PREFIX + runId);
+  return entry ? await loadRun(entry) : null;
+}
+
+export async function recordRun(run) {
+  return await storeRun({ ...run, recordedAt: new Date().toISOString() }, null, BLOB_FIELDS);
+}
+
+export async function updateRun(runId, changes) {
+  const stored = await storage.get(RUN_PREFIX + runId);
+  if (!stored) throw new Error(`Unknown migration run "${runId}"`);
+  return await storeRun({ ...(await loadRun(stored)), ...changes }, stored, Object.keys(changes));
+}
+
+// Runs recorded after runId, oldest first (run ids sort by time)
+export async function listRunsAfter(runId) {
+  const entries = [];
+  let cursor;
+  do {
+    let query = storage.query().where('key', startsWith(RUN_PREFIX)).limit(100);
+    if (cursor) query = query.cursor(cursor);
+    const res = await query.getMany();
+    (res.results || []).filter(r => r.key > RUN_PREFIX + runId).forEach(r => entries.push(r.value));
+    cursor = res.nextCursor;
+  } while (cursor);
+  entries.sort((a, b) => (a.runId < b.runId ? -1 : 1));
+  const runs = [];
+  for (const entry of entries) runs.push(await loadRun(entry));
+  return runs;
+}
@@ -0,0 +1,183 @@
+// --- Knosys Export Schema ---
+// The shape of a Knosys document export, as far as the migration relies on
+// it. Every item looks like
+//   { detail: { id, itemType, title? }, fields?: [{ name, value }], properties?, children?: [item] }
+// and the root item is the Document being migrated. Tooltip content may come
+// along under external.information (an array, or an object keyed by id), and
+// the export date as exportDate on the root or its detail.
+//
+// validateKnosysExport reports problems by JSON path ($.children[0].fields[1])
+// so the UI can point at them before anything is written. Errors are shapes
+// the migration cannot work with; warnings are content it will migrate
+// incompletely (a Link without a URL, a field it does not know). An item
+// may occur more than once (a shared paragraph used in several places) as
+// long as every copy has the same content.
+
+// Fields each item type may carry beyond the common ones, and the fields it
+// needs (with what happens without them)
+export const ITEM_TYPES = {
+  Document: { fields: ['DocumentTitle', 'Text', 'Bookmark'], required: {} },
+  Link: { fields: ['URL', 'Title', 'LinkText'], required: { URL: 'links to it stay unresolved' } },
+  SharedParagraph: {
+    fields: ['ParagraphTitle', 'Text'],
+    required: {
+      ParagraphTitle: 'it is inlined instead of getting its own page',
+      Text: 'it is inlined instead of getting its own page',
+    },
+  },
+  Image: { fields: ['Title'], required: {} },
+};
+
+// Fields any item may carry
+const COMMON_FIELDS = ['Text', 'LinkText', 'HiddenText', 'Bookmark', 'Title'];
+
+export const FIELD_NAMES = Array.from(new Set([
+  ...COMMON_FIELDS,
+  ...Object.values(ITEM_TYPES).flatMap(type => type.fields),
+]));
+
+// Stop collecting errors (or warnings) after this many; a wrong file would
+// otherwise produce one per item
+const MAX_PROBLEMS = 200;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const nonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const sameContent = (a, b) => JSON.stringify([a.detail, a.fields, a.children]) === JSON.stringify([b.detail, b.fields, b.children]);
+
+function checkFields(item, path, problems) {
+  if (item.fields === undefined) return {};
+  if (!Array.isArray(item.fields)) {
+    problems.error(`${path}.fields`, 'fields must be an array of { name, value }');
+    return {};
+  }
+  const byName = {};
+  item.fields.forEach((field, i) => {
+    const fieldPath = `${path}.fields[${i}]`;
+    if (!isObject(field)) {
+      problems.error(fieldPath, 'Field must be an object with name and value');
+      return;
+    }
+    if (!nonEmptyString(field.name)) {
+      problems.error(`${fieldPath}.name`, 'Field has no name');
+      return;
+    }
+    if (field.value !== undefined && field.value !== null && typeof field.value !== 'string') {
+      problems.error(`${fieldPath}.value`, `Value of ${field.name} must be a string, got ${typeof field.value}`);
+    }
+    if (!FIELD_NAMES.includes(field.name)) {
+      problems.warn(`${fieldPath}.name`, `Unknown field "${field.name}"; its value is migrated as content`);
+    }
+    byName[field.name] = { value: field.value, path: fieldPath };
+  });
+  return byName;
+}
+
+function checkItem(item, path, problems, seenIds, isRoot) {
+  if (!isObject(item)) {
+    problems.error(path, 'Item must be an object');
+    return;
+  }
+  problems.counts.items++;
+
+  let itemType = null;
+  if (item.detail === undefined) {
+    if (isRoot) problems.error(`${path}.detail`, 'The document has no detail { id, itemType }');
+    else problems.warn(`${path}.detail`, 'Item has no detail; it is migrated as plain content');
+  } else if (!isObject(item.detail)) {
+    problems.error(`${path}.detail`, 'detail must be an object with id and itemType');
+  } else {
+    const { id } = item.detail;
+    if (!nonEmptyString(id)) {
+      problems.error(`${path}.detail.id`, 'detail.id is required');
+    } else if (!seenIds[id]) {
+      seenIds[id] = { path, item };
+    } else if (sameContent(seenIds[id].item, item)) {
+      problems.warn(`${path}.detail.id`, `Id ${id} also occurs at ${seenIds[id].path} with the same content; it is migrated once`);
+    } else {
+      problems.error(`${path}.detail.id`, `Duplicate id ${id} with different content than at ${seenIds[id].path}`);
+    }
+    if (!nonEmptyString(item.detail.itemType)) {
+      problems.error(`${path}.detail.itemType`, 'detail.itemType is required');
+    } else {
+      itemType = item.detail.itemType;
+      problems.counts.byType[itemType] = (problems.counts.byType[itemType] || 0) + 1;
+      if (!ITEM_TYPES[itemType]) {
+        problems.warn(`${path}.detail.itemType`, `Unknown item type "${itemType}"; only its fields are migrated`);
+      }
+    }
+  }
+
+  const fields = checkFields(item, path, problems);
+  const type = ITEM_TYPES[itemType];
+  if (type) {
+    Object.entries(type.required)
+      .filter(([name]) => !nonEmptyString(fields[name]?.value))
+      .forEach(([name, consequence]) => problems.warn(`${path}.fields`, `${itemType} has no ${name}; ${consequence}`));
+  }
+  if (isRoot && itemType && itemType !== 'Document') {
+    problems.warn(`${path}.detail.itemType`, `Expected a Document at the root, got ${itemType}`);
+  }
+  if (isRoot && !nonEmptyString(item.detail?.title) && !nonEmptyString(fields.DocumentTitle?.value)) {
+    problems.warn(path, 'The document has no title or DocumentTitle; a default page title is used');
+  }
+  if (fields.HiddenText && !fields.LinkText) {
+    problems.warn(fields.HiddenText.path, 'HiddenText without LinkText is not migrated');
+  }
+  if (fields.Bookmark && !nonEmptyString(fields.Bookmark.value)) {
+    problems.warn(fields.Bookmark.path, 'Bookmark is empty; no anchor is created');
+  }
+  if (item.properties !== undefined && !isObject(item.properties) && !Array.isArray(item.properties)) {
+    problems.error(`${path}.properties`, 'properties must be an object or an array');
+  }
+
+  if (item.children === undefined) return;
+  if (!Array.isArray(item.children)) {
+    problems.error(`${path}.children`, 'children must be an array of items');
+    return;
+  }
+  item.children.forEach((child, i) => checkItem(child, `${path}.children[${i}]`, problems, seenIds, false));
+}
+
+function checkExternal(external, problems) {
+  if (external === undefined) return;
+  if (!isObject(external)) {
+    problems.error('$.external', 'external must be an object');
+    return;
+  }
+  const { information } = external;
+  if (information === undefined) return;
+  if (Array.isArray(information)) {
+    information.forEach((entry, i) => {
+      const id = entry && (entry.id || entry.externalId || entry.detail?.id);
+      if (!id) problems.warn(`$.external.information[${i}]`, 'Information entry has no id; links to it stay unresolved');
+    });
+  } else if (!isObject(information)) {
+    problems.error('$.external.information', 'information must be an array or an object keyed by id');
+  }
+}
+
+// Returns { valid, errors: [{ path, message }], warnings, counts: { items, byType }, truncated }
+export function validateKnosysExport(json) {
+  const errors = [];
+  const warnings = [];
+  let truncated = false;
+  const add = list => (path, message) => {
+    if (list.length >= MAX_PROBLEMS) {
+      truncated = true;
+      return;
+    }
+    list.push({ path, message });
+  };
+  const problems = { error: add(errors), warn: add(warnings), counts: { items: 0, byType: {} } };
+
+  if (!isObject(json)) {
+    problems.error('$', 'The export must be a JSON object describing one Knosys document');
+  } else {
+    checkItem(json, '$', problems, {}, true);
+    checkExternal(json.external, problems);
+    if (!json.fields && !(Array.isArray(json.children) && json.children.length)) {
+      problems.error('$', 'The document has no fields and no children; there is nothing to migrate');
+    }
+  }
+  return { valid: errors.length === 0, errors, warnings, counts: problems.counts, truncated };
+}
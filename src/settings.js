@@ -0,0 +1,181 @@
+// --- Admin Settings ---
+// Settings an admin edits in the app and the migration reads on every run.
+// Stored values are normalized on save; without a stored value the defaults
+// apply, which reproduce the behaviour the code had before it was
+// configurable.
+import { storage } from '@forge/api';
+
+const STYLE_SETTINGS_KEY = 'settings:style';
+const MIGRATION_SETTINGS_KEY = 'settings:migration';
+
+// Confluence table widths for data-layout; '' leaves the attribute off
+export const TABLE_LAYOUTS = ['', 'default', 'wide', 'full-width'];
+
+export const DEFAULT_STYLE_SETTINGS = {
+  // Elements with the class get these declarations, unless their own style
+  // already sets the property
+  classStyles: [
+    { className: 'alt3', style: 'color: red' },
+    { className: 'alt2', style: 'color: green' },
+  ],
+  // Lengths in these units are converted to px
+  unitConversions: [
+    { unit: 'cm', factor: 37.8 },
+    { unit: 'pt', factor: 1.333 },
+  ],
+  tables: {
+    layout: 'default',
+    // data-highlight-colour on cells with a background colour
+    highlightCells: true,
+    // Drop width attributes and styles so tables fit the page
+    stripWidths: true,
+  },
+};
+
+function normalizeStyleSettings(settings) {
+  if (!settings || typeof settings !== 'object') throw new Error('Style settings must be an object');
+  const classStyles = (settings.classStyles || []).map((rule, i) => {
+    const className = String(rule?.className || '').trim().replace(/^\./, '');
+    const style = String(rule?.style || '').trim();
+    if (!/^[a-zA-Z_-][\w-]*$/.test(className)) throw new Error(`Class rule #${i + 1}: "${className}" is not a CSS class name`);
+    const declarations = style.split(';').filter(d => d.trim());
+    if (!declarations.length || !declarations.every(d => /^\s*[\w-]+\s*:[^:]+$/.test(d))) throw new Error(`Class rule #${i + 1}: style must be CSS declarations like "color: red"`);
+    return { className, style };
+  });
+  const unitConversions = (settings.unitConversions || []).map((rule, i) => {
+    const unit = String(rule?.unit || '').trim().toLowerCase();
+    const factor = Number(rule?.factor);
+    if (!/^[a-z]+$/.test(unit) || unit === 'px') throw new Error(`Unit rule #${i + 1}: "${unit}" is not a unit to convert`);
+    if (!Number.isFinite(factor) || factor <= 0) throw new Error(`Unit rule #${i + 1}: factor must be a positive number`);
+    return { unit, factor };
+  });
+  const tables = { ...DEFAULT_STYLE_SETTINGS.tables, ...(settings.tables || {}) };
+  if (!TABLE_LAYOUTS.includes(tables.layout)) throw new Error(`Unknown table layout "${tables.layout}"`);
+  return {
+    classStyles,
+    unitConversions,
+    tables: {
+      layout: tables.layout,
+      highlightCells: Boolean(tables.highlightCells),
+      stripWidths: Boolean(tables.stripWidths),
+    },
+  };
+}
+
+export async function getStyleSettings() {
+  return (await storage.get(STYLE_SETTINGS_KEY)) || DEFAULT_STYLE_SETTINGS;
+}
+
+export async function saveStyleSettings(settings) {
+  const normalized = normalizeStyleSettings(settings);
+  normalized.updatedAt = new Date().toISOString();
+  await storage.set(STYLE_SETTINGS_KEY, normalized);
+  return normalized;
+}
+
+// Back to the built-in defaults
+export async function resetStyleSettings() {
+  await storage.delete(STYLE_SETTINGS_KEY);
+  return DEFAULT_STYLE_SETTINGS;
+}
+
+export const DEFAULT_MIGRATION_SETTINGS = {
+  // Spaces for shared paragraph and image hub pages; '' means the space
+  // being migrated into
+  sharedParagraphSpaceKey: '',
+  imageHubSpaceKey: '',
+  // href="#" links whose text is a URL on `domain` become real links, with
+  // the domain replaced by `rewriteTo` when set
+  linkDomainRules: [
+    { domain: 'yesopt.us', rewriteTo: '' },
+  ],
+  // Knosys image ids never migrated (the exported placeholder image)
+  excludedAssetIds: ['2e6d82ef-524c-ea11-a960-000d3ad095fb'],
+  // What to do when a page the migration would create has the title of a
+  // page already in the space: reuse it, add the Knosys id as a suffix, put
+  // titleNamespace in front, skip the page, or fail the run
+  titleCollisionPolicy: 'reuse',
+  titleNamespace: 'Knosys',
+  // Knosys metadata carried to the main page. The values of a property,
+  // field or detail entry of the document become page labels (after
+  // labelPrefix) and/or a row headed `heading` in the details (page
+  // properties) macro at the top of the page.
+  metadataMappings: [
+    { source: 'detail', name: 'id', heading: 'Knosys ID', toLabel: false, labelPrefix: '', toDetails: true },
+    { source: 'detail', name: 'itemType', heading: 'Knosys type', toLabel: false, labelPrefix: '', toDetails: true },
+  ],
+};
+
+export const METADATA_SOURCES = ['property', 'field', 'detail'];
+export const TITLE_COLLISION_POLICIES = ['reuse', 'suffix', 'prefix', 'skip', 'fail'];
+
+const SPACE_KEY = /^~?[A-Za-z0-9]*$/;
+const DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+// Characters Confluence does not allow in a label
+const LABEL_FORBIDDEN = /[\s:;,.?&[\]()#^*@!'"<>\\/]/;
+
+function normalizeMigrationSettings(settings) {
+  if (!settings || typeof settings !== 'object') throw new Error('Migration settings must be an object');
+  const spaceKey = (name) => {
+    const key = String(settings[name] || '').trim();
+    if (!SPACE_KEY.test(key)) throw new Error(`"${key}" is not a space key`);
+    return key;
+  };
+  const linkDomainRules = (settings.linkDomainRules || []).map((rule, i) => {
+    const domain = String(rule?.domain || '').trim().toLowerCase();
+    const rewriteTo = String(rule?.rewriteTo || '').trim().replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+    if (!DOMAIN.test(domain)) throw new Error(`Link rule #${i + 1}: "${domain}" is not a domain`);
+    if (rewriteTo && !DOMAIN.test(rewriteTo.split('/')[0])) throw new Error(`Link rule #${i + 1}: "${rewriteTo}" is not a domain`);
+    return { domain, rewriteTo };
+  });
+  const metadataMappings = (settings.metadataMappings || []).map((mapping, i) => {
+    const source = String(mapping?.source || '');
+    const name = String(mapping?.name || '').trim();
+    const labelPrefix = String(mapping?.labelPrefix || '').trim().toLowerCase();
+    if (!METADATA_SOURCES.includes(source)) throw new Error(`Metadata mapping #${i + 1}: source must be one of ${METADATA_SOURCES.join(', ')}`);
+    if (!name) throw new Error(`Metadata mapping #${i + 1}: name is required`);
+    if (LABEL_FORBIDDEN.test(labelPrefix)) throw new Error(`Metadata mapping #${i + 1}: "${labelPrefix}" cannot start a label`);
+    if (!mapping.toLabel && !mapping.toDetails) throw new Error(`Metadata mapping #${i + 1}: map ${name} to labels, the details macro, or both`);
+    return {
+      source,
+      name,
+      heading: String(mapping.heading || '').trim() || name,
+      toLabel: Boolean(mapping.toLabel),
+      labelPrefix,
+      toDetails: Boolean(mapping.toDetails),
+    };
+  });
+  const titleCollisionPolicy = String(settings.titleCollisionPolicy || DEFAULT_MIGRATION_SETTINGS.titleCollisionPolicy);
+  if (!TITLE_COLLISION_POLICIES.includes(titleCollisionPolicy)) throw new Error(`Unknown title collision policy "${titleCollisionPolicy}"`);
+  const titleNamespace = String(settings.titleNamespace || '').trim();
+  if (titleCollisionPolicy === 'prefix' && !titleNamespace) throw new Error('The prefix policy needs a title namespace');
+  const excludedAssetIds = Array.from(new Set(
+    (settings.excludedAssetIds || []).map(id => String(id).trim()).filter(Boolean)
+  ));
+  return {
+    sharedParagraphSpaceKey: spaceKey('sharedParagraphSpaceKey'),
+    imageHubSpaceKey: spaceKey('imageHubSpaceKey'),
+    linkDomainRules,
+    excludedAssetIds,
+    titleCollisionPolicy,
+    titleNamespace,
+    metadataMappings,
+  };
+}
+
+// Settings saved before a setting existed get its default
+export async function getMigrationSettings() {
+  return { ...DEFAULT_MIGRATION_SETTINGS, ...((await storage.get(MIGRATION_SETTINGS_KEY)) || {}) };
+}
+
+export async function saveMigrationSettings(settings) {
+  const normalized = normalizeMigrationSettings(settings);
+  normalized.updatedAt = new Date().toISOString();
+  await storage.set(MIGRATION_SETTINGS_KEY, normalized);
+  return normalized;
+}
+
+export async function resetMigrationSettings() {
+  await storage.delete(MIGRATION_SETTINGS_KEY);
+  return DEFAULT_MIGRATION_SETTINGS;
+}
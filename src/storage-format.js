@@ -0,0 +1,297 @@
+// --- Storage Format Validation ---
+// Checks Confluence storage XHTML before it is sent to createPage/updatePage,
+// so a bad body is reported with line/column positions instead of coming
+// back from Confluence as an opaque 400. repairStorageFormat fixes the
+// problems raw Knosys field values usually cause.
+import { parseFragment, serializeFragment } from './dom';
+
+// Macros the migration emits plus the common ones Knosys HTML is mapped to
+export const KNOWN_MACROS = new Set([
+  'anchor', 'attachments', 'children', 'code', 'column', 'contentbylabel',
+  'details', 'detailssummary', 'excerpt', 'excerpt-include', 'expand',
+  'gallery', 'include', 'info', 'jira', 'multimedia', 'noformat', 'note',
+  'pagetree', 'panel', 'recently-updated', 'section', 'status', 'task-report',
+  'tip', 'toc', 'view-file', 'warning', 'widget',
+]);
+
+// Element -> parents it may appear in (null: anywhere outside another ac:link)
+const AC_ELEMENTS = {
+  'ac:structured-macro': null,
+  'ac:parameter': ['ac:structured-macro'],
+  'ac:rich-text-body': ['ac:structured-macro'],
+  'ac:plain-text-body': ['ac:structured-macro'],
+  'ac:link': null,
+  'ac:plain-text-link-body': ['ac:link'],
+  'ac:link-body': ['ac:link'],
+  'ac:image': null,
+  'ac:emoticon': null,
+  'ac:placeholder': null,
+  'ac:task-list': null,
+  'ac:task': ['ac:task-list'],
+  'ac:task-id': ['ac:task'],
+  'ac:task-uuid': ['ac:task'],
+  'ac:task-status': ['ac:task'],
+  'ac:task-body': ['ac:task'],
+  'ac:layout': null,
+  'ac:layout-section': ['ac:layout'],
+  'ac:layout-cell': ['ac:layout-section'],
+};
+
+const RI_PARENTS = ['ac:link', 'ac:image', 'ac:parameter', 'ri:attachment'];
+const RI_ELEMENTS = ['ri:page', 'ri:blog-post', 'ri:attachment', 'ri:url', 'ri:space', 'ri:user', 'ri:shortcut', 'ri:content-entity'];
+
+const REQUIRED_ATTRIBUTES = {
+  'ac:structured-macro': ['ac:name'],
+  'ac:parameter': ['ac:name'],
+  'ri:page': ['ri:content-title'],
+  'ri:attachment': ['ri:filename'],
+  'ri:url': ['ri:value'],
+  'ri:space': ['ri:space-key'],
+};
+
+// CDATA is only meaningful inside the plain-text bodies
+const CDATA_PARENTS = ['ac:plain-text-link-body', 'ac:plain-text-body'];
+
+const ENTITY = /^&(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#x[0-9a-fA-F]+);/;
+const NAME = /[A-Za-z_][\w:.-]*/y;
+
+function lineStartsOf(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function positionOf(lineStarts, index) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= index) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: index - lineStarts[lo] + 1 };
+}
+
+// Returns { valid, errors: [{ line, column, rule, message }] }. Rules:
+// well-formed (XML syntax), structure (ac:/ri: nesting and attributes),
+// macro (unknown macro name) and cdata (unsafe CDATA / "]]>" in text).
+export function validateStorageFormat(xml, { extraMacros = [] } = {}) {
+  const text = String(xml || '');
+  const lineStarts = lineStartsOf(text);
+  const errors = [];
+  const add = (index, rule, message) => errors.push({ ...positionOf(lineStarts, index), rule, message });
+  const knownMacros = new Set([...KNOWN_MACROS, ...extraMacros]);
+  const stack = []; // { name, index }
+
+  const checkText = (start, end) => {
+    for (let i = text.indexOf('&', start); i !== -1 && i < end; i = text.indexOf('&', i + 1)) {
+      if (!ENTITY.test(text.slice(i, i + 32))) add(i, 'well-formed', 'Unescaped "&" (use &amp;)');
+    }
+    for (let i = text.indexOf(']]>', start); i !== -1 && i + 3 <= end; i = text.indexOf(']]>', i + 3)) {
+      add(i, 'cdata', 'Text contains "]]>", usually left over from a CDATA section that ended early');
+    }
+  };
+
+  const checkElement = (name, attrs, index) => {
+    const parent = stack.length ? stack[stack.length - 1].name : null;
+    const inLink = stack.some(e => e.name === 'ac:link');
+    if (name.startsWith('ac:')) {
+      if (!(name in AC_ELEMENTS)) {
+        add(index, 'structure', `Unknown element <${name}>`);
+      } else if (AC_ELEMENTS[name] && !AC_ELEMENTS[name].includes(parent)) {
+        add(index, 'structure', `<${name}> must be inside <${AC_ELEMENTS[name].join('> or <')}>`);
+      } else if (name === 'ac:link' && inLink) {
+        add(index, 'structure', '<ac:link> cannot be nested inside another <ac:link>');
+      }
+    } else if (name.startsWith('ri:')) {
+      if (!RI_ELEMENTS.includes(name)) {
+        add(index, 'structure', `Unknown resource identifier <${name}>`);
+      } else if (!RI_PARENTS.includes(parent)) {
+        add(index, 'structure', `<${name}> must be inside <${RI_PARENTS.join('>, <')}>`);
+      }
+    }
+    for (const attr of REQUIRED_ATTRIBUTES[name] || []) {
+      if (!(attr in attrs)) add(index, 'structure', `<${name}> is missing the ${attr} attribute`);
+    }
+    if (name === 'ac:structured-macro' && attrs['ac:name'] && !knownMacros.has(attrs['ac:name'])) {
+      add(index, 'macro', `Unknown macro "${attrs['ac:name']}"`);
+    }
+  };
+
+  // Parses the attributes of the start tag whose name ends at `from`.
+  // Returns { attrs, end, selfClosing }, or null when the tag is unrecoverable.
+  const parseAttributes = (name, from) => {
+    const attrs = {};
+    let i = from;
+    for (;;) {
+      while (/\s/.test(text[i] || '')) i++;
+      if (i >= text.length) {
+        add(from, 'well-formed', `Start tag <${name}> is not terminated`);
+        return null;
+      }
+      if (text.startsWith('/>', i)) return { attrs, end: i + 2, selfClosing: true };
+      if (text[i] === '>') return { attrs, end: i + 1, selfClosing: false };
+      NAME.lastIndex = i;
+      const attrMatch = NAME.exec(text);
+      if (!attrMatch) {
+        add(i, 'well-formed', `Unexpected "${text[i]}" in <${name}> tag`);
+        return null;
+      }
+      const attrName = attrMatch[0];
+      const attrIndex = i;
+      i += attrName.length;
+      while (/\s/.test(text[i] || '')) i++;
+      if (text[i] !== '=') {
+        add(attrIndex, 'well-formed', `Attribute ${attrName} on <${name}> has no value`);
+        attrs[attrName] = '';
+        continue;
+      }
+      i++;
+      while (/\s/.test(text[i] || '')) i++;
+      const quote = text[i];
+      if (quote !== '"' && quote !== "'") {
+        add(i, 'well-formed', `Value of ${attrName} on <${name}> is not quoted`);
+        return null;
+      }
+      const close = text.indexOf(quote, i + 1);
+      if (close === -1) {
+        add(i, 'well-formed', `Value of ${attrName} on <${name}> is never closed`);
+        return null;
+      }
+      const value = text.slice(i + 1, close);
+      if (value.includes('<')) add(i + 1, 'well-formed', `Value of ${attrName} on <${name}> contains "<" (use &lt;)`);
+      for (let a = value.indexOf('&'); a !== -1; a = value.indexOf('&', a + 1)) {
+        if (!ENTITY.test(value.slice(a, a + 32))) add(i + 1 + a, 'well-formed', `Unescaped "&" in ${attrName} (use &amp;)`);
+      }
+      if (attrName in attrs) add(attrIndex, 'well-formed', `Duplicate attribute ${attrName} on <${name}>`);
+      attrs[attrName] = value;
+      i = close + 1;
+      if (!/[\s/>]/.test(text[i] || '')) {
+        add(i, 'well-formed', `Unexpected text after the ${attrName} value on <${name}> (unescaped quote in the value?)`);
+        return null;
+      }
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const lt = text.indexOf('<', i);
+    checkText(i, lt === -1 ? text.length : lt);
+    if (lt === -1) break;
+    i = lt;
+
+    if (text.startsWith('<!--', i)) {
+      const end = text.indexOf('-->', i + 4);
+      if (end === -1) {
+        add(i, 'well-formed', 'Comment is never closed');
+        break;
+      }
+      i = end + 3;
+      continue;
+    }
+    if (text.startsWith('<![CDATA[', i)) {
+      const end = text.indexOf(']]>', i + 9);
+      if (end === -1) {
+        add(i, 'cdata', 'CDATA section is never closed');
+        break;
+      }
+      const parent = stack.length ? stack[stack.length - 1].name : null;
+      if (!CDATA_PARENTS.includes(parent)) {
+        add(i, 'cdata', `CDATA section outside <${CDATA_PARENTS.join('> or <')}>`);
+      }
+      i = end + 3;
+      continue;
+    }
+    if (text.startsWith('<?', i) || text.startsWith('<!', i)) {
+      add(i, 'well-formed', 'Processing instructions and declarations are not allowed in storage format');
+      const end = text.indexOf('>', i);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (text.startsWith('</', i)) {
+      const closeMatch = /^<\/([A-Za-z_][\w:.-]*)\s*>/.exec(text.slice(i, i + 256));
+      if (!closeMatch) {
+        add(i, 'well-formed', 'Malformed closing tag');
+        i += 2;
+        continue;
+      }
+      const name = closeMatch[1];
+      const openIndex = stack.map(e => e.name).lastIndexOf(name);
+      if (openIndex === -1) {
+        add(i, 'well-formed', `Closing tag </${name}> has no matching opening tag`);
+      } else {
+        // Everything opened after the matching tag was left unclosed
+        while (stack.length - 1 > openIndex) {
+          const unclosed = stack.pop();
+          add(unclosed.index, 'well-formed', `<${unclosed.name}> is not closed before </${name}>`);
+        }
+        stack.pop();
+      }
+      i += closeMatch[0].length;
+      continue;
+    }
+
+    NAME.lastIndex = i + 1;
+    const nameMatch = NAME.exec(text);
+    if (!nameMatch || nameMatch.index !== i + 1) {
+      add(i, 'well-formed', 'Unescaped "<" in text (use &lt;)');
+      i++;
+      continue;
+    }
+    const name = nameMatch[0];
+    const tag = parseAttributes(name, i + 1 + name.length);
+    if (!tag) {
+      // Skip past the broken tag and keep going
+      const end = text.indexOf('>', i);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    checkElement(name, tag.attrs, i);
+    if (!tag.selfClosing) stack.push({ name, index: i });
+    i = tag.end;
+  }
+
+  stack.forEach(open => add(open.index, 'well-formed', `<${open.name}> is never closed`));
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { valid: errors.length === 0, errors };
+}
+
+// Escape "]]>" inside generated CDATA link/plain-text bodies by splitting the section
+function repairCdata(html) {
+  return html.replace(/<(ac:plain-text-(?:link-)?body)><!\[CDATA\[([\s\S]*?)\]\]><\/\1>/g, (m, tag, body) => {
+    return `<${tag}><![CDATA[${body.replace(/\]\]>/g, ']]]]><![CDATA[>')}]]></${tag}>`;
+  });
+}
+
+// Escape quotes that ended up inside attribute values, e.g.
+// ri:content-title="The "new" process". A value is taken to run until the
+// quote that is followed by another attribute or the end of the tag.
+function repairAttributeQuotes(html) {
+  return html.replace(/<([A-Za-z][\w:.-]*)(\s[^<>]*?)(\/?)>/g, (m, name, attrs, slash) => {
+    const fixed = attrs.replace(/([\w:.-]+)="([^<>]*?)"(?=\s+[\w:.-]+=|\s*$)/g, (a, attr, value) => {
+      return `${attr}="${value.replace(/"/g, '&quot;')}"`;
+    });
+    return `<${name}${fixed}${slash}>`;
+  });
+}
+
+function repairAmpersands(html) {
+  return html.replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#[0-9]+;|#x[0-9a-fA-F]+;)/g, '&amp;');
+}
+
+// Fix what can be fixed mechanically: "]]>" in CDATA, quotes inside
+// attribute values and bare "&", then round-trip through the DOM to close
+// unclosed tags and self-close void elements.
+export function repairStorageFormat(xml) {
+  let html = repairAmpersands(repairAttributeQuotes(repairCdata(String(xml || ''))));
+  const $ = parseFragment(html);
+  // Text data is still entity-encoded, so "]]>" in text can be escaped in place
+  const walk = nodes => nodes.forEach(node => {
+    if (node.type === 'text') node.data = node.data.replace(/\]\]>/g, ']]&gt;');
+    if (node.children) walk(node.children);
+  });
+  walk($.root().contents().toArray());
+  return serializeFragment($);
+}
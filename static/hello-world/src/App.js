@@ -1,120 +1,639 @@
 // static/hello-world/src/app.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { invoke } from '@forge/bridge';
+import { readImageBundle, uploadAttachments } from './imageBundle';
+import ProfileEditor from './ProfileEditor';
+import ReportView from './ReportView';
+import UpdateReview from './UpdateReview';
+import SpacePicker from './SpacePicker';
+import PagePicker, { PageSummary } from './PagePicker';
+import StyleSettings from './StyleSettings';
+import MigrationSettings from './MigrationSettings';
+import ItemTree from './ItemTree';
+import { runMigrationJob } from './migrationJob';
+import BatchQueue from './BatchQueue';
+import { readBatchFiles, catalogExport, batchTargetsFor } from './batch';
+
+const TABS = [
+  { value: 'migrate', label: 'Migrate' },
+  { value: 'settings', label: 'Settings' },
+  { value: 'styles', label: 'Style rules' },
+];
+
+// Storage-format problems per page: [{ title, errors: [{ line, column, rule, message }], repaired }]
+function ValidationIssues({ issues }) {
+  if (!issues || !issues.length) return null;
+  return (
+    <div style={{ marginBottom: 8, color: '#bf2600' }}>
+      <strong>Storage format problems:</strong>
+      {issues.map((issue, i) => (
+        <div key={i} style={{ marginTop: 4 }}>
+          {issue.title}
+          {issue.repaired && ' (auto-repaired)'}
+          {issue.errors.length === 0 && ' — no problems left'}
+          <ul style={{ margin: 0 }}>
+            {issue.errors.map((e, j) => (
+              <li key={j}>
+                line {e.line}, column {e.column} [{e.rule}]: {e.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Result of the validateExport resolver: problems in the Knosys file by JSON path
+function ExportCheck({ check }) {
+  if (!check) return null;
+  const { errors = [], warnings = [], counts, truncated } = check;
+  const types = counts ? Object.entries(counts.byType).map(([type, n]) => `${n} ${type}`).join(', ') : '';
+  return (
+    <div style={{ marginTop: 4 }}>
+      {counts && <div>{counts.items} item(s){types && `: ${types}`}</div>}
+      {errors.length > 0 && (
+        <div style={{ color: '#bf2600' }}>
+          <strong>{errors.length} problem(s) must be fixed before migrating:</strong>
+          <ul style={{ margin: 0 }}>
+            {errors.map((e, i) => <li key={i}><code>{e.path}</code>: {e.message}</li>)}
+          </ul>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <details style={{ color: '#974f0c' }}>
+          <summary>{warnings.length} warning(s)</summary>
+          <ul style={{ margin: 0 }}>
+            {warnings.map((w, i) => <li key={i}><code>{w.path}</code>: {w.message}</li>)}
+          </ul>
+        </details>
+      )}
+      {truncated && <div>Only the first problems are listed.</div>}
+    </div>
+  );
+}
+
+// Progress of a running migration job (getJobStatus): steps are page writes
+function JobProgress({ job, onCancel }) {
+  if (!job) return null;
+  const { done = 0, total, current } = job.progress || {};
+  const percent = total ? Math.round((done / total) * 100) : 0;
+  return (
+    <div style={{ marginTop: 8, padding: 8, background: '#f4f5f7' }}>
+      <div>
+        Job {job.jobId}: {job.cancelRequested ? 'cancelling' : job.status}
+        {job.chunks > 1 && ` (part ${job.chunks})`}{' '}
+        <button onClick={onCancel} disabled={job.cancelRequested}>Cancel</button>
+      </div>
+      <div style={{ height: 8, margin: '4px 0', background: '#dfe1e6' }}>
+        <div style={{ width: `${percent}%`, height: '100%', background: '#0052cc' }} />
+      </div>
+      <div>
+        {done}{total ? ` of about ${total}` : ''} page step(s) done
+        {current && ` — working on "${current}"`}
+      </div>
+      {job.errors && job.errors.length > 0 && (
+        <details style={{ color: '#974f0c' }}>
+          <summary>{job.errors.length} problem(s) so far</summary>
+          <ul style={{ margin: 0 }}>
+            {job.errors.map((e, i) => <li key={i}>{e.step}: {e.message}</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
 
 function App() {
-  const [mode, setMode] = useState('create'); // "create", "update"
-  const [spaces, setSpaces] = useState([]);
-  const [spaceId, setSpaceId] = useState('');
-  const [pageId, setPageId] = useState('');
+  const [tab, setTab] = useState('migrate');
+  const [mode, setMode] = useState('create'); // "create", "update", "batch"
+  const [space, setSpace] = useState(null); // { id, key, name } from SpacePicker
+  const spaceId = space ? space.id : '';
+  const [pages, setPages] = useState([]);
+  const [parentId, setParentId] = useState('');
+  const [targetPage, setTargetPage] = useState(null); // page to update, from PagePicker
+  const [recordedPage, setRecordedPage] = useState(null); // where this document went last time
   const [title, setTitle] = useState('');
   const [status, setStatus] = useState('');
   const [fileName, setFileName] = useState('');
   const [jsonData, setJsonData] = useState(null);
+  const [exportCheck, setExportCheck] = useState(null); // validateExport result for jsonData
+  const [excludedItems, setExcludedItems] = useState({}); // subtrees unticked in ItemTree
+  const [images, setImages] = useState({}); // see readImageBundle
+  const [preview, setPreview] = useState(null);
+  const [autoRepair, setAutoRepair] = useState(false);
+  const [validationErrors, setValidationErrors] = useState(null);
+  const [report, setReport] = useState(null);
+  const [pendingUpdate, setPendingUpdate] = useState(null); // see UpdateReview
+  const [job, setJob] = useState(null); // getJobStatus result while a migration job runs
+  const [batch, setBatch] = useState([]); // see BatchQueue; load() reads the entry's export
+  const [batchCatalog, setBatchCatalog] = useState({}); // items of every batch document, see catalogExport
+  const [batchRunning, setBatchRunning] = useState(false);
+  const stopBatch = useRef(false);
+  const [profileName, setProfileName] = useState('default');
+  const [profiles, setProfiles] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [editingProfiles, setEditingProfiles] = useState(false);
+  const [ledgerQuery, setLedgerQuery] = useState('');
+  const [ledger, setLedger] = useState(null); // { entries, nextCursor }
+  const [rollbackRunId, setRollbackRunId] = useState('');
+  const [rollbackForce, setRollbackForce] = useState(false);
+  const [rollback, setRollback] = useState(null); // rollbackRun result
+  const [confirmingRollback, setConfirmingRollback] = useState(false);
 
-  useEffect(() => {
-    invoke('listSpaces')
+  const loadProfiles = (selectName) => {
+    invoke('listProfiles')
       .then(res => {
         if (res.ok) {
-          setSpaces(res.spaces);
+          setProfiles(res.profiles);
+          setStages(res.stages);
+          if (selectName) setProfileName(selectName);
         } else {
-          setStatus(`Could not load spaces: ${res.error}`);
+          setStatus(`Could not load profiles: ${res.error}`);
         }
       })
-      .catch(err => setStatus('Error loading spaces: ' + err.message));
-  }, []);
+      .catch(err => setStatus('Error loading profiles: ' + err.message));
+  };
+
+  useEffect(() => loadProfiles(), []);
+
+  // Candidate parent pages follow the selected space; listPages returns them
+  // a page at a time, so follow nextCursor until all are listed
+  useEffect(() => {
+    setParentId('');
+    setPages([]);
+    if (!spaceId) return undefined;
+    let cancelled = false;
+    const load = async (cursor) => {
+      const res = await invoke('listPages', { spaceId, cursor });
+      if (cancelled) return;
+      if (!res.ok) {
+        setStatus(`Could not load pages: ${res.error}`);
+        return;
+      }
+      setPages(prev => prev.concat(res.pages));
+      if (res.nextCursor) await load(res.nextCursor);
+    };
+    load(null).catch(err => setStatus('Error loading pages: ' + err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [spaceId]);
+
+  // Offer the page an earlier run created for the same Knosys document
+  const documentId = jsonData && jsonData.detail && jsonData.detail.id;
+  useEffect(() => {
+    setRecordedPage(null);
+    if (!documentId) return;
+    invoke('findRecordedPage', { knosysId: documentId })
+      .then(res => {
+        if (res.ok) setRecordedPage(res.page);
+      })
+      .catch(err => setStatus('Error looking up the ledger: ' + err.message));
+  }, [documentId]);
+
+  const chooseSpace = (s) => {
+    setSpace(s);
+    setTargetPage(null);
+  };
+
+  const pickRecordedPage = () => {
+    setSpace(recordedPage.space);
+    setTargetPage(recordedPage);
+  };
 
   const onFileChange = (e) => {
     const file = e.target.files[0];
     if (!file) return;
     setFileName(file.name);
+    setExportCheck(null);
+    setExcludedItems({});
     const reader = new FileReader();
-    reader.onload = (evt) => {
+    reader.onload = async (evt) => {
+      let kno;
       try {
-        const kno = JSON.parse(evt.target.result);
-        setJsonData(kno);
-        setStatus(`Loaded JSON: ${file.name}`);
+        kno = JSON.parse(evt.target.result);
       } catch (err) {
+        setJsonData(null);
         setStatus('Invalid JSON file: ' + err.message);
+        return;
+      }
+      setJsonData(kno);
+      setStatus(`Loaded JSON: ${file.name} — checking it against the Knosys export format…`);
+      try {
+        const res = await invoke('validateExport', { json: kno });
+        if (res.error) {
+          setStatus(`Could not check ${file.name}: ${res.error}`);
+        } else {
+          setExportCheck(res);
+          setStatus(res.valid ? `Loaded JSON: ${file.name}` : `${file.name} is not a valid Knosys export.`);
+        }
+      } catch (err) {
+        setStatus('Invoke failed: ' + err.message);
       }
     };
     reader.readAsText(file);
   };
 
-  const handleSubmit = async () => {
+  const onImagesChange = async (e) => {
+    const files = e.target.files;
+    if (!files || !files.length) return;
+    try {
+      const bundle = await readImageBundle(files);
+      setImages(prev => ({ ...prev, ...bundle }));
+      setStatus(`Loaded ${Object.keys(bundle).length} image(s) from the bundle.`);
+    } catch (err) {
+      setStatus('Could not read image bundle: ' + err.message);
+    }
+  };
+
+  // Builds the migrateJsonToPage payload, or returns null after setting a status message
+  const buildPayload = () => {
     if (!jsonData) {
       setStatus('Please upload a JSON file first.');
-      return;
+      return null;
+    }
+    if (exportCheck && !exportCheck.valid) {
+      setStatus('Fix the problems listed under the file before migrating it.');
+      return null;
     }
 
-    let payload = { json: jsonData };
+    // Only the names travel with the migration; files are uploaded afterwards
+    let payload = {
+      json: jsonData,
+      imageFiles: Object.values(images).map(img => img.name),
+      profile: profileName,
+      autoRepair,
+    };
+    const excludeItemIds = Object.keys(excludedItems);
+    if (excludeItemIds.length) payload.excludeItemIds = excludeItemIds;
 
     if (mode === 'create') {
       if (!spaceId) {
         setStatus('Space is required for creating a page.');
-        return;
+        return null;
       }
       payload.spaceId = spaceId;
+      payload.spaceKey = space.key;
+      if (parentId) payload.parentId = parentId;
       if (title) payload.title = title;
     } else if (mode === 'update') {
-      if (!pageId || !spaceId) {
-        setStatus('Both Page ID and Space are required for updating.');
-        return;
+      if (!targetPage || !spaceId) {
+        setStatus('Pick the space and the page to update.');
+        return null;
       }
-      payload.pageId = pageId;      // ✅ update target
+      payload.pageId = targetPage.id;      // ✅ update target
       payload.spaceId = spaceId;    // ✅ required for PUT
+      payload.spaceKey = space.key;
       if (title) payload.title = title;
     }
+    return payload;
+  };
+
+  const handlePreview = async () => {
+    const payload = buildPayload();
+    if (!payload) return;
+    payload.dryRun = true;
+
+    setPreview(null);
+    setReport(null);
+    setValidationErrors(null);
+    setStatus('Generating preview…');
+
+    try {
+      const res = await invoke('migrateJsonToPage', payload);
+      if (res.error) {
+        setStatus(`Error: ${res.error}`);
+        if (res.schemaErrors) setExportCheck({ valid: false, errors: res.schemaErrors });
+      } else {
+        setPreview(res);
+        setStatus('Preview ready — nothing was written to Confluence.');
+      }
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  // Updates are previewed first so the diff can be confirmed before the PUT
+  const reviewUpdate = async (conflictPolicy) => {
+    const payload = buildPayload();
+    if (!payload) return;
+    payload.dryRun = true;
+    if (conflictPolicy) payload.conflictPolicy = conflictPolicy;
 
-    setStatus('Processing…');
+    setPreview(null);
+    setReport(null);
+    setValidationErrors(null);
+    setStatus('Comparing with the current page…');
 
     try {
       const res = await invoke('migrateJsonToPage', payload);
       if (res.error) {
         setStatus(`Error: ${res.error}`);
+        if (res.schemaErrors) setExportCheck({ valid: false, errors: res.schemaErrors });
+      } else if (res.update) {
+        setPendingUpdate(res.update);
+        setStatus('Review the changes below, then confirm the update.');
+      } else {
+        await runMigration();
+      }
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  const handleSubmit = () => (mode === 'update' ? reviewUpdate() : runMigration());
+
+  const confirmUpdate = () => {
+    const update = pendingUpdate;
+    setPendingUpdate(null);
+    runMigration({ conflictPolicy: update.policy, expectedVersion: update.currentVersion });
+  };
+
+  const cancelJob = async () => {
+    try {
+      const res = await invoke('cancelJob', { jobId: job.jobId });
+      if (res.error) setStatus(`Could not cancel the migration: ${res.error}`);
+      else setJob(res.job);
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  const runMigration = async (options = {}) => {
+    const payload = buildPayload();
+    if (!payload) return;
+    Object.assign(payload, options);
+
+    setPreview(null);
+    setReport(null);
+    setValidationErrors(null);
+    setStatus('Queueing the migration…');
+
+    try {
+      const finished = await runMigrationJob(invoke, payload, (progress) => {
+        setJob(progress);
+        setStatus('Migrating in the background…');
+      });
+      setJob(null);
+      const res = finished.result || { error: `Job ${finished.jobId} ${finished.status} without a result` };
+      if (finished.status === 'cancelled') {
+        setStatus(res.runId
+          ? `Migration cancelled. Pages written before that were recorded as run ${res.runId}.`
+          : 'Migration cancelled before any page was written.');
+        if (res.runId) setRollbackRunId(res.runId);
+      } else if (res.error) {
+        setStatus(res.runId ? `Error: ${res.error}\nPages written before the failure were recorded as run ${res.runId}.` : `Error: ${res.error}`);
+        setValidationErrors(res.validationErrors || null);
+        if (res.schemaErrors) setExportCheck({ valid: false, errors: res.schemaErrors });
+        if (res.runId) setRollbackRunId(res.runId);
+        // Edited since the last migration (or since the review): decide again
+        if (res.update) setPendingUpdate(res.update);
+      } else if (!res.page) {
+        // Left alone by the skip title collision policy
+        setStatus(`Skipped: ${res.reason}`);
+        setReport(res.report || null);
       } else {
         const page = res.page || {};
         const pageId = page.id;
         const base = (page._links && page._links.base) || '';
         const webui = (page._links && page._links.webui) || '';
         const link = base && webui ? `${base}${webui}` : '';
-        setStatus(
-          `${res.action === 'updated' ? 'Updated' : 'Created'} page ✓ (id=${pageId}) ${
-            link ? ` → ${link}` : ''
-          }`
+        const verb = { updated: 'Updated', unchanged: 'Unchanged', skipped: 'Skipped' }[res.action] || 'Created';
+        const summary = `${verb} page ✓ (id=${pageId}) ${link ? ` → ${link}` : ''}\nRun ${res.runId} (profile: ${profileName})`;
+        setStatus(summary);
+        setReport(res.report || null);
+        setRollbackRunId(res.runId || '');
+
+        const { attached, failed } = await uploadAttachments(
+          invoke,
+          images,
+          res.attachments,
+          (done, total, target) => setStatus(`${summary}\nAttaching image ${done}/${total}: ${target.filename}`)
         );
+        const lines = [summary];
+        (res.warnings || []).forEach(w => lines.push(`Warning: ${w.step} was skipped (${w.message})`));
+        (res.validation || []).filter(v => v.repaired).forEach(v => lines.push(`Auto-repaired storage format of "${v.title}"`));
+        const brokenLinks = (res.report && res.report.counts.brokenLinks) || 0;
+        if (brokenLinks) lines.push(`${brokenLinks} page link(s) could not be resolved — see the report below.`);
+        if (attached.length || failed.length) lines.push(`Attached ${attached.length} image(s).`);
+        failed.forEach(f => lines.push(`Failed to attach ${f.filename} to "${f.pageTitle}": ${f.error}`));
+        if (res.missingImages && res.missingImages.length) {
+          lines.push(`Missing from image bundle (${res.missingImages.length}): ${res.missingImages.join(', ')}`);
+        }
+        setStatus(lines.join('\n'));
       }
     } catch (err) {
+      setJob(null);
       setStatus('Invoke failed: ' + err.message);
     }
   };
 
+  const onBatchFilesChange = async (e) => {
+    const files = e.target.files;
+    if (!files || !files.length) return;
+    try {
+      const exports = await readBatchFiles(files);
+      const entries = [];
+      const catalog = {};
+      for (const [i, file] of exports.entries()) {
+        setStatus(`Reading ${i + 1} of ${exports.length}: ${file.name}`);
+        try {
+          const entry = catalogExport(await file.load());
+          if (!entry.documentId) throw new Error('The export has no detail.id');
+          Object.assign(catalog, entry.items);
+          entries.push({ name: file.name, load: file.load, documentId: entry.documentId, title: entry.title, status: 'pending' });
+        } catch (err) {
+          entries.push({ name: file.name, load: file.load, title: '', status: 'invalid', detail: err.message });
+        }
+      }
+      setBatch(entries);
+      setBatchCatalog(catalog);
+      setStatus(`Loaded ${entries.length} export(s) for the batch.`);
+    } catch (err) {
+      setStatus('Could not read the batch: ' + err.message);
+    }
+  };
+
+  const updateBatchEntry = (index, changes) => {
+    setBatch(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  // Migrates the waiting documents one job at a time with the shared space,
+  // parent page, profile and images, then fixes the links between documents
+  // that could not be resolved while their target was still waiting
+  const runBatch = async () => {
+    if (!spaceId) {
+      setStatus('Pick the space to migrate the batch into.');
+      return;
+    }
+    stopBatch.current = false;
+    setBatchRunning(true);
+    setReport(null);
+    const migrated = [];
+    for (const [index, entry] of batch.entries()) {
+      if (entry.status !== 'pending') continue;
+      if (stopBatch.current) break;
+      updateBatchEntry(index, { status: 'running', detail: 'Queued' });
+      setStatus(`Migrating ${entry.name}…`);
+      try {
+        const json = await entry.load();
+        const batchTargets = batchTargetsFor(json, batchCatalog);
+        const payload = {
+          json,
+          imageFiles: Object.values(images).map(img => img.name),
+          profile: profileName,
+          autoRepair,
+          spaceId,
+          spaceKey: space.key,
+          batchTargets,
+        };
+        if (parentId) payload.parentId = parentId;
+        const finished = await runMigrationJob(invoke, payload, (progress) => {
+          setJob(progress);
+          const { done = 0, total } = progress.progress || {};
+          updateBatchEntry(index, { detail: `${done}${total ? ` of about ${total}` : ''} page step(s) done` });
+        });
+        setJob(null);
+        const res = finished.result || { error: `Job ${finished.status} without a result` };
+        if (finished.status === 'cancelled' || res.error) {
+          updateBatchEntry(index, {
+            status: finished.status === 'cancelled' ? 'cancelled' : 'failed',
+            detail: res.error,
+            runId: res.runId || null,
+          });
+          continue;
+        }
+        if (!res.page) {
+          updateBatchEntry(index, { status: 'done', detail: `Skipped: ${res.reason}` });
+          continue;
+        }
+        const page = res.page;
+        const link = page._links && page._links.base && page._links.webui ? `${page._links.base}${page._links.webui}` : '';
+        updateBatchEntry(index, { status: 'done', detail: res.action, link, runId: res.runId });
+        const { failed } = await uploadAttachments(invoke, images, res.attachments);
+        if (failed.length) updateBatchEntry(index, { detail: `${res.action}; ${failed.length} image(s) failed to attach` });
+        migrated.push({ index, entry, page, pendingBatchLinks: res.pendingBatchLinks || {}, batchTargets });
+      } catch (err) {
+        setJob(null);
+        updateBatchEntry(index, { status: 'failed', detail: err.message });
+      }
+    }
+
+    // Links to documents that came later in the batch
+    for (const { index, entry, page, pendingBatchLinks, batchTargets } of migrated) {
+      if (!Object.keys(pendingBatchLinks).length) continue;
+      setStatus(`Fixing links between the batch documents: ${entry.name}`);
+      try {
+        const res = await invoke('resolveBatchLinks', {
+          pageId: page.id,
+          documentId: entry.documentId,
+          pendingBatchLinks,
+          batchTargets,
+        });
+        if (res.error) updateBatchEntry(index, { detail: `Links to other documents not fixed: ${res.error}` });
+        else if (res.pending.length) updateBatchEntry(index, { detail: `${res.pending.length} link(s) to other documents still unresolved` });
+      } catch (err) {
+        updateBatchEntry(index, { detail: `Links to other documents not fixed: ${err.message}` });
+      }
+    }
+    setBatchRunning(false);
+    setStatus(stopBatch.current ? 'Batch stopped; the remaining documents are still waiting.' : 'Batch finished.');
+  };
+
+  // Look up one Knosys id in the ledger, or list every entry when the box is empty
+  const loadLedger = async (cursor) => {
+    try {
+      const res = await invoke('getLedger', ledgerQuery ? { knosysId: ledgerQuery.trim() } : { cursor });
+      if (res.error) {
+        setStatus(`Ledger lookup failed: ${res.error}`);
+        return;
+      }
+      setLedger(prev => ({
+        entries: cursor && prev ? prev.entries.concat(res.entries) : res.entries,
+        nextCursor: res.nextCursor,
+      }));
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  const handleRollback = async () => {
+    const runId = rollbackRunId.trim();
+    if (!runId) return;
+    setConfirmingRollback(false);
+    setRollback(null);
+    setStatus(`Rolling back run ${runId}…`);
+    try {
+      const res = await invoke('rollbackRun', { runId, force: rollbackForce });
+      if (res.error) {
+        setStatus(`Rollback failed: ${res.error}`);
+        return;
+      }
+      setRollback(res);
+      setStatus(res.complete
+        ? `Run ${runId} rolled back.`
+        : `Run ${runId} was only partly rolled back; see the pages below.`);
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  const tabBar = (
+    <div style={{ marginBottom: 12 }}>
+      {TABS.map((t) => (
+        <button key={t.value} onClick={() => setTab(t.value)} disabled={tab === t.value}>{t.label}</button>
+      ))}
+    </div>
+  );
+
+  if (tab !== 'migrate') {
+    return (
+      <div style={{ padding: 16, fontFamily: 'Arial, sans-serif' }}>
+        <h2>Knosys → Confluence Migration</h2>
+        {tabBar}
+        {tab === 'settings' && <MigrationSettings setStatus={setStatus} />}
+        {tab === 'styles' && <StyleSettings setStatus={setStatus} />}
+        <div style={{ marginTop: 16, whiteSpace: 'pre-wrap' }}>{status}</div>
+      </div>
+    );
+  }
+
   return (
     <div style={{ padding: 16, fontFamily: 'Arial, sans-serif' }}>
       <h2>Knosys → Confluence Migration</h2>
+      {tabBar}
 
       <div style={{ marginBottom: 12 }}>
         <label>
           <strong>Mode:</strong>{' '}
           <select value={mode} onChange={(e) => setMode(e.target.value)}>
             <option value="create">Create new page (by space)</option>
-            <option value="update">Update existing page (by pageId)</option>
+            <option value="update">Update existing page</option>
+            <option value="batch">Migrate many documents (batch)</option>
           </select>
         </label>
       </div>
 
-  {(mode === 'create' || mode === 'update') && (
+  {(mode === 'create' || mode === 'update' || mode === 'batch') && (
+        <div style={{ marginBottom: 8 }}>
+          Space:&nbsp;
+          <SpacePicker value={space} onChange={chooseSpace} setStatus={setStatus} />
+        </div>
+      )}
+
+      {(mode === 'create' || mode === 'batch') && spaceId && (
         <div style={{ marginBottom: 8 }}>
           <label>
-            Space:&nbsp;
+            Parent page (optional):&nbsp;
             <select
-              value={spaceId}
-              onChange={(e) => setSpaceId(e.target.value)}
+              value={parentId}
+              onChange={(e) => setParentId(e.target.value)}
             >
-              <option value="">-- select space --</option>
-              {spaces.map((s) => (
-                <option key={s.id} value={s.id}>
-                  {s.name} ({s.key})
+              <option value="">-- space root --</option>
+              {pages.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.title}
                 </option>
               ))}
             </select>
@@ -122,40 +641,243 @@ function App() {
         </div>
       )}
 
+      {mode === 'update' && recordedPage && (!targetPage || targetPage.id !== recordedPage.id) && (
+        <div style={{ marginBottom: 8, padding: 8, background: '#deebff' }}>
+          This document was migrated before, to{' '}
+          <PageSummary page={recordedPage} />
+          {recordedPage.space && <div><small>in {recordedPage.space.name} ({recordedPage.space.key})</small></div>}
+          <button onClick={pickRecordedPage}>Update this page</button>
+        </div>
+      )}
+
       {mode === 'update' && (
+        <div style={{ marginBottom: 8 }}>
+          Page:&nbsp;
+          <PagePicker space={space} value={targetPage} onChange={setTargetPage} setStatus={setStatus} />
+        </div>
+      )}
+
+      <div style={{ marginBottom: 8 }}>
+        <label>
+          Profile:&nbsp;
+          <select value={profileName} onChange={(e) => setProfileName(e.target.value)}>
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+          </select>
+        </label>{' '}
+        <button onClick={() => setEditingProfiles(!editingProfiles)}>
+          {editingProfiles ? 'Close profile editor' : 'Edit profiles'}
+        </button>
+        {editingProfiles && (
+          <ProfileEditor stages={stages} profiles={profiles} onSaved={loadProfiles} setStatus={setStatus} />
+        )}
+      </div>
+
+      {mode !== 'batch' && (
         <div style={{ marginBottom: 8 }}>
           <label>
-            Page ID:&nbsp;
+            Title (optional override):&nbsp;
             <input
-              value={pageId}
-              onChange={(e) => setPageId(e.target.value)}
-              placeholder="numeric page id"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="leave blank to auto-use JSON title"
             />
           </label>
         </div>
       )}
 
+      {mode !== 'batch' && (
+        <div style={{ marginBottom: 8 }}>
+          <input type="file" accept=".json,application/json" onChange={onFileChange} />
+          {fileName && <div>Selected file: {fileName}</div>}
+          <ExportCheck check={exportCheck} />
+        </div>
+      )}
+
+      {mode !== 'batch' && (
+        <ItemTree data={jsonData} excluded={excludedItems} onChange={setExcludedItems} setStatus={setStatus} />
+      )}
+
+      {mode === 'batch' && (
+        <div style={{ marginBottom: 8 }}>
+          <label>
+            Knosys exports (.json files or .zip):&nbsp;
+            <input type="file" multiple accept=".json,application/json,.zip" onChange={onBatchFilesChange} disabled={batchRunning} />
+          </label>
+          <BatchQueue entries={batch} />
+        </div>
+      )}
+
       <div style={{ marginBottom: 8 }}>
         <label>
-          Title (optional override):&nbsp;
-          <input
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            placeholder="leave blank to auto-use JSON title"
-          />
+          Images (.zip or image files):&nbsp;
+          <input type="file" multiple accept=".zip,image/*" onChange={onImagesChange} />
+        </label>{' '}
+        <label>
+          or folder:&nbsp;
+          <input type="file" webkitdirectory="" directory="" onChange={onImagesChange} />
         </label>
+        {Object.keys(images).length > 0 && (
+          <div>
+            {Object.keys(images).length} image(s) ready{' '}
+            <button onClick={() => setImages({})}>Clear</button>
+          </div>
+        )}
       </div>
 
       <div style={{ marginBottom: 8 }}>
-        <input type="file" accept=".json,application/json" onChange={onFileChange} />
-        {fileName && <div>Selected file: {fileName}</div>}
+        <label>
+          <input type="checkbox" checked={autoRepair} onChange={(e) => setAutoRepair(e.target.checked)} />{' '}
+          Auto-repair invalid storage format
+        </label>
       </div>
 
-      <div style={{ marginBottom: 12 }}>
-        <button onClick={handleSubmit}>Run Migration</button>
-      </div>
+      {mode === 'batch' ? (
+        <div style={{ marginBottom: 12 }}>
+          <button onClick={runBatch} disabled={batchRunning || !batch.some(e => e.status === 'pending')}>Migrate batch</button>{' '}
+          {batchRunning && (
+            <button onClick={() => { stopBatch.current = true; }}>Stop after this document</button>
+          )}
+        </div>
+      ) : (
+        <div style={{ marginBottom: 12 }}>
+          <button onClick={handleSubmit} disabled={Boolean(job)}>Run Migration</button>{' '}
+          <button onClick={handlePreview}>Preview only</button>
+        </div>
+      )}
 
       <div style={{ marginTop: 16, whiteSpace: 'pre-wrap' }}>{status}</div>
+      <JobProgress job={job} onCancel={cancelJob} />
+      <ValidationIssues issues={validationErrors} />
+      <UpdateReview
+        update={pendingUpdate}
+        onPolicyChange={reviewUpdate}
+        onConfirm={confirmUpdate}
+        onCancel={() => { setPendingUpdate(null); setStatus('Update cancelled.'); }}
+      />
+      <ReportView report={report} />
+
+      {preview && (
+        <div style={{ marginTop: 16 }}>
+          <h3>Preview: {preview.title}</h3>
+          <div style={{ marginBottom: 8 }}>Profile: {preview.profile}</div>
+          {preview.labels && preview.labels.length > 0 && (
+            <div style={{ marginBottom: 8 }}>Labels: {preview.labels.join(', ')}</div>
+          )}
+          <div style={{ marginBottom: 8 }}>
+            <strong>Pages that would be written ({preview.pages.length}):</strong>
+            <ul>
+              {preview.pages.map((p) => (
+                <li key={p.id}>
+                  {p.action === 'create' ? 'Create' : `Update (id=${p.id}, v${p.fromVersion})`}: {p.title}{' '}
+                  <small>(space {p.spaceId}{p.parentId ? `, under ${p.parentId}` : ''}, {p.bodyLength} chars)</small>
+                </li>
+              ))}
+            </ul>
+          </div>
+          {preview.warnings && preview.warnings.length > 0 && (
+            <div style={{ marginBottom: 8, color: '#bf2600' }}>
+              <strong>Skipped transforms:</strong>
+              <ul>
+                {preview.warnings.map((w, i) => (
+                  <li key={i}>{w.step}: {w.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <ValidationIssues issues={preview.validation} />
+          <ReportView report={preview.report} />
+          {preview.missingImages && preview.missingImages.length > 0 && (
+            <div style={{ marginBottom: 8, color: '#bf2600' }}>
+              <strong>Missing from image bundle ({preview.missingImages.length}):</strong>{' '}
+              {preview.missingImages.join(', ')}
+            </div>
+          )}
+          <strong>Storage format:</strong>
+          <textarea
+            readOnly
+            value={preview.storage}
+            style={{ display: 'block', width: '100%', height: 300, fontFamily: 'monospace' }}
+          />
+        </div>
+      )}
+
+      <div style={{ marginTop: 24 }}>
+        <h3>Migration ledger</h3>
+        <label>
+          Knosys id:&nbsp;
+          <input
+            value={ledgerQuery}
+            onChange={(e) => setLedgerQuery(e.target.value)}
+            placeholder="leave blank to list all"
+          />
+        </label>{' '}
+        <button onClick={() => loadLedger()}>Look up</button>
+        {ledger && (
+          <table style={{ marginTop: 8, borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th align="left">Knosys id</th>
+                <th align="left">Page</th>
+                <th align="left">Version</th>
+                <th align="left">Migrated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.entries.length === 0 && (
+                <tr><td colSpan={4}>No ledger entries found.</td></tr>
+              )}
+              {ledger.entries.map((e) => (
+                <tr key={e.knosysId}>
+                  <td style={{ paddingRight: 12 }}>{e.knosysId}</td>
+                  <td style={{ paddingRight: 12 }}>
+                    {e.webui ? <a href={e.webui} target="_blank" rel="noreferrer">{e.title}</a> : e.title} (id={e.pageId})
+                  </td>
+                  <td style={{ paddingRight: 12 }}>{e.version}</td>
+                  <td>{e.updatedAt}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {ledger && ledger.nextCursor && (
+          <button onClick={() => loadLedger(ledger.nextCursor)}>Load more</button>
+        )}
+      </div>
+
+      <div style={{ marginTop: 24 }}>
+        <h3>Roll back a run</h3>
+        <label>
+          Run id:&nbsp;
+          <input value={rollbackRunId} onChange={(e) => setRollbackRunId(e.target.value)} />
+        </label>{' '}
+        <label>
+          <input type="checkbox" checked={rollbackForce} onChange={(e) => setRollbackForce(e.target.checked)} />{' '}
+          Also roll back pages edited or migrated again after the run
+        </label>{' '}
+        {!confirmingRollback && (
+          <button onClick={() => setConfirmingRollback(true)} disabled={!rollbackRunId.trim()}>Roll back</button>
+        )}
+        {confirmingRollback && (
+          <div style={{ marginTop: 8, color: '#bf2600' }}>
+            This deletes the pages the run created and restores the pages it updated.{' '}
+            <button onClick={handleRollback}>Confirm roll back</button>{' '}
+            <button onClick={() => setConfirmingRollback(false)}>Cancel</button>
+          </div>
+        )}
+        {rollback && (
+          <ul>
+            {rollback.results.map((r) => (
+              <li key={r.pageId}>
+                {r.title} (id={r.pageId}): {r.outcome}
+                {r.outcome === 'restored' && ` to v${r.priorVersion}`}
+                {r.error && ` — ${r.error}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 }
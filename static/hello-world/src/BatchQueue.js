@@ -0,0 +1,66 @@
+// static/hello-world/src/BatchQueue.js
+// The documents of a batch migration and where each one is: waiting,
+// migrating, done (with its page), or failed / skipped with the reason.
+import React from 'react';
+
+const STATUS_COLOURS = {
+  pending: '#5e6c84',
+  running: '#0052cc',
+  done: '#00875a',
+  failed: '#bf2600',
+  invalid: '#bf2600',
+  cancelled: '#974f0c',
+};
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  running: 'Migrating',
+  done: 'Done',
+  failed: 'Failed',
+  invalid: 'Not a Knosys export',
+  cancelled: 'Cancelled',
+};
+
+// entries: [{ name, title, documentId, status, detail, link, runId }]
+function BatchQueue({ entries }) {
+  if (!entries || !entries.length) return null;
+  const counts = {};
+  entries.forEach(e => {
+    counts[e.status] = (counts[e.status] || 0) + 1;
+  });
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <strong>Batch: {entries.length} document(s)</strong>{' '}
+      {Object.entries(counts).map(([status, n]) => `${n} ${STATUS_LABELS[status].toLowerCase()}`).join(', ')}
+      <div style={{ maxHeight: 400, overflowY: 'auto', border: '1px solid #dfe1e6' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>File</th>
+              <th style={{ textAlign: 'left' }}>Document</th>
+              <th style={{ textAlign: 'left' }}>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={i} style={{ borderTop: '1px solid #dfe1e6', verticalAlign: 'top' }}>
+                <td>{e.name}</td>
+                <td>
+                  {e.link ? <a href={e.link} target="_blank" rel="noopener noreferrer">{e.title}</a> : e.title}
+                  {e.documentId && <div><small>{e.documentId}</small></div>}
+                </td>
+                <td style={{ color: STATUS_COLOURS[e.status] }}>
+                  {STATUS_LABELS[e.status]}
+                  {e.detail && <div><small>{e.detail}</small></div>}
+                  {e.runId && <div><small>Run {e.runId}</small></div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default BatchQueue;
@@ -0,0 +1,144 @@
+// static/hello-world/src/ItemTree.js
+// Browses the children hierarchy of the uploaded Knosys export. Unticking an
+// item leaves its whole subtree out of the migration (excludeItemIds in the
+// migrateJsonToPage payload); items without a Knosys id follow their parent.
+// "Details" asks the resolveItemById resolver about one item.
+import React, { useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+// Items deeper than this start collapsed
+const OPEN_DEPTH = 1;
+const VALUE_PREVIEW_LENGTH = 200;
+
+const TYPE_COLOURS = {
+  Document: '#0052cc',
+  Link: '#00875a',
+  Image: '#6554c0',
+  SharedParagraph: '#ff8b00',
+};
+
+const stripTags = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+function itemTitle(item) {
+  if (item.detail && item.detail.title) return item.detail.title;
+  const field = (item.fields || []).find(f => f && ['DocumentTitle', 'ParagraphTitle', 'Title', 'LinkText'].includes(f.name) && f.value);
+  return field ? stripTags(field.value) : '(untitled)';
+}
+
+function TreeNode({ item, depth, excluded, parentExcluded, onToggle, onDetails }) {
+  const [open, setOpen] = useState(depth < OPEN_DEPTH);
+  const id = item.detail && item.detail.id;
+  const type = item.detail && item.detail.itemType;
+  const children = Array.isArray(item.children) ? item.children : [];
+  const isExcluded = parentExcluded || Boolean(id && excluded[id]);
+  const fields = (item.fields || []).filter(f => f && f.name);
+
+  return (
+    <li style={{ listStyle: 'none', opacity: isExcluded ? 0.5 : 1 }}>
+      <div>
+        {children.length > 0 ? (
+          <button onClick={() => setOpen(!open)} style={{ width: 24 }}>{open ? '−' : '+'}</button>
+        ) : (
+          <span style={{ display: 'inline-block', width: 24 }} />
+        )}
+        <input
+          type="checkbox"
+          checked={!isExcluded}
+          disabled={!id || parentExcluded}
+          title={id ? '' : 'Items without an id follow their parent'}
+          onChange={() => onToggle(id)}
+        />{' '}
+        <span style={{ color: TYPE_COLOURS[type] || '#5e6c84', fontSize: 12 }}>[{type || 'no type'}]</span>{' '}
+        {itemTitle(item)}
+        {children.length > 0 && ` (${children.length})`}{' '}
+        {id && <button onClick={() => onDetails(id)}>Details</button>}
+      </div>
+      {fields.length > 0 && (
+        <details style={{ marginLeft: 48, fontSize: 12 }}>
+          <summary>{fields.map(f => f.name).join(', ')}</summary>
+          {fields.map((f, i) => {
+            const text = stripTags(f.value);
+            return (
+              <div key={i}>
+                <strong>{f.name}:</strong>{' '}
+                {text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH)}…` : text}
+              </div>
+            );
+          })}
+        </details>
+      )}
+      {open && children.length > 0 && (
+        <ul style={{ margin: 0, paddingLeft: 24 }}>
+          {children.map((child, i) => (
+            <TreeNode
+              key={(child && child.detail && child.detail.id) || i}
+              item={child || {}}
+              depth={depth + 1}
+              excluded={excluded}
+              parentExcluded={isExcluded}
+              onToggle={onToggle}
+              onDetails={onDetails}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// excluded: { [knosysId]: true } for unticked subtrees
+function ItemTree({ data, excluded, onChange, setStatus }) {
+  const [details, setDetails] = useState(null); // resolveItemById result
+
+  if (!data || !Array.isArray(data.children) || !data.children.length) return null;
+
+  const toggle = (id) => {
+    const next = { ...excluded };
+    if (next[id]) delete next[id];
+    else next[id] = true;
+    onChange(next);
+  };
+
+  const showDetails = async (itemId) => {
+    try {
+      const res = await invoke('resolveItemById', { data, itemId });
+      if (res.error) setStatus(`Could not look up ${itemId}: ${res.error}`);
+      else setDetails(res.item);
+    } catch (err) {
+      setStatus('Invoke failed: ' + err.message);
+    }
+  };
+
+  const excludedCount = Object.keys(excluded).length;
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <strong>Items to migrate</strong>
+      {excludedCount > 0 && (
+        <span>
+          {' '}— {excludedCount} subtree(s) left out <button onClick={() => onChange({})}>Include all</button>
+        </span>
+      )}
+      <ul style={{ margin: 0, paddingLeft: 0, maxHeight: 400, overflowY: 'auto', border: '1px solid #dfe1e6' }}>
+        {data.children.map((child, i) => (
+          <TreeNode
+            key={(child && child.detail && child.detail.id) || i}
+            item={child || {}}
+            depth={0}
+            excluded={excluded}
+            parentExcluded={false}
+            onToggle={toggle}
+            onDetails={showDetails}
+          />
+        ))}
+      </ul>
+      {details && (
+        <div style={{ marginTop: 8, padding: 8, background: '#f4f5f7' }}>
+          <button onClick={() => setDetails(null)} style={{ float: 'right' }}>Close</button>
+          <pre style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{JSON.stringify(details, null, 2)}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ItemTree;
@@ -0,0 +1,213 @@
+// static/hello-world/src/MigrationSettings.js
+// Defaults migrateJsonToPage reads on every run: where shared paragraph and
+// image hub pages go, which link domains get repaired, which Knosys assets
+// are never migrated, how title collisions are handled, and which Knosys
+// metadata becomes labels and page properties.
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+
+const METADATA_SOURCES = ['property', 'field', 'detail'];
+const TITLE_COLLISION_POLICIES = [
+  { value: 'reuse', label: 'Reuse the existing page' },
+  { value: 'suffix', label: 'Add the Knosys id to the title' },
+  { value: 'prefix', label: 'Put the namespace in front of the title' },
+  { value: 'skip', label: 'Skip the page' },
+  { value: 'fail', label: 'Stop the migration' },
+];
+const NEW_MAPPING = { source: 'property', name: '', heading: '', toLabel: true, labelPrefix: '', toDetails: false };
+
+function MigrationSettings({ setStatus }) {
+  const [settings, setSettings] = useState(null);
+  const [excludedText, setExcludedText] = useState('');
+
+  const load = (loaded) => {
+    setSettings(loaded);
+    setExcludedText(loaded.excludedAssetIds.join('\n'));
+  };
+
+  useEffect(() => {
+    invoke('getMigrationSettings')
+      .then(res => {
+        if (res.ok) load(res.settings);
+        else setStatus(`Could not load migration settings: ${res.error}`);
+      })
+      .catch(err => setStatus('Error loading migration settings: ' + err.message));
+  }, [setStatus]);
+
+  if (!settings) return <div>Loading migration settings…</div>;
+
+  const updateRule = (index, changes) => setSettings({
+    ...settings,
+    linkDomainRules: settings.linkDomainRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+  });
+
+  const updateMapping = (index, changes) => setSettings({
+    ...settings,
+    metadataMappings: settings.metadataMappings.map((m, i) => (i === index ? { ...m, ...changes } : m)),
+  });
+
+  const save = async (reset) => {
+    const payload = reset ? { reset: true } : {
+      settings: { ...settings, excludedAssetIds: excludedText.split(/[\s,]+/).filter(Boolean) },
+    };
+    const res = await invoke('saveMigrationSettings', payload);
+    if (res.error) {
+      setStatus(`Could not save migration settings: ${res.error}`);
+    } else {
+      load(res.settings);
+      setStatus(reset ? 'Migration settings reset to the defaults.' : 'Migration settings saved.');
+    }
+  };
+
+  return (
+    <div>
+      <h3>Spaces</h3>
+      <div style={{ marginBottom: 4 }}>Leave blank to use the space the document is migrated into.</div>
+      <div>
+        <label>
+          Shared paragraph space key:&nbsp;
+          <input
+            value={settings.sharedParagraphSpaceKey}
+            onChange={(e) => setSettings({ ...settings, sharedParagraphSpaceKey: e.target.value })}
+          />
+        </label>
+      </div>
+      <div>
+        <label>
+          Image hub space key:&nbsp;
+          <input
+            value={settings.imageHubSpaceKey}
+            onChange={(e) => setSettings({ ...settings, imageHubSpaceKey: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <h3>Title collisions</h3>
+      <div style={{ marginBottom: 4 }}>
+        When a page the migration would create has the title of a page already in the space:
+      </div>
+      <select
+        value={settings.titleCollisionPolicy}
+        onChange={(e) => setSettings({ ...settings, titleCollisionPolicy: e.target.value })}
+      >
+        {TITLE_COLLISION_POLICIES.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+      </select>{' '}
+      <label>
+        Namespace:&nbsp;
+        <input
+          value={settings.titleNamespace}
+          onChange={(e) => setSettings({ ...settings, titleNamespace: e.target.value })}
+          disabled={settings.titleCollisionPolicy !== 'prefix'}
+        />
+      </label>
+
+      <h3>Broken link domains</h3>
+      <div style={{ marginBottom: 4 }}>
+        Links with href="#" whose text is a URL on the domain become real links, moved to the new domain when one is given.
+      </div>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <tbody>
+          {settings.linkDomainRules.map((rule, i) => (
+            <tr key={i}>
+              <td>
+                <input value={rule.domain} onChange={(e) => updateRule(i, { domain: e.target.value })} placeholder="yesopt.us" />
+              </td>
+              <td>
+                → <input
+                  value={rule.rewriteTo}
+                  onChange={(e) => updateRule(i, { rewriteTo: e.target.value })}
+                  placeholder="(keep domain)"
+                />
+              </td>
+              <td>
+                <button
+                  onClick={() => setSettings({ ...settings, linkDomainRules: settings.linkDomainRules.filter((_, j) => j !== i) })}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => setSettings({ ...settings, linkDomainRules: settings.linkDomainRules.concat([{ domain: '', rewriteTo: '' }]) })}>
+        Add domain
+      </button>
+
+      <h3>Excluded assets</h3>
+      <div style={{ marginBottom: 4 }}>Knosys image ids that are never migrated, one per line.</div>
+      <textarea
+        value={excludedText}
+        onChange={(e) => setExcludedText(e.target.value)}
+        style={{ width: 400, height: 100, fontFamily: 'monospace' }}
+      />
+
+      <h3>Knosys metadata</h3>
+      <div style={{ marginBottom: 4 }}>
+        Values of the document's properties, fields or detail entries become page labels (after the prefix) and rows of
+        the page properties macro at the top of the page.
+      </div>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th align="left">Source</th>
+            <th align="left">Name</th>
+            <th align="left">Label</th>
+            <th align="left">Page property</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {settings.metadataMappings.map((m, i) => (
+            <tr key={i}>
+              <td>
+                <select value={m.source} onChange={(e) => updateMapping(i, { source: e.target.value })}>
+                  {METADATA_SOURCES.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </td>
+              <td>
+                <input value={m.name} onChange={(e) => updateMapping(i, { name: e.target.value })} placeholder="Audience" />
+              </td>
+              <td>
+                <input type="checkbox" checked={m.toLabel} onChange={(e) => updateMapping(i, { toLabel: e.target.checked })} />
+                <input
+                  value={m.labelPrefix}
+                  onChange={(e) => updateMapping(i, { labelPrefix: e.target.value })}
+                  placeholder="prefix-"
+                  disabled={!m.toLabel}
+                  size={8}
+                />
+              </td>
+              <td>
+                <input type="checkbox" checked={m.toDetails} onChange={(e) => updateMapping(i, { toDetails: e.target.checked })} />
+                <input
+                  value={m.heading}
+                  onChange={(e) => updateMapping(i, { heading: e.target.value })}
+                  placeholder={m.name || 'heading'}
+                  disabled={!m.toDetails}
+                />
+              </td>
+              <td>
+                <button
+                  onClick={() => setSettings({ ...settings, metadataMappings: settings.metadataMappings.filter((_, j) => j !== i) })}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => setSettings({ ...settings, metadataMappings: settings.metadataMappings.concat([NEW_MAPPING]) })}>
+        Add mapping
+      </button>
+
+      <div style={{ marginTop: 12 }}>
+        <button onClick={() => save(false)}>Save migration settings</button>{' '}
+        <button onClick={() => save(true)}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
+
+export default MigrationSettings;
@@ -0,0 +1,98 @@
+// static/hello-world/src/PagePicker.js
+// Find the page to update within the selected space, by title, showing
+// where it lives and when it last changed (searchPages resolver).
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+export function PageSummary({ page }) {
+  return (
+    <span>
+      <strong>{page.title}</strong> <small>(id={page.id})</small>
+      {page.path && <div><small>{page.path}</small></div>}
+      {page.lastModified && (
+        <div>
+          <small>
+            Last modified {new Date(page.lastModified).toLocaleString()}
+            {page.lastModifiedBy ? ` by ${page.lastModifiedBy}` : ''}
+          </small>
+        </div>
+      )}
+    </span>
+  );
+}
+
+function PagePicker({ space, value, onChange, setStatus }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null); // { pages, nextCursor }
+  const [loading, setLoading] = useState(false);
+
+  const search = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const res = await invoke('searchPages', { spaceKey: space.key, query, cursor });
+      if (res.error) {
+        setStatus(`Could not search pages: ${res.error}`);
+        return;
+      }
+      setResults(prev => ({
+        pages: cursor && prev ? prev.pages.concat(res.pages) : res.pages,
+        nextCursor: res.nextCursor,
+      }));
+    } catch (err) {
+      setStatus('Error searching pages: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [space, query, setStatus]);
+
+  useEffect(() => {
+    if (value || !space) return undefined;
+    const timer = setTimeout(() => search(), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, space, value]);
+
+  if (!space) return <span>Select a space first.</span>;
+
+  if (value) {
+    return (
+      <span style={{ display: 'inline-block', verticalAlign: 'top' }}>
+        <PageSummary page={value} />{' '}
+        <button onClick={() => onChange(null)}>Change</button>
+      </span>
+    );
+  }
+
+  return (
+    <span style={{ display: 'inline-block', verticalAlign: 'top' }}>
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={`search page titles in ${space.key}`}
+        style={{ width: 260 }}
+      />
+      {loading && ' Searching…'}
+      {results && (
+        <div style={{ border: '1px solid #dfe1e6', maxHeight: 300, overflow: 'auto', width: 480 }}>
+          {results.pages.length === 0 && !loading && <div style={{ padding: 4 }}>No pages found.</div>}
+          {results.pages.map((p) => (
+            <div
+              key={p.id}
+              onClick={() => onChange(p)}
+              style={{ padding: 4, cursor: 'pointer', borderBottom: '1px solid #f4f5f7' }}
+            >
+              <PageSummary page={p} />
+            </div>
+          ))}
+          {results.nextCursor && (
+            <button disabled={loading} onClick={() => search(results.nextCursor)}>More results</button>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default PagePicker;
@@ -0,0 +1,135 @@
+// static/hello-world/src/ProfileEditor.js
+// Edit migration profiles: which pipeline stages run, in what order, and
+// with which options. The built-in "default" profile is read-only but can
+// be used as the starting point for a new one.
+import React, { useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+const toDraft = (profile) => ({
+  name: profile.name,
+  stages: profile.stages.map((s) => ({ ...s, optionsText: JSON.stringify(s.options || {}) })),
+});
+
+function ProfileEditor({ stages, profiles, onSaved, setStatus }) {
+  const [draft, setDraft] = useState(null);
+
+  const startEditing = (name) => {
+    const profile = profiles.find((p) => p.name === name);
+    if (!profile) return setDraft(null);
+    const draftProfile = toDraft(profile);
+    // Registered stages the profile doesn't mention yet are offered, disabled
+    stages.forEach((stage) => {
+      if (!draftProfile.stages.some((s) => s.name === stage.name)) {
+        draftProfile.stages.push({ name: stage.name, enabled: false, optionsText: '{}' });
+      }
+    });
+    if (draftProfile.name === 'default') draftProfile.name = '';
+    setDraft(draftProfile);
+  };
+
+  const updateStage = (index, changes) => {
+    setDraft((d) => ({ ...d, stages: d.stages.map((s, i) => (i === index ? { ...s, ...changes } : s)) }));
+  };
+
+  const moveStage = (index, delta) => {
+    setDraft((d) => {
+      const target = index + delta;
+      if (target < 0 || target >= d.stages.length) return d;
+      const next = d.stages.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return { ...d, stages: next };
+    });
+  };
+
+  const save = async () => {
+    let profile;
+    try {
+      profile = {
+        name: draft.name,
+        stages: draft.stages.map((s) => ({ name: s.name, enabled: s.enabled, options: JSON.parse(s.optionsText || '{}') })),
+      };
+    } catch (err) {
+      setStatus('Stage options must be valid JSON: ' + err.message);
+      return;
+    }
+    const res = await invoke('saveProfile', { profile });
+    if (res.error) {
+      setStatus(`Could not save profile: ${res.error}`);
+    } else {
+      setStatus(`Saved profile "${res.profile.name}".`);
+      onSaved(res.profile.name);
+    }
+  };
+
+  const remove = async () => {
+    const res = await invoke('deleteProfile', { name: draft.name });
+    if (res.error) {
+      setStatus(`Could not delete profile: ${res.error}`);
+    } else {
+      setStatus(`Deleted profile "${draft.name}".`);
+      setDraft(null);
+      onSaved('default');
+    }
+  };
+
+  const describe = (name) => (stages.find((s) => s.name === name) || {}).description || 'not registered';
+
+  return (
+    <div style={{ marginTop: 8, padding: 8, border: '1px solid #dfe1e6' }}>
+      <label>
+        Start from:&nbsp;
+        <select value="" onChange={(e) => startEditing(e.target.value)}>
+          <option value="">-- choose profile --</option>
+          {profiles.map((p) => (
+            <option key={p.name} value={p.name}>{p.name}</option>
+          ))}
+        </select>
+      </label>
+
+      {draft && (
+        <div style={{ marginTop: 8 }}>
+          <label>
+            Profile name:&nbsp;
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </label>
+          <table style={{ marginTop: 8, borderCollapse: 'collapse' }}>
+            <tbody>
+              {draft.stages.map((stage, i) => (
+                <tr key={stage.name}>
+                  <td>
+                    <button onClick={() => moveStage(i, -1)} disabled={i === 0}>↑</button>
+                    <button onClick={() => moveStage(i, 1)} disabled={i === draft.stages.length - 1}>↓</button>
+                  </td>
+                  <td style={{ paddingRight: 8 }}>
+                    <label title={describe(stage.name)}>
+                      <input
+                        type="checkbox"
+                        checked={stage.enabled}
+                        onChange={(e) => updateStage(i, { enabled: e.target.checked })}
+                      />{' '}
+                      {stage.name}
+                    </label>
+                  </td>
+                  <td>
+                    <input
+                      value={stage.optionsText}
+                      onChange={(e) => updateStage(i, { optionsText: e.target.value })}
+                      placeholder="options (JSON)"
+                      style={{ fontFamily: 'monospace', width: 240 }}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={save} disabled={!draft.name || draft.name === 'default'}>Save profile</button>{' '}
+          {profiles.some((p) => p.name === draft.name && p.name !== 'default') && (
+            <button onClick={remove}>Delete profile</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProfileEditor;
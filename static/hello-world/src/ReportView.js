@@ -0,0 +1,79 @@
+// static/hello-world/src/ReportView.js
+// Shows the migration report returned by migrateJsonToPage (see
+// src/report.js) as one table per non-empty section, with JSON and CSV
+// downloads for the content team's follow-up.
+import React from 'react';
+
+const CSV_COLUMNS = ['section', 'itemId', 'title', 'pageId', 'filename', 'field', 'step', 'detail', 'includedBy'];
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function reportToCsv(report) {
+  const rows = [CSV_COLUMNS.join(',')];
+  Object.entries(report.sections || {}).forEach(([section, entries]) => {
+    entries.forEach((entry) => {
+      const row = { ...entry, section: (report.labels && report.labels[section]) || section };
+      rows.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+    });
+  });
+  return rows.join('\r\n');
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function ReportView({ report }) {
+  if (!report) return null;
+  const sections = Object.entries(report.sections || {}).filter(([, entries]) => entries.length > 0);
+  const baseName = `migration-report-${report.runId || 'preview'}`;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h3>Migration report</h3>
+      <div style={{ marginBottom: 8 }}>
+        <button onClick={() => download(`${baseName}.json`, 'application/json', JSON.stringify(report, null, 2))}>
+          Download JSON
+        </button>{' '}
+        <button onClick={() => download(`${baseName}.csv`, 'text/csv', reportToCsv(report))}>
+          Download CSV
+        </button>
+      </div>
+      {sections.length === 0 && <div>Nothing to follow up.</div>}
+      {sections.map(([section, entries]) => {
+        const columns = Object.keys(Object.assign({}, ...entries));
+        return (
+          <div key={section} style={{ marginBottom: 12 }}>
+            <strong>{(report.labels && report.labels[section]) || section} ({entries.length})</strong>
+            <table style={{ borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  {columns.map((c) => <th key={c} align="left" style={{ paddingRight: 12 }}>{c}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry, i) => (
+                  <tr key={i}>
+                    {columns.map((c) => <td key={c} style={{ paddingRight: 12 }}>{String(entry[c] ?? '')}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ReportView;
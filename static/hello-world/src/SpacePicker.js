@@ -0,0 +1,91 @@
+// static/hello-world/src/SpacePicker.js
+// Type-ahead space search backed by the listSpaces resolver. Typing filters
+// by key or name on the server; "More results" follows its cursor.
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+const SPACE_TYPES = [
+  { value: '', label: 'All types' },
+  { value: 'global', label: 'Site spaces' },
+  { value: 'personal', label: 'Personal spaces' },
+];
+
+function SpacePicker({ value, onChange, setStatus }) {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [results, setResults] = useState(null); // { spaces, nextCursor }
+  const [loading, setLoading] = useState(false);
+
+  const search = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const res = await invoke('listSpaces', { query, type: type || undefined, cursor });
+      if (res.error) {
+        setStatus(`Could not load spaces: ${res.error}`);
+        return;
+      }
+      setResults(prev => ({
+        spaces: cursor && prev ? prev.spaces.concat(res.spaces) : res.spaces,
+        nextCursor: res.nextCursor,
+      }));
+    } catch (err) {
+      setStatus('Error loading spaces: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [query, type, setStatus]);
+
+  useEffect(() => {
+    if (value) return undefined;
+    const timer = setTimeout(() => search(), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, value]);
+
+  if (value) {
+    return (
+      <span>
+        <strong>{value.name}</strong> ({value.key}){' '}
+        <button onClick={() => onChange(null)}>Change</button>
+      </span>
+    );
+  }
+
+  return (
+    <span style={{ display: 'inline-block', verticalAlign: 'top' }}>
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="search by space name or key"
+        style={{ width: 260 }}
+      />{' '}
+      <select value={type} onChange={(e) => setType(e.target.value)}>
+        {SPACE_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+      </select>
+      {loading && ' Searching…'}
+      {results && (
+        <div style={{ border: '1px solid #dfe1e6', maxHeight: 240, overflow: 'auto', width: 420 }}>
+          {results.spaces.length === 0 && !loading && (
+            <div style={{ padding: 4 }}>No spaces found{results.nextCursor ? ' yet' : ''}.</div>
+          )}
+          {results.spaces.map((s) => (
+            <div
+              key={s.id}
+              onClick={() => onChange(s)}
+              style={{ padding: 4, cursor: 'pointer', borderBottom: '1px solid #f4f5f7' }}
+            >
+              {s.name} <small>({s.key}{s.type ? `, ${s.type}` : ''})</small>
+            </div>
+          ))}
+          {results.nextCursor && (
+            <button disabled={loading} onClick={() => search(results.nextCursor)}>More results</button>
+          )}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default SpacePicker;
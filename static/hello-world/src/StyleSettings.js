@@ -0,0 +1,135 @@
+// static/hello-world/src/StyleSettings.js
+// Admin rules for the colorFormatter stage: CSS class → style mappings,
+// unit → px conversions and which Confluence table attributes are applied.
+// Knowledge bases with different class conventions each get their own rules.
+import React, { useState, useEffect } from 'react';
+import { invoke } from '@forge/bridge';
+
+const TABLE_LAYOUTS = [
+  { value: '', label: 'Leave unset' },
+  { value: 'default', label: 'default' },
+  { value: 'wide', label: 'wide' },
+  { value: 'full-width', label: 'full-width' },
+];
+
+function StyleSettings({ setStatus }) {
+  const [settings, setSettings] = useState(null);
+
+  useEffect(() => {
+    invoke('getStyleSettings')
+      .then(res => {
+        if (res.ok) setSettings(res.settings);
+        else setStatus(`Could not load style settings: ${res.error}`);
+      })
+      .catch(err => setStatus('Error loading style settings: ' + err.message));
+  }, [setStatus]);
+
+  if (!settings) return <div>Loading style settings…</div>;
+
+  const updateRow = (list, index, changes) => setSettings({
+    ...settings,
+    [list]: settings[list].map((row, i) => (i === index ? { ...row, ...changes } : row)),
+  });
+  const removeRow = (list, index) => setSettings({ ...settings, [list]: settings[list].filter((_, i) => i !== index) });
+  const addRow = (list, row) => setSettings({ ...settings, [list]: settings[list].concat([row]) });
+  const updateTables = (changes) => setSettings({ ...settings, tables: { ...settings.tables, ...changes } });
+
+  const save = async (reset) => {
+    const res = await invoke('saveStyleSettings', reset ? { reset: true } : { settings });
+    if (res.error) {
+      setStatus(`Could not save style settings: ${res.error}`);
+    } else {
+      setSettings(res.settings);
+      setStatus(reset ? 'Style settings reset to the defaults.' : 'Style settings saved.');
+    }
+  };
+
+  return (
+    <div>
+      <h3>Class styles</h3>
+      <div style={{ marginBottom: 4 }}>Elements with the class get the style, unless they already set the same property.</div>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <tbody>
+          {settings.classStyles.map((rule, i) => (
+            <tr key={i}>
+              <td>
+                .<input value={rule.className} onChange={(e) => updateRow('classStyles', i, { className: e.target.value })} placeholder="class" />
+              </td>
+              <td>
+                <input
+                  value={rule.style}
+                  onChange={(e) => updateRow('classStyles', i, { style: e.target.value })}
+                  placeholder="color: red"
+                  style={{ fontFamily: 'monospace', width: 280 }}
+                />
+              </td>
+              <td><button onClick={() => removeRow('classStyles', i)}>Remove</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => addRow('classStyles', { className: '', style: '' })}>Add class rule</button>
+
+      <h3>Unit conversions</h3>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <tbody>
+          {settings.unitConversions.map((rule, i) => (
+            <tr key={i}>
+              <td>
+                1 <input value={rule.unit} onChange={(e) => updateRow('unitConversions', i, { unit: e.target.value })} style={{ width: 50 }} />
+              </td>
+              <td>
+                = <input
+                  type="number"
+                  step="any"
+                  value={rule.factor}
+                  onChange={(e) => updateRow('unitConversions', i, { factor: e.target.value })}
+                  style={{ width: 80 }}
+                /> px
+              </td>
+              <td><button onClick={() => removeRow('unitConversions', i)}>Remove</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={() => addRow('unitConversions', { unit: '', factor: 1 })}>Add unit</button>
+
+      <h3>Tables</h3>
+      <div>
+        <label>
+          data-layout:&nbsp;
+          <select value={settings.tables.layout} onChange={(e) => updateTables({ layout: e.target.value })}>
+            {TABLE_LAYOUTS.map((l) => <option key={l.value} value={l.value}>{l.label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.tables.highlightCells}
+            onChange={(e) => updateTables({ highlightCells: e.target.checked })}
+          />{' '}
+          Set data-highlight-colour on cells with a background colour
+        </label>
+      </div>
+      <div>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.tables.stripWidths}
+            onChange={(e) => updateTables({ stripWidths: e.target.checked })}
+          />{' '}
+          Remove fixed table widths
+        </label>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        <button onClick={() => save(false)}>Save style settings</button>{' '}
+        <button onClick={() => save(true)}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
+
+export default StyleSettings;
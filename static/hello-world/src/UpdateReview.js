@@ -0,0 +1,106 @@
+// static/hello-world/src/UpdateReview.js
+// Shown before an update is written: the block diff between the page as it
+// is and what the migration would write, and the choice of what to do when
+// someone edited the page since our last migration.
+import React from 'react';
+
+const POLICIES = [
+  { value: 'overwrite', label: 'Overwrite their changes' },
+  { value: 'skip', label: 'Skip this page' },
+  { value: 'merge', label: 'Merge: keep their changes, add ours where they don\'t overlap' },
+];
+
+const CHANGE_STYLES = {
+  added: { background: '#e3fcef', prefix: '+ ' },
+  removed: { background: '#ffebe6', prefix: '- ' },
+};
+
+// Runs of unchanged blocks longer than this are collapsed
+const CONTEXT_BLOCKS = 2;
+
+function DiffView({ diff }) {
+  if (diff.added === 0 && diff.removed === 0) return <div>No changes to the page body.</div>;
+  const rows = [];
+  let unchanged = [];
+  const flushUnchanged = (isEnd) => {
+    const hidden = unchanged.length - (rows.length ? CONTEXT_BLOCKS : 0) - (isEnd ? 0 : CONTEXT_BLOCKS);
+    if (hidden > 0) {
+      if (rows.length) unchanged.slice(0, CONTEXT_BLOCKS).forEach((block) => rows.push({ type: 'unchanged', block }));
+      rows.push({ type: 'skipped', count: hidden });
+      if (!isEnd) unchanged.slice(-CONTEXT_BLOCKS).forEach((block) => rows.push({ type: 'unchanged', block }));
+    } else {
+      unchanged.forEach((block) => rows.push({ type: 'unchanged', block }));
+    }
+    unchanged = [];
+  };
+  diff.changes.forEach((change) => {
+    if (change.type === 'unchanged') {
+      unchanged.push(change.block);
+    } else {
+      flushUnchanged(false);
+      rows.push(change);
+    }
+  });
+  flushUnchanged(true);
+
+  return (
+    <pre style={{ whiteSpace: 'pre-wrap', fontSize: 12, border: '1px solid #dfe1e6', padding: 8, maxHeight: 400, overflow: 'auto' }}>
+      {rows.map((row, i) => (row.type === 'skipped'
+        ? <div key={i} style={{ color: '#6b778c' }}>… {row.count} unchanged block(s) …</div>
+        : (
+          <div key={i} style={{ background: (CHANGE_STYLES[row.type] || {}).background }}>
+            {(CHANGE_STYLES[row.type] || { prefix: '  ' }).prefix}{row.block}
+          </div>
+        )))}
+    </pre>
+  );
+}
+
+function UpdateReview({ update, onPolicyChange, onConfirm, onCancel }) {
+  if (!update) return null;
+  const needsPolicy = update.conflict && !update.policy;
+
+  return (
+    <div style={{ marginTop: 16, padding: 8, border: '1px solid #dfe1e6' }}>
+      <h3>Review update: {update.title} (id={update.pageId}, v{update.currentVersion})</h3>
+      {update.conflict && (
+        <div style={{ marginBottom: 8, color: '#bf2600' }}>
+          <strong>This page was edited since the last migration</strong> (migrated as v{update.lastMigratedVersion}
+          {update.conflict.editedAt ? `, last edited ${update.conflict.editedAt}` : ''}). What should happen to those edits?
+          {POLICIES.map((p) => (
+            <div key={p.value}>
+              <label>
+                <input
+                  type="radio"
+                  name="conflictPolicy"
+                  checked={update.policy === p.value}
+                  onChange={() => onPolicyChange(p.value)}
+                />{' '}
+                {p.label}
+              </label>
+            </div>
+          ))}
+        </div>
+      )}
+      {update.mergeConflicts && update.mergeConflicts.length > 0 && (
+        <div style={{ marginBottom: 8, color: '#bf2600' }}>
+          {update.mergeConflicts.length} region(s) were changed on both sides; the editor's version is kept there.
+        </div>
+      )}
+      {!needsPolicy && (
+        <>
+          <div style={{ marginBottom: 4 }}>
+            {update.diff.added} block(s) added, {update.diff.removed} removed, {update.diff.unchanged} unchanged.
+          </div>
+          <DiffView diff={update.diff} />
+        </>
+      )}
+      <button disabled={needsPolicy} onClick={onConfirm}>
+        {update.policy === 'skip' ? 'Continue without updating this page' : 'Confirm update'}
+      </button>{' '}
+      <button onClick={onCancel}>Cancel</button>
+    </div>
+  );
+}
+
+export default UpdateReview;
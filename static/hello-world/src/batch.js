@@ -0,0 +1,90 @@
+// static/hello-world/src/batch.js
+// Reads a batch of Knosys exports (several .json files, or .zip archives of
+// them) and catalogues their items, so each document of the batch can link
+// to the pages of the others (batchTargets in the migration payload).
+import JSZip from 'jszip';
+
+const baseName = (path) => path.split(/[\\/]/).pop();
+
+const stripTags = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// Returns [{ name, load: () => Promise<parsed JSON> }], one per export.
+// Files are read again when their turn comes, so a large batch is never held
+// in memory as a whole.
+export async function readBatchFiles(fileList) {
+  const files = [];
+  for (const file of Array.from(fileList || [])) {
+    if (/\.zip$/i.test(file.name)) {
+      const zip = await JSZip.loadAsync(file);
+      zip.forEach((path, entry) => {
+        if (entry.dir || !/\.json$/i.test(path)) return;
+        files.push({ name: baseName(path), load: async () => JSON.parse(await entry.async('string')) });
+      });
+    } else if (/\.json$/i.test(file.name)) {
+      files.push({ name: file.name, load: async () => JSON.parse(await readFileAsText(file)) });
+    }
+  }
+  return files;
+}
+
+// Title a Document item's page is looked up by, as the migration links it
+function documentTitle(item) {
+  const docTitle = (item.fields || []).find(f => f && f.name === 'DocumentTitle' && f.value);
+  return (item.detail && item.detail.title) || (docTitle && stripTags(docTitle.value)) || '';
+}
+
+// { documentId, title, items: { [knosysId]: { title, documentId } } } with
+// the export's root document and every Document item in it
+export function catalogExport(json) {
+  const documentId = json && json.detail && json.detail.id;
+  const items = {};
+  const visit = (item) => {
+    if (!item || typeof item !== 'object') return;
+    const id = item.detail && item.detail.id;
+    if (id && item.detail.itemType === 'Document') {
+      items[id] = { title: documentTitle(item) || (item === json ? 'Migrated page from Knosys' : id), documentId };
+    }
+    (Array.isArray(item.children) ? item.children : []).forEach(visit);
+  };
+  if (documentId) visit(json);
+  // A root that is not a Document item has no entry of its own
+  return { documentId: documentId || null, title: items[documentId] ? items[documentId].title : '', items };
+}
+
+// Every data-itemid the export links to
+function linkedItemIds(json) {
+  const ids = new Set();
+  const visit = (item) => {
+    if (!item || typeof item !== 'object') return;
+    (item.fields || []).forEach(f => {
+      String((f && f.value) || '').replace(/data-?itemid=["']([^"']+)["']/gi, (m, id) => {
+        ids.add(id);
+        return m;
+      });
+    });
+    (Array.isArray(item.children) ? item.children : []).forEach(visit);
+  };
+  visit(json);
+  return ids;
+}
+
+// The items of other documents in the batch that json links to. catalog
+// merges the items of every catalogExport in the batch.
+export function batchTargetsFor(json, catalog) {
+  const own = catalogExport(json);
+  const targets = {};
+  linkedItemIds(json).forEach(id => {
+    const target = catalog[id];
+    if (target && target.documentId !== own.documentId) targets[id] = target;
+  });
+  return targets;
+}
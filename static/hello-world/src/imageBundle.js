@@ -0,0 +1,64 @@
+// static/hello-world/src/imageBundle.js
+// Reads the Knosys image files picked next to the JSON export: loose images,
+// a whole folder, or .zip archives of either. Knosys names each exported
+// image <itemId>.png, so files are keyed by lower-cased base name.
+import JSZip from 'jszip';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|bmp|svg|webp)$/i;
+
+const baseName = (path) => path.split(/[\\/]/).pop();
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    // result is a data: URL; keep only the base64 payload
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Returns { [lowerCaseName]: { name, load: () => Promise<base64> } }
+export async function readImageBundle(fileList) {
+  const images = {};
+  for (const file of Array.from(fileList || [])) {
+    if (/\.zip$/i.test(file.name)) {
+      const zip = await JSZip.loadAsync(file);
+      zip.forEach((path, entry) => {
+        const name = baseName(path);
+        if (entry.dir || !IMAGE_EXTENSIONS.test(name)) return;
+        images[name.toLowerCase()] = { name, load: () => entry.async('base64') };
+      });
+    } else if (IMAGE_EXTENSIONS.test(file.name)) {
+      images[file.name.toLowerCase()] = { name: file.name, load: () => readFileAsBase64(file) };
+    }
+  }
+  return images;
+}
+
+// Upload every attachment target the bundle can satisfy, one file per invoke
+// to stay under the bridge payload limit. Returns { attached, failed }.
+export async function uploadAttachments(invoke, images, attachments, onProgress) {
+  const attached = [];
+  const failed = [];
+  const targets = (attachments || []).filter(a => !a.missing && images[a.filename.toLowerCase()]);
+  for (const [i, target] of targets.entries()) {
+    if (onProgress) onProgress(i + 1, targets.length, target);
+    try {
+      const data = await images[target.filename.toLowerCase()].load();
+      const res = await invoke('attachImages', {
+        pageId: target.pageId,
+        files: [{ filename: target.filename, data }],
+      });
+      const result = res.results && res.results[0];
+      if (res.error || !result || !result.ok) {
+        failed.push({ ...target, error: res.error || (result && result.error) || 'unknown error' });
+      } else {
+        attached.push(target);
+      }
+    } catch (err) {
+      failed.push({ ...target, error: err.message });
+    }
+  }
+  return { attached, failed };
+}
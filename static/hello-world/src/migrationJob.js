@@ -0,0 +1,43 @@
+// static/hello-world/src/migrationJob.js
+// Runs a migration as a background job: startMigrationJob queues it and
+// getJobStatus is polled until it finishes.
+
+// How often the job's status is polled
+const JOB_POLL_MS = 2000;
+// A running chunk saves progress every few seconds and lasts at most 15
+// minutes (the consumer's timeoutSeconds in manifest.yml); a job that has
+// not changed for longer than that was most likely lost with its chunk
+const JOB_STALL_MS = 20 * 60 * 1000;
+export const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves to the finished job, whose result is what migrateJsonToPage would
+// have returned. onProgress gets the job's status after every poll. A job
+// that could not be started comes back as a failed job without a jobId, and
+// one that stopped reporting progress as a stalled job with an error result.
+export async function runMigrationJob(invoke, payload, onProgress) {
+  const started = await invoke('startMigrationJob', payload);
+  if (started.error) return { jobId: null, status: 'failed', result: started };
+  if (onProgress) onProgress(started.job);
+  let lastUpdate = started.job.updatedAt;
+  let lastChange = Date.now();
+  for (;;) {
+    await sleep(JOB_POLL_MS);
+    const res = await invoke('getJobStatus', { jobId: started.job.jobId });
+    if (res.error) throw new Error(res.error);
+    if (onProgress) onProgress(res.job);
+    if (FINISHED_JOB_STATUSES.includes(res.job.status)) return res.job;
+    if (res.job.updatedAt !== lastUpdate) {
+      lastUpdate = res.job.updatedAt;
+      lastChange = Date.now();
+    } else if (Date.now() - lastChange > JOB_STALL_MS) {
+      const minutes = Math.round(JOB_STALL_MS / 60000);
+      return {
+        ...res.job,
+        status: 'stalled',
+        result: { error: `Job ${res.job.jobId} has not reported progress for ${minutes} minutes and may have stopped` },
+      };
+    }
+  }
+}
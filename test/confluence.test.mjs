@@ -0,0 +1,97 @@
+// The Confluence client: retries, request budgets, typed errors and the
+// fallback to the current user
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence, route } from '@forge/api';
+import {
+  requestConfluence,
+  requestJson,
+  runWithBudget,
+  createRequestBudget,
+  requestStats,
+  ensureBudget,
+  NotFoundError,
+  RateLimitedError,
+  UnavailableError,
+  BudgetExceededError,
+} from '../src/confluence.js';
+import { existingPage } from './fixtures.mjs';
+
+const PAGE = /^\/wiki\/api\/v2\/pages\/\d+$/;
+const getPage = (id, options = {}) => requestJson(route`/wiki/api/v2/pages/${id}`, { description: `GET page ${id}`, ...options });
+const putPage = page => requestConfluence(route`/wiki/api/v2/pages/${page.id}`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ title: page.title, version: { number: 2 }, body: { value: '<p>new</p>' } }),
+  description: 'PUT page',
+});
+const sent = (method, path) => confluence.requests.filter(r => r === `${method} ${path}`).length;
+
+beforeEach(() => reset());
+
+test('retries throttled and unavailable reads until they succeed', async () => {
+  const page = existingPage('Home');
+  confluence.failures.push(
+    { method: 'GET', path: PAGE, status: 429, times: 1, retryAfter: 0 },
+    { method: 'GET', path: PAGE, status: 503, times: 1, retryAfter: 0 },
+  );
+  const budget = createRequestBudget();
+  const found = await runWithBudget(budget, () => getPage(page.id));
+  assert.equal(found.title, 'Home');
+  assert.equal(sent('GET', `/wiki/api/v2/pages/${page.id}`), 3);
+  assert.deepEqual(runWithBudget(budget, requestStats), { requests: 3, retries: 2, waitedMs: 0 });
+});
+
+test('gives up after five attempts with a typed error', async () => {
+  const page = existingPage('Home');
+  confluence.failures.push({ method: 'GET', path: PAGE, status: 429, retryAfter: 0 });
+  await assert.rejects(getPage(page.id), err => err instanceof RateLimitedError && err.status === 429 && err.retryAfterMs === 0);
+  assert.equal(sent('GET', `/wiki/api/v2/pages/${page.id}`), 5);
+});
+
+test('does not send a version bump again after a 5xx', async () => {
+  const page = existingPage('Home');
+  confluence.failures.push({ method: 'PUT', path: PAGE, status: 503, times: 1, retryAfter: 0 });
+  await assert.rejects(putPage(page), err => err instanceof UnavailableError && err.message === 'PUT page failed: 503 {"message":"Scripted 503"}');
+  assert.equal(sent('PUT', `/wiki/api/v2/pages/${page.id}`), 1);
+  assert.equal(page.version.number, 1);
+});
+
+test('retries a throttled version bump', async () => {
+  const page = existingPage('Home');
+  confluence.failures.push({ method: 'PUT', path: PAGE, status: 429, times: 1, retryAfter: 0 });
+  await putPage(page);
+  assert.equal(sent('PUT', `/wiki/api/v2/pages/${page.id}`), 2);
+  assert.equal(page.version.number, 2);
+});
+
+test('does not wait for a retry past the deadline of the budget', async () => {
+  const page = existingPage('Home');
+  confluence.failures.push({ method: 'GET', path: PAGE, status: 503, retryAfter: 60 });
+  const budget = createRequestBudget({ timeLimitMs: 5000 });
+  await assert.rejects(runWithBudget(budget, () => getPage(page.id)), UnavailableError);
+  assert.equal(sent('GET', `/wiki/api/v2/pages/${page.id}`), 1);
+  assert.equal(budget.retries, 0);
+});
+
+test('stops sending requests once the budget is used up', async () => {
+  const page = existingPage('Home');
+  const budget = createRequestBudget({ maxRequests: 2 });
+  await runWithBudget(budget, async () => {
+    await getPage(page.id);
+    assert.throws(() => ensureBudget({ requests: 2 }, 'Next page'), { message: 'Next page not started: the budget of this call is nearly used up' });
+    await getPage(page.id);
+    await assert.rejects(getPage(page.id), err => err instanceof BudgetExceededError && /request budget of 2 requests is used up/.test(err.message));
+  });
+  assert.equal(sent('GET', `/wiki/api/v2/pages/${page.id}`), 2);
+  assert.equal(requestStats(), null);
+});
+
+test('retries a 404 as the current user when asked to', async () => {
+  const page = existingPage('Restricted');
+  confluence.failures.push({ method: 'GET', path: PAGE, status: 404, as: 'app' });
+  await assert.rejects(getPage(page.id), NotFoundError);
+  assert.equal((await getPage(page.id, { asUserFallback: true })).title, 'Restricted');
+  // Missing for the user too: the app's error is the one reported
+  await assert.rejects(getPage('999', { asUserFallback: true }), err => err instanceof NotFoundError && err.message.startsWith('GET page 999 failed: 404'));
+});
@@ -0,0 +1,39 @@
+// Dry runs (payload.dryRun): the planned writes come back, nothing is written
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence, store } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, sharedParagraph, pageWrites } from './fixtures.mjs';
+
+function exportWithSharedParagraph() {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>Hello</p>');
+  json.fields.push({ name: 'DocumentTitle', value: 'Main Doc' });
+  json.children = [{ detail: { id: 'item-1', itemType: 'Document' }, fields: [{ name: 'Text', value: '<p>Body</p>' }] }, sharedParagraph('shared-1', 'Shared', '<p>Shared text</p>')];
+  return json;
+}
+
+beforeEach(() => reset());
+
+test('plans the pages without writing them', async () => {
+  const res = await handler('migrateJsonToPage', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP', dryRun: true });
+  assert.equal(res.error, undefined);
+  assert.equal(res.action, 'dry-run');
+  assert.deepEqual(res.pages.map(p => [p.action, p.title]), [['create', 'Main Doc'], ['create', 'Shared']]);
+  assert.match(res.storage, /<p>Body<\/p>/);
+  assert.deepEqual(pageWrites(), []);
+  assert.equal(confluence.pages.size, 0);
+  // Neither ledger entries nor a run are recorded
+  assert.deepEqual([...store.keys()].filter(k => k.startsWith('ledger:') || k.startsWith('run:')), []);
+});
+
+test('plans an update of the page an earlier run created', async () => {
+  const created = await handler('migrateJsonToPage', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP' });
+  const writes = pageWrites().length;
+  const json = exportWithSharedParagraph();
+  json.children[0].fields[0].value = '<p>Changed body</p>';
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP', dryRun: true });
+  assert.equal(res.error, undefined);
+  assert.deepEqual(res.pages.map(p => [p.action, p.id]), [['update', created.page.id]]);
+  assert.equal(pageWrites().length, writes);
+  assert.equal(confluence.pages.get(created.page.id).version.number, created.page.version.number);
+});
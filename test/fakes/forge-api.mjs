@@ -0,0 +1,248 @@
+// In-memory stand-in for @forge/api: Forge storage, and a Confluence that
+// keeps its pages in confluence.pages and answers the v2 page and space
+// routes the migration uses. storageWrites lists every storage.set in order.
+export const store = new Map();
+export const storageWrites = [];
+// versions: "<pageId>:<number>" -> storage body of every page version written
+// searches lists the CQL of every page search
+// labels: pageId -> label names; properties: pageId -> Map(key -> property)
+// failures scripts error responses: { method, path (RegExp), status,
+// times (default every time), retryAfter (seconds, as the header sends it),
+// as ('app' or 'user', default both) }
+export const confluence = {
+  pages: new Map(), versions: new Map(), spaces: [], attachments: [], searches: [], labels: new Map(), properties: new Map(),
+  failures: [], nextId: 100, requests: [],
+};
+
+const SPACE = { id: '1', key: 'SP', name: 'Space', type: 'global' };
+
+export function reset() {
+  store.clear();
+  storageWrites.length = 0;
+  confluence.pages.clear();
+  confluence.spaces = [SPACE];
+  confluence.attachments = [];
+  confluence.versions = new Map();
+  confluence.searches = [];
+  confluence.labels = new Map();
+  confluence.properties = new Map();
+  confluence.failures = [];
+  confluence.nextId = 100;
+  confluence.requests = [];
+}
+
+export const startsWith = prefix => ({ startsWith: prefix });
+
+export const storage = {
+  async get(key) {
+    return store.has(key) ? structuredClone(store.get(key)) : undefined;
+  },
+  async set(key, value) {
+    store.set(key, structuredClone(value));
+    storageWrites.push({ key, value: structuredClone(value) });
+  },
+  async delete(key) {
+    store.delete(key);
+  },
+  // Cursors are offsets into the matching keys, in key order
+  query() {
+    let prefix = '';
+    let limit = 10;
+    let start = 0;
+    const query = {
+      where(field, condition) {
+        prefix = condition.startsWith;
+        return query;
+      },
+      limit(n) {
+        limit = n;
+        return query;
+      },
+      cursor(cursor) {
+        start = Number(cursor);
+        return query;
+      },
+      async getMany() {
+        const matching = [...store.keys()].filter(key => key.startsWith(prefix)).sort();
+        const results = matching.slice(start, start + limit).map(key => ({ key, value: structuredClone(store.get(key)) }));
+        return { results, nextCursor: start + limit < matching.length ? String(start + limit) : undefined };
+      },
+    };
+    return query;
+  },
+};
+
+export function route(strings, ...values) {
+  let value = strings[0];
+  values.forEach((v, i) => {
+    value += (v instanceof URLSearchParams ? v.toString() : encodeURIComponent(v)) + strings[i + 1];
+  });
+  return { value };
+}
+
+function response(status, body, headers = {}) {
+  const text = body === undefined ? '' : JSON.stringify(body);
+  return { ok: status < 300, status, headers: { get: name => headers[name] ?? null }, text: async () => text, json: async () => JSON.parse(text) };
+}
+
+// The next scripted failure for the request, used up as it is returned
+function scriptedFailure(principal, method, pathname) {
+  const failure = confluence.failures.find(f => (!f.as || f.as === principal) && f.method === method && f.path.test(pathname) && (f.times ?? Infinity) > 0);
+  if (!failure) return null;
+  if (failure.times !== undefined) failure.times--;
+  const headers = failure.retryAfter === undefined ? {} : { 'Retry-After': String(failure.retryAfter) };
+  return response(failure.status, { message: `Scripted ${failure.status}` }, headers);
+}
+
+// One page of a v2 list; the cursor is simply the offset of the next item
+function paged(items, url) {
+  const limit = Number(url.searchParams.get('limit')) || 25;
+  const start = Number(url.searchParams.get('cursor')) || 0;
+  const results = items.slice(start, start + limit);
+  if (start + limit >= items.length) return { results, _links: {} };
+  const next = new URL(url);
+  next.searchParams.set('cursor', String(start + limit));
+  return { results, _links: { next: `${next.pathname}${next.search}` } };
+}
+
+// A page in the v1 content shape the page search returns
+function contentOf(page) {
+  const ancestors = [];
+  for (let parent = confluence.pages.get(page.parentId); parent; parent = confluence.pages.get(parent.parentId)) {
+    ancestors.unshift({ id: parent.id, title: parent.title });
+  }
+  const space = confluence.spaces.find(s => s.id === page.spaceId);
+  return {
+    id: page.id,
+    type: 'page',
+    status: 'current',
+    title: page.title,
+    ancestors,
+    space: space && { id: Number(space.id), key: space.key, name: space.name },
+    version: { number: page.version.number, when: page.version.createdAt || '2026-01-01T00:00:00.000Z', by: { displayName: page.version.authorId || 'app' } },
+    _links: { webui: `/pages/${page.id}` },
+  };
+}
+
+async function requestConfluence(principal, path, { method = 'GET', body } = {}) {
+  const url = new URL(`http://confluence${path.value}`);
+  const { pathname, searchParams } = url;
+  confluence.requests.push(`${method} ${pathname}`);
+  const failure = scriptedFailure(principal, method, pathname);
+  if (failure) return failure;
+  let match;
+  if (pathname === '/wiki/api/v2/spaces') {
+    const keys = searchParams.get('keys');
+    const type = searchParams.get('type');
+    const spaces = [...confluence.spaces]
+      .filter(s => (!keys || keys.split(',').includes(s.key)) && (!type || s.type === type))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return response(200, paged(spaces, url));
+  }
+  if ((match = pathname.match(/^\/wiki\/api\/v2\/spaces\/(\w+)$/))) {
+    const space = confluence.spaces.find(s => s.id === match[1]);
+    return space ? response(200, space) : response(404, { message: 'Not found' });
+  }
+  if ((match = pathname.match(/^\/wiki\/api\/v2\/spaces\/(\w+)\/pages$/))) {
+    const pages = [...confluence.pages.values()].filter(p => p.spaceId === match[1]).sort((a, b) => a.title.localeCompare(b.title));
+    return response(200, paged(pages, url));
+  }
+  if (pathname === '/wiki/api/v2/pages' && method === 'GET') {
+    const title = searchParams.get('title');
+    return response(200, { results: [...confluence.pages.values()].filter(p => p.title === title) });
+  }
+  if (pathname === '/wiki/api/v2/pages' && method === 'POST') {
+    const data = JSON.parse(body);
+    if ([...confluence.pages.values()].some(p => p.title === data.title)) {
+      return response(400, { message: `A page with title "${data.title}" already exists` });
+    }
+    const page = {
+      id: String(confluence.nextId++),
+      title: data.title,
+      spaceId: data.spaceId,
+      parentId: data.parentId || null,
+      version: { number: 1 },
+      body: { storage: { value: data.body.value } },
+      _links: { base: 'https://confluence', webui: `/pages/${confluence.nextId - 1}` },
+    };
+    confluence.pages.set(page.id, page);
+    confluence.versions.set(`${page.id}:1`, page.body.storage.value);
+    return response(200, page);
+  }
+  if ((match = pathname.match(/^\/wiki\/api\/v2\/pages\/(\d+)$/))) {
+    const page = confluence.pages.get(match[1]);
+    if (!page) return response(404, { message: 'Not found' });
+    if (method === 'PUT') {
+      const data = JSON.parse(body);
+      Object.assign(page, { title: data.title, version: { number: data.version.number }, body: { storage: { value: data.body.value } } });
+      confluence.versions.set(`${page.id}:${data.version.number}`, data.body.value);
+    } else if (method === 'DELETE') {
+      confluence.pages.delete(match[1]);
+      return response(204);
+    }
+    const version = searchParams.get('version');
+    if (version) {
+      if (!confluence.versions.has(`${page.id}:${version}`)) return response(404, { message: 'Not found' });
+      return response(200, { ...page, version: { number: Number(version) }, body: { storage: { value: confluence.versions.get(`${page.id}:${version}`) } } });
+    }
+    return response(200, page);
+  }
+  if (pathname === '/wiki/rest/api/content/search') {
+    // Only the CQL searchPages sends: space = "KEY" [AND (title ~ "text" OR ...)]
+    const cql = searchParams.get('cql');
+    confluence.searches.push(cql);
+    const space = confluence.spaces.find(sp => sp.key === cql.match(/space = "([^"]+)"/)[1]);
+    const text = (cql.match(/title ~ "([^"]+)"/) || [])[1];
+    const pages = [...confluence.pages.values()]
+      .filter(p => p.spaceId === space?.id && (!text || p.title.toLowerCase().includes(text.toLowerCase())))
+      .sort((a, b) => Number(b.id) - Number(a.id));
+    const list = paged(pages.map(contentOf), url);
+    return response(200, { ...list, _links: { ...list._links, base: 'https://confluence/wiki' } });
+  }
+  if ((match = pathname.match(/^\/wiki\/rest\/api\/content\/(\d+)$/)) && method === 'GET') {
+    const page = confluence.pages.get(match[1]);
+    if (!page) return response(404, { message: 'Not found' });
+    const content = contentOf(page);
+    return response(200, { ...content, _links: { ...content._links, base: 'https://confluence/wiki' } });
+  }
+  if ((match = pathname.match(/^\/wiki\/rest\/api\/content\/(\d+)\/version$/)) && method === 'POST') {
+    const page = confluence.pages.get(match[1]);
+    const { versionNumber } = JSON.parse(body).params;
+    if (!page || !confluence.versions.has(`${page.id}:${versionNumber}`)) return response(404, { message: 'Not found' });
+    page.version = { number: page.version.number + 1 };
+    page.body = { storage: { value: confluence.versions.get(`${page.id}:${versionNumber}`) } };
+    confluence.versions.set(`${page.id}:${page.version.number}`, page.body.storage.value);
+    return response(200, { id: page.id, version: page.version });
+  }
+  if ((match = pathname.match(/^\/wiki\/rest\/api\/content\/(\d+)\/child\/attachment$/)) && method === 'PUT') {
+    if (!confluence.pages.has(match[1])) return response(404, { message: 'Not found' });
+    const multipart = Buffer.from(body).toString('latin1');
+    const filename = multipart.match(/name="file"; filename="([^"]+)"\r\nContent-Type: ([^\r]+)/);
+    confluence.attachments.push({ pageId: match[1], filename: filename[1], contentType: filename[2] });
+    return response(200, { results: [{ title: filename[1] }] });
+  }
+  if ((match = pathname.match(/^\/wiki\/rest\/api\/content\/(\d+)\/label$/)) && method === 'POST') {
+    const names = JSON.parse(body).map(label => label.name);
+    confluence.labels.set(match[1], [...new Set([...(confluence.labels.get(match[1]) || []), ...names])]);
+    return response(200, { results: names.map(name => ({ prefix: 'global', name })) });
+  }
+  if ((match = pathname.match(/^\/wiki\/api\/v2\/pages\/(\d+)\/properties(?:\/(\d+))?$/))) {
+    if (!confluence.pages.has(match[1])) return response(404, { message: 'Not found' });
+    const properties = confluence.properties.get(match[1]) || new Map();
+    confluence.properties.set(match[1], properties);
+    if (method === 'GET') {
+      const key = searchParams.get('key');
+      return response(200, { results: [...properties.values()].filter(p => !key || p.key === key) });
+    }
+    const data = JSON.parse(body);
+    const existing = properties.get(data.key);
+    const property = { id: existing?.id || String(confluence.nextId++), key: data.key, value: data.value, version: { number: data.version?.number || 1 } };
+    properties.set(data.key, property);
+    return response(200, property);
+  }
+  return response(404, { message: `No fake for ${method} ${pathname}` });
+}
+
+const requester = principal => ({ requestConfluence: (path, options) => requestConfluence(principal, path, options) });
+
+export default { asApp: () => requester('app'), asUser: () => requester('user') };
@@ -0,0 +1,18 @@
+// Stand-in for @forge/events: pushed events wait in `pushed` for the test
+// to hand them to the consumer
+export const pushed = [];
+
+export function reset() {
+  pushed.length = 0;
+}
+
+export class Queue {
+  constructor({ key }) {
+    this.key = key;
+  }
+
+  async push(event) {
+    pushed.push(event);
+    return { jobId: `event-${pushed.length}` };
+  }
+}
@@ -0,0 +1,14 @@
+// Stand-in for @forge/resolver: getDefinitions returns invoke(name, payload)
+export default class Resolver {
+  constructor() {
+    this.definitions = {};
+  }
+
+  define(name, fn) {
+    this.definitions[name] = fn;
+  }
+
+  getDefinitions() {
+    return (name, payload = {}) => this.definitions[name]({ payload, context: {} });
+  }
+}
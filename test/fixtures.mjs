@@ -0,0 +1,69 @@
+// Knosys exports shared by the tests, and helpers for the fake Confluence
+import { confluence } from '@forge/api';
+
+// A document linking to two of its Document items, one nested in the other.
+// The nested one is only titled by its DocumentTitle field.
+export function sampleExport() {
+  return {
+    detail: { id: 'doc-1', itemType: 'Document', title: 'Main Doc' },
+    fields: [{ name: 'DocumentTitle', value: 'Main Doc' }],
+    children: [
+      {
+        detail: { id: 'item-intro', itemType: 'Document' },
+        fields: [
+          {
+            name: 'Text',
+            value: '<p>See <a data-itemid="item-linked">Linked Doc</a> and <a data-itemid="item-details">the details</a>.</p>',
+          },
+        ],
+      },
+      {
+        detail: { id: 'item-linked', itemType: 'Document', title: 'Linked Doc' },
+        fields: [{ name: 'Text', value: '<p>Linked content</p>' }],
+        children: [
+          {
+            detail: { id: 'item-details', itemType: 'Document' },
+            fields: [
+              { name: 'DocumentTitle', value: 'Details &amp; Notes' },
+              { name: 'Text', value: '<p>Details content</p>' },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+// A single-item document with the given Text
+export function simpleExport(id, title, text) {
+  return {
+    detail: { id, itemType: 'Document', title },
+    fields: [{ name: 'Text', value: text }],
+  };
+}
+
+export const sharedParagraph = (id, title, text) => ({
+  detail: { id, itemType: 'SharedParagraph' },
+  fields: [{ name: 'ParagraphTitle', value: title }, { name: 'Text', value: text }],
+});
+
+export const pageTitled = title => [...confluence.pages.values()].find(p => p.title === title);
+
+// A page someone else created in the space before the migration
+export function existingPage(title, body = '<p>Not ours</p>') {
+  const page = { id: String(confluence.nextId++), title, spaceId: '1', parentId: null, version: { number: 1 }, body: { storage: { value: body } } };
+  confluence.pages.set(page.id, page);
+  return page;
+}
+
+// An editor changing a page in Confluence after the migration wrote it
+export function editPage(pageId, body) {
+  const page = confluence.pages.get(String(pageId));
+  page.version = { number: page.version.number + 1, authorId: 'editor-1', createdAt: '2026-01-02T00:00:00.000Z' };
+  page.body = { storage: { value: body } };
+  confluence.versions.set(`${page.id}:${page.version.number}`, body);
+  return page;
+}
+
+// Page writes the fake Confluence received
+export const pageWrites = () => confluence.requests.filter(r => /^(POST|PUT|DELETE) \/wiki\/api\/v2\/pages/.test(r));
@@ -0,0 +1,22 @@
+// Module hooks for the tests: the Forge packages are replaced by the fakes
+// in test/fakes, and src/ (bundled by Forge, so written as ESM with
+// extensionless imports) is loaded as ESM.
+const FAKES = {
+  '@forge/api': './fakes/forge-api.mjs',
+  '@forge/events': './fakes/forge-events.mjs',
+  '@forge/resolver': './fakes/forge-resolver.mjs',
+};
+const SRC = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (FAKES[specifier]) return { url: new URL(FAKES[specifier], import.meta.url).href, shortCircuit: true };
+  if (context.parentURL?.startsWith(SRC) && /^\.\.?\//.test(specifier) && !/\.m?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC)) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+}
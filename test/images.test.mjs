@@ -0,0 +1,39 @@
+// Knosys images: attachment macros, the images the UI must upload, and
+// the multipart upload itself
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport } from './fixtures.mjs';
+
+const imageExport = () => simpleExport('doc-1', 'Main Doc', '<p>Before <img itemid="img-1"> and <img itemid="img-2"></p>');
+
+beforeEach(() => reset());
+
+test('turns Knosys images into attachment macros and lists where to attach them', async () => {
+  const res = await handler('migrateJsonToPage', { json: imageExport(), spaceId: '1', spaceKey: 'SP', imageFiles: ['IMG-1.png'] });
+  assert.equal(res.error, undefined);
+  const body = confluence.pages.get(res.page.id).body.storage.value;
+  assert.match(body, /<ac:image><ri:attachment ri:filename="img-1.png"\/><\/ac:image>/);
+  assert.deepEqual(res.attachments.map(a => [a.filename, a.pageId, a.missing]), [
+    ['img-1.png', res.page.id, false],
+    ['img-2.png', res.page.id, true],
+  ]);
+  assert.deepEqual(res.missingImages, ['img-2.png']);
+  assert.deepEqual(res.report.sections.missingImages.map(m => m.filename), ['img-2.png']);
+});
+
+test('uploads each image separately and reports the ones that failed', async () => {
+  const res = await handler('migrateJsonToPage', { json: imageExport(), spaceId: '1', spaceKey: 'SP', imageFiles: ['img-1.png'] });
+  const data = Buffer.from('png bytes').toString('base64');
+  const attached = await handler('attachImages', { pageId: res.page.id, files: [{ filename: 'img-1.png', data }, { filename: 'photo.jpg', data }] });
+  assert.deepEqual(attached.results.map(r => r.ok), [true, true]);
+  assert.deepEqual(confluence.attachments, [
+    { pageId: res.page.id, filename: 'img-1.png', contentType: 'image/png' },
+    { pageId: res.page.id, filename: 'photo.jpg', contentType: 'image/jpeg' },
+  ]);
+
+  const missingPage = await handler('attachImages', { pageId: '999', files: [{ filename: 'img-1.png', data }] });
+  assert.equal(missingPage.results[0].ok, false);
+  assert.match(missingPage.results[0].error, /404/);
+});
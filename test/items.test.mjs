@@ -0,0 +1,46 @@
+// The item tree: looking up items of an export and leaving subtrees out
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, pageTitled } from './fixtures.mjs';
+
+function exportWithLink() {
+  const json = sampleExport();
+  json.children.push(
+    { detail: { id: 'link-1', itemType: 'Link', title: 'Help' }, fields: [{ name: 'URL', value: 'https://example.com/help' }] },
+    { detail: { id: 'note-1', itemType: 'Note' }, fields: [{ name: 'Text', value: '<p>n</p>' }] },
+  );
+  return json;
+}
+
+beforeEach(() => reset());
+
+test('describes documents, links and other items found anywhere in the tree', async () => {
+  const data = exportWithLink();
+  const nested = await handler('resolveItemById', { data, itemId: 'item-details' });
+  assert.equal(nested.ok, true);
+  assert.deepEqual(nested.item, { type: 'Document', title: undefined, id: 'item-details', fields: data.children[1].children[0].fields, properties: undefined, children: 0 });
+  assert.equal((await handler('resolveItemById', { data, itemId: 'item-linked' })).item.children, 1);
+  assert.deepEqual((await handler('resolveItemById', { data, itemId: 'link-1' })).item, { type: 'Link', url: 'https://example.com/help', title: 'Help', id: 'link-1' });
+  assert.equal((await handler('resolveItemById', { data, itemId: 'note-1' })).item.type, 'Note');
+});
+
+test('reports unknown items and missing arguments', async () => {
+  assert.deepEqual(await handler('resolveItemById', { data: sampleExport(), itemId: 'nope' }), { error: 'Item nope not found' });
+  assert.deepEqual(await handler('resolveItemById', { itemId: 'doc-1' }), { error: 'data and itemId are required' });
+});
+
+test('leaves excluded subtrees out of the migration', async () => {
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP', excludeItemIds: ['item-details'] });
+  assert.equal(res.error, undefined);
+  assert.deepEqual([...confluence.pages.values()].map(p => p.title).sort(), ['Linked Doc', 'Main Doc']);
+  assert.deepEqual(res.report.sections.unresolvedLinks, [{ itemId: 'item-details', title: 'the details', detail: 'The item was left out of this migration' }]);
+
+  reset();
+  const whole = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP', excludeItemIds: ['item-linked'] });
+  assert.equal(whole.error, undefined);
+  assert.equal(pageTitled('Linked Doc'), undefined);
+  assert.equal(pageTitled('Details & Notes'), undefined, 'the excluded item takes its children along');
+  assert.doesNotMatch(pageTitled('Main Doc').body.storage.value, /Linked content|Details content/);
+});
@@ -0,0 +1,38 @@
+// Background migration jobs, run chunk by chunk from the fake queue
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, storageWrites } from '@forge/api';
+import { pushed, reset as resetQueue } from '@forge/events';
+import { handler, migrationJobHandler } from '../src/index.js';
+import { sampleExport, sharedParagraph } from './fixtures.mjs';
+
+// The sample export with a shared paragraph as well
+function exportWithSharedParagraph() {
+  const json = sampleExport();
+  json.children.push(sharedParagraph('shared-1', 'Shared', '<p>Shared text</p>'));
+  return json;
+}
+
+async function runQueuedChunks() {
+  while (pushed.length) await migrationJobHandler(pushed.shift());
+}
+
+beforeEach(() => {
+  reset();
+  resetQueue();
+});
+
+test('estimates the page-writing steps of a job', async () => {
+  const started = await handler('startMigrationJob', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(started.error, undefined);
+  const { jobId } = started.job;
+  await runQueuedChunks();
+
+  const status = await handler('getJobStatus', { jobId });
+  assert.equal(status.job.status, 'completed', status.job.result?.error);
+  // The first progress update carries the estimate; the finished job the steps it ran
+  const estimate = storageWrites.find(w => w.key === `job:${jobId}` && w.value.progress.total != null).value.progress.total;
+  // Main page, two anchor pages, the shared paragraph, page links
+  assert.equal(estimate, 5);
+  assert.equal(status.job.progress.total, estimate);
+});
@@ -0,0 +1,61 @@
+// The ledger of migrated pages: re-runs update the recorded pages in place
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, pageTitled, pageWrites } from './fixtures.mjs';
+
+const migrate = json => handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+
+beforeEach(() => reset());
+
+test('leaves every page alone when the export is migrated again unchanged', async () => {
+  const first = await migrate(sampleExport());
+  assert.equal(first.action, 'created');
+  const pages = confluence.pages.size;
+  const writes = pageWrites().length;
+
+  const second = await migrate(sampleExport());
+  assert.equal(second.error, undefined);
+  assert.equal(second.action, 'unchanged');
+  assert.equal(second.page.id, first.page.id);
+  assert.equal(confluence.pages.size, pages);
+  assert.deepEqual(pageWrites().slice(writes), []);
+});
+
+test('updates the recorded pages in place when the content changed', async () => {
+  const first = await migrate(sampleExport());
+  const linkedId = pageTitled('Linked Doc').id;
+  const pages = confluence.pages.size;
+
+  const json = sampleExport();
+  json.children[0].fields[0].value += '<p>More</p>';
+  json.children[1].fields[0].value = '<p>Changed linked content</p>';
+  const second = await migrate(json);
+  assert.equal(second.action, 'updated');
+  assert.equal(second.page.id, first.page.id);
+  assert.equal(confluence.pages.size, pages);
+  assert.equal(pageTitled('Linked Doc').id, linkedId);
+  assert.match(confluence.pages.get(first.page.id).body.storage.value, /<p>More<\/p>/);
+});
+
+test('creates the page again when the recorded page was deleted', async () => {
+  const first = await migrate(sampleExport());
+  confluence.pages.delete(first.page.id);
+  const second = await migrate(sampleExport());
+  assert.equal(second.action, 'created');
+  assert.notEqual(second.page.id, first.page.id);
+  const lookup = await handler('getLedger', { knosysId: 'doc-1' });
+  assert.equal(lookup.entries[0].pageId, second.page.id);
+});
+
+test('pages through the ledger', async () => {
+  await migrate(sampleExport());
+  const first = await handler('getLedger', { limit: 2 });
+  assert.equal(first.entries.length, 2);
+  assert.ok(first.nextCursor);
+  const rest = await handler('getLedger', { cursor: first.nextCursor, limit: 100 });
+  const ids = first.entries.concat(rest.entries).map(e => e.knosysId).sort();
+  assert.deepEqual(ids, ['doc-1', 'item-details', 'item-linked']);
+  assert.equal(rest.nextCursor, null);
+});
@@ -0,0 +1,49 @@
+// Second-pass link resolution: generated ri:page links point at the pages
+// that really exist once every page of the run is written
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, existingPage } from './fixtures.mjs';
+
+const seeParagraph = page => confluence.pages.get(page.id).body.storage.value.match(/<p>See .*?<\/p>/)[0];
+
+beforeEach(() => reset());
+
+test('fills in the space key the UI did not send', async () => {
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: '' });
+  assert.equal(res.error, undefined);
+  const paragraph = seeParagraph(res.page);
+  assert.match(paragraph, /<ri:page ri:content-title="Linked Doc" ri:space-key="SP"\/>/);
+  assert.match(paragraph, /<ri:page ri:content-title="Details &amp; Notes" ri:space-key="SP"\/>/);
+  assert.deepEqual(res.report.sections.brokenLinks, []);
+});
+
+test('points links at the title the page really got', async () => {
+  existingPage('Linked Doc');
+  const settings = (await handler('getMigrationSettings', {})).settings;
+  await handler('saveMigrationSettings', { settings: { ...settings, titleCollisionPolicy: 'suffix' } });
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.match(seeParagraph(res.page), /<ri:page ri:content-title="Linked Doc \(item-linked\)" ri:space-key="SP"\/><ac:plain-text-link-body><!\[CDATA\[Linked Doc\]\]>/);
+});
+
+test('follows the ledger to a page renamed since the last run', async () => {
+  const first = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  const details = [...confluence.pages.values()].find(p => p.title === 'Details & Notes');
+  details.title = 'Details (archived)';
+  const json = sampleExport();
+  json.children[0].fields[0].value += '<p>Changed</p>';
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.page.id, first.page.id);
+  assert.match(seeParagraph(res.page), /<ri:page ri:content-title="Details \(archived\)" ri:space-key="SP"\/>/);
+});
+
+test('reports links that resolve to no page and drops their empty space key', async () => {
+  const json = sampleExport();
+  json.children[0].fields[0].value += '<p><ac:link><ri:page ri:content-title="Nowhere" ri:space-key=""/><ac:plain-text-link-body><![CDATA[gone]]></ac:plain-text-link-body></ac:link></p>';
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: '' });
+  assert.equal(res.error, undefined);
+  assert.match(confluence.pages.get(res.page.id).body.storage.value, /<ri:page ri:content-title="Nowhere"\/>/);
+  assert.deepEqual(res.report.sections.brokenLinks, [{ itemId: '', title: 'Nowhere', detail: 'No page with this title' }]);
+});
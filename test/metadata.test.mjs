@@ -0,0 +1,67 @@
+// Knosys metadata: labels, the details macro and the knosys-source property
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, simpleExport, pageTitled } from './fixtures.mjs';
+
+const MAPPINGS = [
+  { source: 'property', name: 'Category', heading: 'Category', toLabel: true, labelPrefix: 'kb-', toDetails: true },
+  { source: 'detail', name: 'id', heading: 'Knosys ID', toDetails: true },
+];
+
+function exportWithProperties() {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.properties = [{ name: 'Category', value: ['Billing & Payments', '<b>Refunds</b>'] }];
+  return json;
+}
+
+async function migrateWithMappings(json) {
+  const { settings } = await handler('getMigrationSettings', {});
+  await handler('saveMigrationSettings', { settings: { ...settings, metadataMappings: MAPPINGS } });
+  return await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+}
+
+const sourceOf = page => confluence.properties.get(page.id)?.get('knosys-source')?.value;
+
+beforeEach(() => reset());
+
+test('labels the main page and lists the mapped values in a details macro', async () => {
+  const res = await migrateWithMappings(exportWithProperties());
+  assert.equal(res.error, undefined);
+  const page = pageTitled('Main Doc');
+  assert.deepEqual(confluence.labels.get(page.id), ['kb-billing--payments', 'kb-refunds']);
+  assert.match(page.body.storage.value, /<tr><th>Category<\/th><td>Billing &amp; Payments, Refunds<\/td><\/tr><tr><th>Knosys ID<\/th><td>doc-1<\/td><\/tr>/);
+});
+
+test('records the Knosys item behind every page it writes', async () => {
+  const json = sampleExport();
+  json.exportDate = '2026-03-01';
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.deepEqual({ ...sourceOf(pageTitled('Main Doc')), migratedAt: null }, { knosysId: 'doc-1', itemType: 'Document', exportDate: '2026-03-01', migratedAt: null });
+  assert.equal(sourceOf(pageTitled('Linked Doc')).knosysId, 'item-linked');
+  assert.equal(sourceOf(pageTitled('Details & Notes')).knosysId, 'item-details');
+});
+
+test('only warns when Confluence rejects the labels or the property', async () => {
+  confluence.failures.push(
+    { method: 'POST', path: /\/label$/, status: 400 },
+    { method: 'POST', path: /\/properties$/, status: 403 },
+  );
+  const res = await migrateWithMappings(exportWithProperties());
+  assert.equal(res.error, undefined);
+  assert.ok(pageTitled('Main Doc'));
+  assert.deepEqual(res.warnings.map(w => w.step), ['contentProperties', 'labels']);
+});
+
+test('stops the run when the property cannot be written for throttling or an outage', async () => {
+  for (const status of [429, 503]) {
+    reset();
+    confluence.failures.push({ method: 'POST', path: /\/properties$/, status, retryAfter: 0 });
+    const res = await handler('migrateJsonToPage', { json: simpleExport('doc-1', 'Main Doc', '<p>x</p>'), spaceId: '1', spaceKey: 'SP' });
+    assert.match(res.error, new RegExp(`Writing content property knosys-source failed: ${status}`));
+    // A POST is retried on 429 only, as a 5xx may have created the property
+    assert.equal(confluence.requests.filter(r => r.endsWith('/properties') && r.startsWith('POST')).length, status === 429 ? 5 : 1);
+  }
+});
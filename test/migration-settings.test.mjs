@@ -0,0 +1,88 @@
+// Migration settings: hub spaces, link domain rules and excluded assets
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, sharedParagraph, pageTitled, existingPage } from './fixtures.mjs';
+
+const PLACEHOLDER_IMAGE = '2e6d82ef-524c-ea11-a960-000d3ad095fb';
+const TEXT = `<p><a href="#">yesopt.us/help</a> <a href="#">old.example.com/a?b=1</a> <img itemid="logo-1"> <img itemid="${PLACEHOLDER_IMAGE}"></p>`;
+
+function exportWithSharedParagraph() {
+  const json = simpleExport('doc-1', 'Main Doc', '');
+  json.children = [
+    { detail: { id: 'item-1', itemType: 'Document' }, fields: [{ name: 'Text', value: TEXT }] },
+    sharedParagraph('shared-1', 'Shared', '<p>Shared text</p>'),
+  ];
+  return json;
+}
+
+async function saveSettings(changes) {
+  const { settings } = await handler('getMigrationSettings', {});
+  return await handler('saveMigrationSettings', { settings: { ...settings, ...changes } });
+}
+
+beforeEach(() => {
+  reset();
+  confluence.spaces.push({ id: '2', key: 'SHARED', name: 'Shared content', type: 'global' });
+});
+
+test('fixes yesopt.us links and drops the placeholder image by default', async () => {
+  const res = await handler('migrateJsonToPage', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP' });
+  const body = confluence.pages.get(res.page.id).body.storage.value;
+  assert.match(body, /<a href="https:\/\/yesopt.us\/help" target="_blank" class="externallink">yesopt.us\/help<\/a> <a href="#">old.example.com\/a\?b=1<\/a>/);
+  assert.match(body, /<ri:attachment ri:filename="logo-1.png"\/>/);
+  assert.doesNotMatch(body, new RegExp(PLACEHOLDER_IMAGE));
+  assert.equal(pageTitled('Shared').spaceId, '1');
+});
+
+test('uses the saved hub space, link rules and excluded assets', async () => {
+  const saved = await saveSettings({
+    sharedParagraphSpaceKey: 'SHARED',
+    linkDomainRules: [{ domain: 'Old.Example.com', rewriteTo: 'https://new.example.com/' }],
+    excludedAssetIds: ['logo-1', ' logo-1 ', ''],
+  });
+  assert.deepEqual(saved.settings.linkDomainRules, [{ domain: 'old.example.com', rewriteTo: 'new.example.com' }]);
+  assert.deepEqual(saved.settings.excludedAssetIds, ['logo-1']);
+
+  const res = await handler('migrateJsonToPage', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  const body = confluence.pages.get(res.page.id).body.storage.value;
+  assert.match(body, /<a href="#">yesopt.us\/help<\/a> <a href="https:\/\/new.example.com\/a\?b=1" target="_blank" class="externallink">new.example.com\/a\?b=1<\/a>/);
+  assert.doesNotMatch(body, /logo-1/);
+  assert.match(body, new RegExp(`<ri:attachment ri:filename="${PLACEHOLDER_IMAGE}.png"/>`));
+  assert.deepEqual(res.report.sections.excludedImages.map(i => i.itemId), ['logo-1']);
+  assert.equal(pageTitled('Shared').spaceId, '2');
+  assert.match(body, /<ri:page ri:space-key="SHARED" ri:content-title="Shared"\/>/);
+});
+
+test('a payload space still wins over the saved one', async () => {
+  await saveSettings({ sharedParagraphSpaceKey: 'SHARED' });
+  await handler('migrateJsonToPage', { json: exportWithSharedParagraph(), spaceId: '1', spaceKey: 'SP', sharedParagraphSpaceKey: 'SP' });
+  assert.equal(pageTitled('Shared').spaceId, '1');
+});
+
+test('applies the saved title collision policy', async () => {
+  existingPage('Main Doc');
+  await saveSettings({ titleCollisionPolicy: 'prefix', titleNamespace: 'KB' });
+  const res = await handler('migrateJsonToPage', { json: simpleExport('doc-1', 'Main Doc', '<p>x</p>'), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.equal(res.page.title, 'KB: Main Doc');
+
+  reset();
+  existingPage('Main Doc');
+  await saveSettings({ titleCollisionPolicy: 'fail' });
+  const failed = await handler('migrateJsonToPage', { json: simpleExport('doc-1', 'Main Doc', '<p>x</p>'), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(failed.error, 'A page titled "Main Doc" already exists in the space (title collision policy: fail)');
+  assert.equal(confluence.pages.size, 1);
+});
+
+test('rejects settings it cannot use', async () => {
+  assert.match((await saveSettings({ sharedParagraphSpaceKey: 'not a key' })).error, /"not a key" is not a space key/);
+  assert.match((await saveSettings({ linkDomainRules: [{ domain: 'localhost' }] })).error, /Link rule #1: "localhost" is not a domain/);
+  assert.match((await saveSettings({ linkDomainRules: [{ domain: 'a.com', rewriteTo: 'nope' }] })).error, /Link rule #1: "nope" is not a domain/);
+  assert.match((await saveSettings({ titleCollisionPolicy: 'rename' })).error, /Unknown title collision policy "rename"/);
+  assert.match((await saveSettings({ titleCollisionPolicy: 'prefix', titleNamespace: ' ' })).error, /The prefix policy needs a title namespace/);
+  const back = await handler('saveMigrationSettings', { reset: true });
+  assert.deepEqual(back.settings.excludedAssetIds, [PLACEHOLDER_IMAGE]);
+});
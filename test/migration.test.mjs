@@ -0,0 +1,97 @@
+// End-to-end migrations with the default profile against the fake Confluence
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, pageTitled, existingPage } from './fixtures.mjs';
+
+beforeEach(() => reset());
+
+test('creates a page for each Document the export links to', async () => {
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.equal(res.action, 'created');
+  assert.ok(pageTitled('Linked Doc'), 'page for the "Linked Doc" link');
+  assert.ok(pageTitled('Details & Notes'), 'page for the "Details" link');
+  assert.deepEqual(res.report.sections.placeholderPages, []);
+});
+
+test('nests each anchor page under the page of its Knosys parent', async () => {
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.equal(pageTitled('Linked Doc').parentId, res.page.id);
+  assert.equal(pageTitled('Details & Notes').parentId, pageTitled('Linked Doc').id);
+});
+
+test('titles anchor pages after the item, with HTML entities decoded', async () => {
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.ok(pageTitled('Details & Notes'));
+  assert.equal(pageTitled('Details &amp; Notes'), undefined);
+});
+
+test('applies the title collision policy to anchor pages', async () => {
+  const taken = existingPage('Linked Doc');
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP', titleCollisionPolicy: 'suffix' });
+  assert.equal(res.error, undefined);
+  const suffixed = pageTitled('Linked Doc (item-linked)');
+  assert.ok(suffixed, 'suffixed anchor page');
+  assert.equal(suffixed.parentId, res.page.id);
+  assert.equal(taken.body.storage.value, '<p>Not ours</p>');
+  assert.deepEqual(res.report.sections.titleCollisions.map(c => c.title), ['Linked Doc']);
+  // The main page links to the page that was created
+  assert.match(res.page.body.storage.value, /ri:content-title="Linked Doc \(item-linked\)"/);
+});
+
+test('skips the document when the skip policy meets a taken title', async () => {
+  existingPage('Main Doc');
+  const res = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP', titleCollisionPolicy: 'skip' });
+  assert.equal(res.error, undefined);
+  assert.equal(res.ok, true);
+  assert.equal(res.action, 'skipped');
+  assert.equal(res.page, null);
+  assert.equal(res.runId, null);
+  assert.equal(confluence.pages.size, 1);
+  assert.deepEqual(res.report.sections.titleCollisions.map(c => c.title), ['Main Doc']);
+});
+
+test('fixes links to later batch documents without nesting the body again', async () => {
+  const first = {
+    detail: { id: 'doc-a', itemType: 'Document', title: 'First Doc' },
+    fields: [{ name: 'Text', value: '<p>See <a data-itemid="doc-b">the other document</a>.</p>' }],
+  };
+  const second = {
+    detail: { id: 'doc-b', itemType: 'Document', title: 'Second Doc' },
+    fields: [{ name: 'Text', value: '<p>Second content</p>' }],
+  };
+  const batchTargets = { 'doc-b': { title: 'Second Doc', documentId: 'doc-b' } };
+  const res = await handler('migrateJsonToPage', { json: first, spaceId: '1', spaceKey: 'SP', batchTargets });
+  assert.deepEqual(res.pendingBatchLinks, { 'Second Doc': 'doc-b' });
+  // Migrated under another title, so the pending link has to change
+  await handler('migrateJsonToPage', { json: second, spaceId: '1', spaceKey: 'SP', title: 'Second Doc (new)' });
+
+  const fixed = await handler('resolveBatchLinks', {
+    pageId: res.page.id,
+    documentId: 'doc-a',
+    pendingBatchLinks: res.pendingBatchLinks,
+    batchTargets,
+  });
+  assert.deepEqual(fixed, { ok: true, updated: true, pending: [] });
+  const body = confluence.pages.get(res.page.id).body.storage.value;
+  assert.match(body, /ri:content-title="Second Doc \(new\)"/);
+  assert.ok(body.startsWith('<div>') && !body.startsWith('<div><div>'), body);
+});
+
+test('reports tooltips that are kept as plain text', async () => {
+  const json = {
+    detail: { id: 'doc-t', itemType: 'Document', title: 'Tooltip Doc' },
+    fields: [{ name: 'Text', value: '<p><a data-externalid="ext-missing">Missing</a> and <a data-externalid="ext-empty">Empty</a></p>' }],
+    external: { information: [{ id: 'ext-empty', informationType: 'Tooltip', content: '' }] },
+  };
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.deepEqual(res.report.sections.droppedTooltips, [
+    { itemId: 'ext-missing', title: 'Missing', detail: 'No external information entry with this id' },
+    { itemId: 'ext-empty', title: 'Empty', detail: 'External information entry has no content' },
+  ]);
+});
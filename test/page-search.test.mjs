@@ -0,0 +1,55 @@
+// searchPages and findRecordedPage: choosing the page an update goes to
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, existingPage, pageTitled } from './fixtures.mjs';
+
+beforeEach(() => reset());
+
+test('finds pages of a space by title with their path and last change', async () => {
+  await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  const res = await handler('searchPages', { spaceKey: 'SP', query: 'deta' });
+  assert.equal(res.error, undefined);
+  assert.deepEqual(confluence.searches, ['space = "SP" AND type = page AND (title ~ "deta" OR title ~ "deta*") ORDER BY lastmodified DESC']);
+  const details = pageTitled('Details & Notes');
+  assert.deepEqual(res.pages, [{
+    id: details.id,
+    title: 'Details & Notes',
+    path: 'Main Doc / Linked Doc',
+    space: { id: '1', key: 'SP', name: 'Space' },
+    version: 1,
+    lastModified: '2026-01-01T00:00:00.000Z',
+    lastModifiedBy: 'app',
+    webui: `https://confluence/wiki/pages/${details.id}`,
+  }]);
+  assert.equal(res.nextCursor, null);
+});
+
+test('lists recently changed pages without a query, a page at a time', async () => {
+  for (let i = 0; i < 30; i++) existingPage(`Page ${i}`);
+  const first = await handler('searchPages', { spaceKey: 'SP', limit: 25 });
+  assert.equal(first.pages.length, 25);
+  assert.equal(first.pages[0].title, 'Page 29');
+  const rest = await handler('searchPages', { spaceKey: 'SP', cursor: first.nextCursor });
+  assert.equal(rest.pages.length, 5);
+  assert.equal(confluence.searches[0], 'space = "SP" AND type = page ORDER BY lastmodified DESC');
+});
+
+test('quotes the query and space key in CQL', async () => {
+  await handler('searchPages', { spaceKey: 'SP', query: 'say "hi" \\ bye' });
+  assert.match(confluence.searches[0], /title ~ "say \\"hi\\" \\\\ bye"/);
+  assert.equal((await handler('searchPages', { query: 'x' })).error, 'Missing spaceKey');
+});
+
+test('finds the page an earlier run migrated a document to while it exists', async () => {
+  assert.deepEqual(await handler('findRecordedPage', { knosysId: 'doc-1' }), { ok: true, page: null });
+  const run = await handler('migrateJsonToPage', { json: sampleExport(), spaceId: '1', spaceKey: 'SP' });
+  const found = await handler('findRecordedPage', { knosysId: 'doc-1' });
+  assert.equal(found.page.id, run.page.id);
+  assert.equal(found.page.path, '');
+  assert.equal(found.entry.pageId, run.page.id);
+
+  confluence.pages.delete(run.page.id);
+  assert.deepEqual(await handler('findRecordedPage', { knosysId: 'doc-1' }), { ok: true, page: null });
+});
@@ -0,0 +1,29 @@
+// Choosing where the migrated page tree goes: listPages and payload.parentId
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, existingPage } from './fixtures.mjs';
+
+beforeEach(() => reset());
+
+test('lists every page of a large space through nextCursor', async () => {
+  for (let i = 0; i < 260; i++) existingPage(`Page ${String(i).padStart(3, '0')}`);
+  const first = await handler('listPages', { spaceId: '1' });
+  assert.equal(first.ok, true);
+  assert.equal(first.pages.length, 250);
+  assert.ok(first.nextCursor);
+  const second = await handler('listPages', { spaceId: '1', cursor: first.nextCursor });
+  assert.equal(second.pages.length, 10);
+  assert.equal(second.nextCursor, null);
+  const titles = first.pages.concat(second.pages).map(p => p.title);
+  assert.equal(new Set(titles).size, 260);
+  assert.equal(titles[259], 'Page 259');
+});
+
+test('creates the main page under the chosen parent page', async () => {
+  const parent = existingPage('Migrated content');
+  const res = await handler('migrateJsonToPage', { json: simpleExport('doc-1', 'Main Doc', '<p>Hi</p>'), spaceId: '1', spaceKey: 'SP', parentId: parent.id });
+  assert.equal(res.error, undefined);
+  assert.equal(res.page.parentId, parent.id);
+});
@@ -0,0 +1,76 @@
+// Migration profiles: saved profiles are normalised, and the stages they
+// disable, reorder or can't run are skipped without failing the migration
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { registerStage } from '../src/pipeline.js';
+import { getRun } from '../src/runs.js';
+import { simpleExport } from './fixtures.mjs';
+
+registerStage('failingCleanup', () => { throw new Error('Cleanup blew up'); }, { enabledByDefault: false });
+registerStage('stamp', html => `${html}<p>Stamped</p>`, { enabledByDefault: false });
+
+const checkboxExport = () => simpleExport('doc-1', 'Main Doc', '<p><input type="checkbox" checked> Done</p>');
+const migrate = (profile) => handler('migrateJsonToPage', { json: checkboxExport(), spaceId: '1', spaceKey: 'SP', profile });
+const bodyOf = page => confluence.pages.get(page.id).body.storage.value;
+
+beforeEach(() => reset());
+
+test('normalises saved profiles and lists them after the default one', async () => {
+  const saved = await handler('saveProfile', {
+    profile: { name: ' Optus ', extra: true, stages: [{ name: 'colorFormatter', options: 'bold' }, { name: 'stamp', enabled: false, note: 'x' }] },
+  });
+  assert.equal(saved.error, undefined);
+  assert.equal(saved.profile.name, 'Optus');
+  assert.deepEqual(saved.profile.stages, [
+    { name: 'colorFormatter', enabled: true, options: {} },
+    { name: 'stamp', enabled: false, options: {} },
+  ]);
+  assert.equal(saved.profile.extra, undefined);
+
+  const listed = await handler('listProfiles', {});
+  assert.deepEqual(listed.profiles.map(p => p.name), ['default', 'Optus']);
+  const defaultStages = listed.profiles[0].stages;
+  assert.equal(defaultStages.find(s => s.name === 'convertCheckboxesToTaskList').enabled, true);
+  assert.equal(defaultStages.find(s => s.name === 'failingCleanup').enabled, false);
+  assert.ok(listed.stages.some(s => s.name === 'stamp'));
+});
+
+test('rejects invalid profiles and keeps the default one read-only', async () => {
+  assert.match((await handler('saveProfile', { profile: { name: '', stages: [] } })).error, /name is required/);
+  assert.match((await handler('saveProfile', { profile: { name: 'x', stages: [{}] } })).error, /Stage #1 has no name/);
+  assert.match((await handler('saveProfile', { profile: { name: 'default', stages: [] } })).error, /cannot be overwritten/);
+  assert.match((await handler('deleteProfile', { name: 'default' })).error, /cannot be deleted/);
+});
+
+test('runs only the enabled stages of the selected profile and records it on the run', async () => {
+  await handler('saveProfile', { profile: { name: 'No tasks', stages: [{ name: 'convertCheckboxesToTaskList', enabled: false }, { name: 'colorFormatter' }, { name: 'stamp' }] } });
+  const res = await migrate('No tasks');
+  assert.equal(res.error, undefined);
+  const body = bodyOf(res.page);
+  assert.doesNotMatch(body, /ac:task-list/);
+  assert.match(body, /<input type="checkbox"[^>]*\/> Done<\/p><p>Stamped<\/p>/);
+  assert.equal((await getRun(res.runId)).profile.name, 'No tasks');
+
+  const withDefault = await migrate();
+  assert.match(bodyOf(withDefault.page), /<ac:task-list><ac:task><ac:task-status>complete<\/ac:task-status>/);
+});
+
+test('skips stages that throw or are not registered and reports them', async () => {
+  await handler('saveProfile', { profile: { name: 'Broken', stages: [{ name: 'failingCleanup' }, { name: 'removedStage' }, { name: 'convertCheckboxesToTaskList' }] } });
+  const res = await migrate('Broken');
+  assert.equal(res.error, undefined);
+  assert.match(bodyOf(res.page), /ac:task-list/);
+  assert.deepEqual(res.warnings, [
+    { step: 'failingCleanup', message: 'Cleanup blew up' },
+    { step: 'removedStage', message: 'Stage is not registered' },
+  ]);
+  assert.deepEqual(res.report.sections.transformFallbacks.map(f => f.step), ['failingCleanup', 'removedStage']);
+});
+
+test('fails a migration that names an unknown profile', async () => {
+  const res = await migrate('Missing');
+  assert.match(res.error, /Unknown migration profile "Missing"/);
+  assert.equal(confluence.pages.size, 0);
+});
@@ -0,0 +1,84 @@
+// The per-run migration report: what the content team has to follow up on
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset } from '@forge/api';
+import { handler } from '../src/index.js';
+import { getRun } from '../src/runs.js';
+import { createReport, addToReport, finalizeReport, truncateReport, serializeReport, restoreReport } from '../src/report.js';
+import { simpleExport, sharedParagraph } from './fixtures.mjs';
+
+const PLACEHOLDER_IMAGE = '2e6d82ef-524c-ea11-a960-000d3ad095fb';
+
+function exportNeedingFollowUp() {
+  const json = simpleExport('doc-1', 'Main Doc', '');
+  json.children = [
+    {
+      detail: { id: 'item-1', itemType: 'Document' },
+      fields: [{ name: 'Text', value: `<p>See <a data-itemid="nope">Missing</a>, <a data-itemid="item-3">Empty</a> and <img itemid="${PLACEHOLDER_IMAGE}"></p>` }],
+    },
+    { detail: { id: 'item-2', itemType: 'Document', title: 'Hidden' }, fields: [{ name: 'HiddenText', value: '<p>Secret</p>' }] },
+    { detail: { id: 'item-3', itemType: 'Document', title: 'Empty' } },
+    sharedParagraph('shared-1', 'Shared', '<p>Shared text</p>'),
+  ];
+  return json;
+}
+
+beforeEach(() => reset());
+
+test('keeps one entry per dedupe key and counts every section', () => {
+  const report = createReport();
+  addToReport(report, 'unresolvedLinks', { itemId: 'a' }, 'a');
+  addToReport(report, 'unresolvedLinks', { itemId: 'a', title: 'again' }, 'a');
+  addToReport(report, 'transformFallbacks', { step: 'x' });
+  addToReport(report, 'transformFallbacks', { step: 'x' });
+  addToReport(null, 'unresolvedLinks', { itemId: 'b' }, 'b');
+  const final = finalizeReport(report, { runId: 'r1' });
+  assert.equal(final.runId, 'r1');
+  assert.equal(final.counts.unresolvedLinks, 1);
+  assert.equal(final.counts.transformFallbacks, 2);
+  assert.equal(final.counts.brokenLinks, 0);
+  assert.equal(final.labels.unresolvedLinks, 'Unresolved data-itemid links');
+});
+
+test('truncates long sections for storage but keeps their counts', () => {
+  const report = createReport();
+  for (let i = 0; i < 250; i++) addToReport(report, 'missingImages', { filename: `${i}.png` }, `${i}.png`);
+  const stored = truncateReport(finalizeReport(report, {}));
+  assert.equal(stored.sections.missingImages.length, 200);
+  assert.equal(stored.counts.missingImages, 250);
+  assert.equal(stored.truncated, true);
+  assert.equal(truncateReport(finalizeReport(createReport(), {})).truncated, false);
+});
+
+test('survives a round trip through storage with its dedupe keys', () => {
+  const report = createReport();
+  addToReport(report, 'skippedFields', { itemId: 'a' }, 'a:HiddenText');
+  const restored = restoreReport(JSON.parse(JSON.stringify(serializeReport(report))));
+  addToReport(restored, 'skippedFields', { itemId: 'a' }, 'a:HiddenText');
+  addToReport(restored, 'skippedFields', { itemId: 'b' }, 'b:HiddenText');
+  assert.deepEqual(restored.sections.skippedFields, [{ itemId: 'a' }, { itemId: 'b' }]);
+  assert.deepEqual(restored.sections.brokenLinks, []);
+});
+
+test('lists what a migration could not migrate cleanly and stores it with the run', async () => {
+  const res = await handler('migrateJsonToPage', { json: exportNeedingFollowUp(), spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  const { sections } = res.report;
+  assert.deepEqual(sections.unresolvedLinks, [{ itemId: 'nope', title: 'Missing', detail: 'No item with this id in the export' }]);
+  assert.deepEqual(sections.placeholderPages.map(p => [p.itemId, p.title, p.detail]), [['item-3', 'Empty', 'Item has no fields']]);
+  assert.deepEqual(sections.skippedFields, [{ itemId: 'item-2', title: 'Hidden', field: 'HiddenText', detail: 'HiddenText without LinkText' }]);
+  assert.deepEqual(sections.excludedImages.map(i => i.itemId), [PLACEHOLDER_IMAGE]);
+  assert.deepEqual(sections.sharedParagraphs.map(p => [p.title, p.detail, p.includedBy]), [['Shared', 'created', 'Main Doc']]);
+  assert.deepEqual([res.report.runId, res.report.pageId, res.report.action, res.report.profile], [res.runId, res.page.id, 'created', 'default']);
+
+  const run = await getRun(res.runId);
+  assert.deepEqual(run.report.sections, sections);
+  assert.equal(run.report.truncated, false);
+});
+
+test('returns the report for dry runs too', async () => {
+  const res = await handler('migrateJsonToPage', { json: exportNeedingFollowUp(), spaceId: '1', spaceKey: 'SP', dryRun: true });
+  assert.equal(res.report.dryRun, true);
+  assert.equal(res.report.counts.unresolvedLinks, 1);
+  assert.equal(res.report.counts.skippedFields, 1);
+});
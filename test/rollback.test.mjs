@@ -0,0 +1,85 @@
+// rollbackRun: undoing the page writes of a recorded run
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { sampleExport, simpleExport, editPage, pageTitled } from './fixtures.mjs';
+
+const migrate = (json, options = {}) => handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP', ...options });
+const rollback = (runId, options = {}) => handler('rollbackRun', { runId, ...options });
+const outcomes = res => res.results.map(r => [r.title, r.outcome]);
+
+beforeEach(() => reset());
+
+test('deletes the pages a run created and forgets them in the ledger', async () => {
+  const run = await migrate(sampleExport());
+  const res = await rollback(run.runId);
+  assert.equal(res.error, undefined);
+  assert.equal(res.complete, true);
+  assert.deepEqual(outcomes(res), [['Details & Notes', 'deleted'], ['Linked Doc', 'deleted'], ['Main Doc', 'deleted']]);
+  assert.equal(confluence.pages.size, 0);
+  assert.deepEqual((await handler('getLedger', {})).entries, []);
+  assert.match((await rollback(run.runId)).error, /was already rolled back/);
+
+  // The next run starts from scratch
+  const again = await migrate(sampleExport());
+  assert.equal(again.action, 'created');
+});
+
+test('restores the pages a run updated to their earlier version', async () => {
+  const first = await migrate(simpleExport('doc-1', 'Main Doc', '<p>Before</p>'));
+  const second = await migrate(simpleExport('doc-1', 'Main Doc', '<p>After</p>'));
+  assert.equal(second.action, 'updated');
+  const res = await rollback(second.runId);
+  assert.deepEqual(outcomes(res), [['Main Doc', 'restored']]);
+  assert.equal(res.results[0].restoredAs, 3);
+  const page = confluence.pages.get(first.page.id);
+  assert.match(page.body.storage.value, /<p>Before<\/p>/);
+  // The ledger knows the restored version, so it is not taken for an edit
+  const third = await migrate(simpleExport('doc-1', 'Main Doc', '<p>Later</p>'));
+  assert.equal(third.error, undefined);
+  assert.equal(third.update.conflict, null);
+});
+
+test('keeps pages edited after the run and the pages created under them', async () => {
+  const run = await migrate(sampleExport());
+  editPage(run.page.id, '<p>Edited</p>');
+  const res = await rollback(run.runId);
+  assert.equal(res.complete, false);
+  assert.deepEqual(res.results.map(r => [r.title, r.outcome, r.error]), [
+    ['Details & Notes', 'skipped', 'Its parent page "Linked Doc" is kept'],
+    ['Linked Doc', 'skipped', 'Its parent page "Main Doc" is kept'],
+    ['Main Doc', 'skipped', 'Edited after the run (now version 2, the run left version 1)'],
+  ]);
+  assert.equal(confluence.pages.size, 3);
+
+  // force rolls them back anyway
+  const forced = await rollback(run.runId, { force: true });
+  assert.equal(forced.complete, true);
+  assert.equal(confluence.pages.size, 0);
+});
+
+test('keeps pages an edited page links to', async () => {
+  const run = await migrate(sampleExport());
+  const linked = pageTitled('Linked Doc');
+  editPage(linked.id, '<p>See <ac:link><ri:page ri:content-title="Main Doc"/></ac:link></p>');
+  const res = await rollback(run.runId);
+  assert.deepEqual(res.results.map(r => [r.title, r.outcome, r.error]), [
+    ['Details & Notes', 'skipped', 'Its parent page "Linked Doc" is kept'],
+    ['Linked Doc', 'skipped', 'Edited after the run (now version 2, the run left version 1)'],
+    ['Main Doc', 'skipped', 'Page "Linked Doc" that links to it is kept'],
+  ]);
+  assert.equal(confluence.pages.size, 3);
+});
+
+test('refuses to roll back a run a later run wrote over until that one is rolled back', async () => {
+  const first = await migrate(simpleExport('doc-1', 'Main Doc', '<p>Before</p>'));
+  const second = await migrate(simpleExport('doc-1', 'Main Doc', '<p>After</p>'));
+  const refused = await rollback(first.runId);
+  assert.equal(refused.error, `Run ${second.runId} ("Main Doc") wrote the same pages after this run; roll it back first`);
+  assert.equal(confluence.pages.size, 1);
+
+  assert.equal((await rollback(second.runId)).complete, true);
+  const res = await rollback(first.runId);
+  assert.deepEqual(outcomes(res), [['Main Doc', 'deleted']]);
+});
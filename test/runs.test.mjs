@@ -0,0 +1,60 @@
+// The run log: large runs are split over several storage values
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, store, storageWrites } from '@forge/api';
+import { getRun, recordRun, updateRun, listRunsAfter } from '../src/runs.js';
+
+const manyWrites = count => Array.from({ length: count }, (_, i) => ({
+  pageId: String(1000 + i),
+  title: `Page ${i} ${'x'.repeat(200)}`,
+  parentId: null,
+  action: 'created',
+  priorVersion: null,
+  version: 1,
+}));
+
+beforeEach(() => reset());
+
+test('keeps the fields that grow with the export out of the run entry', async () => {
+  const writes = manyWrites(2000);
+  await recordRun({ runId: 'r1', title: 'Main Doc', writes, ledgerChanges: [], warnings: [], report: { sections: {} } });
+  const entry = store.get('run:r1');
+  assert.equal(entry.writes, undefined);
+  assert.ok(entry.blobs.writes > 1);
+  assert.ok([...store.values()].every(value => JSON.stringify(value).length < 240 * 1024 / 3));
+
+  const run = await getRun('r1');
+  assert.deepEqual(run.writes, writes);
+  assert.equal(run.title, 'Main Doc');
+  assert.equal(run.blobs, undefined);
+});
+
+test('rewrites only the fields an update changes and drops pieces no longer used', async () => {
+  await recordRun({ runId: 'r1', writes: manyWrites(10), rollback: { results: manyWrites(2000) } });
+  const writesPieces = store.get('run:r1').blobs.writes;
+  storageWrites.length = 0;
+  await updateRun('r1', { rollback: { results: [] }, rolledBackAt: 'now' });
+  const entry = store.get('run:r1');
+  assert.equal(entry.blobs.rollback, 1);
+  assert.equal(entry.blobs.writes, writesPieces);
+  assert.deepEqual(storageWrites.map(w => w.key), ['runblob:r1:rollback:0', 'run:r1']);
+  assert.equal(store.has('runblob:r1:rollback:1'), false);
+  const run = await getRun('r1');
+  assert.deepEqual(run.rollback, { results: [] });
+  assert.equal(run.rolledBackAt, 'now');
+  assert.equal(run.writes.length, 10);
+});
+
+test('reads and updates runs recorded with every field in the entry', async () => {
+  store.set('run:old', { runId: 'old', writes: manyWrites(1), ledgerChanges: [] });
+  assert.equal((await getRun('old')).writes.length, 1);
+  await updateRun('old', { rolledBackAt: 'now' });
+  assert.equal(store.get('run:old').writes, undefined);
+  assert.equal((await getRun('old')).writes.length, 1);
+});
+
+test('lists the runs recorded after a run, oldest first', async () => {
+  for (const runId of ['a', 'c', 'b']) await recordRun({ runId, writes: [] });
+  assert.deepEqual((await listRunsAfter('a')).map(r => r.runId), ['b', 'c']);
+  assert.deepEqual((await listRunsAfter('c')), []);
+});
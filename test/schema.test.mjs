@@ -0,0 +1,84 @@
+// validateKnosysExport: problems reported by JSON path before anything is written
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { validateKnosysExport } from '../src/schema.js';
+import { sampleExport, simpleExport, sharedParagraph } from './fixtures.mjs';
+
+const messages = list => list.map(p => `${p.path}: ${p.message}`);
+
+beforeEach(() => reset());
+
+test('accepts the sample export and counts its items', () => {
+  const result = validateKnosysExport(sampleExport());
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.counts, { items: 4, byType: { Document: 4 } });
+});
+
+test('reports shapes the migration cannot work with as errors', () => {
+  assert.deepEqual(messages(validateKnosysExport([]).errors), ['$: The export must be a JSON object describing one Knosys document']);
+  assert.deepEqual(messages(validateKnosysExport({ fields: [{ name: 'Text', value: 'x' }] }).errors), ['$.detail: The document has no detail { id, itemType }']);
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.children = [
+    { detail: { itemType: 'Document' }, fields: [{ name: 'Text', value: 5 }] },
+    { detail: { id: 'item-2', itemType: 'Document' }, fields: {}, children: 'none' },
+  ];
+  assert.deepEqual(messages(validateKnosysExport(json).errors), [
+    '$.children[0].detail.id: detail.id is required',
+    '$.children[0].fields[0].value: Value of Text must be a string, got number',
+    '$.children[1].fields: fields must be an array of { name, value }',
+    '$.children[1].children: children must be an array of items',
+  ]);
+  assert.deepEqual(messages(validateKnosysExport({ detail: { id: 'd', itemType: 'Document' } }).errors), [
+    '$: The document has no fields and no children; there is nothing to migrate',
+  ]);
+});
+
+test('reports content it will migrate incompletely as warnings', () => {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.children = [
+    { detail: { id: 'link-1', itemType: 'Link' }, fields: [{ name: 'Colour', value: 'red' }] },
+    { detail: { id: 'item-2', itemType: 'Widget' }, fields: [{ name: 'HiddenText', value: '<p>h</p>' }] },
+  ];
+  const result = validateKnosysExport(json);
+  assert.equal(result.valid, true);
+  assert.deepEqual(messages(result.warnings), [
+    '$.children[0].fields[0].name: Unknown field "Colour"; its value is migrated as content',
+    '$.children[0].fields: Link has no URL; links to it stay unresolved',
+    '$.children[1].detail.itemType: Unknown item type "Widget"; only its fields are migrated',
+    '$.children[1].fields[0]: HiddenText without LinkText is not migrated',
+  ]);
+});
+
+test('allows repeated items with the same content but not conflicting ones', () => {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.children = [sharedParagraph('shared-1', 'Shared', '<p>s</p>'), sharedParagraph('shared-1', 'Shared', '<p>s</p>')];
+  const repeated = validateKnosysExport(json);
+  assert.equal(repeated.valid, true);
+  assert.deepEqual(messages(repeated.warnings), ['$.children[1].detail.id: Id shared-1 also occurs at $.children[0] with the same content; it is migrated once']);
+
+  json.children.push(sharedParagraph('shared-1', 'Shared', '<p>other</p>'));
+  assert.deepEqual(messages(validateKnosysExport(json).errors), ['$.children[2].detail.id: Duplicate id shared-1 with different content than at $.children[0]']);
+});
+
+test('stops collecting after 200 problems', () => {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.children = Array.from({ length: 250 }, () => ({ detail: { itemType: 'Document' } }));
+  const result = validateKnosysExport(json);
+  assert.equal(result.errors.length, 200);
+  assert.equal(result.truncated, true);
+});
+
+test('refuses to migrate an invalid export and validates on request', async () => {
+  const json = simpleExport('doc-1', 'Main Doc', '<p>x</p>');
+  json.children = [{ detail: { itemType: 'Document' } }];
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, 'The file is not a valid Knosys export: 1 problem(s), first at $.children[0].detail.id');
+  assert.equal(confluence.pages.size, 0);
+  const checked = await handler('validateExport', { json });
+  assert.equal(checked.valid, false);
+  assert.deepEqual(messages(checked.errors), ['$.children[0].detail.id: detail.id is required']);
+});
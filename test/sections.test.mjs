@@ -0,0 +1,64 @@
+// Sections: headings at nesting depth behind anchors, a TOC and back-to-top links
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset } from '@forge/api';
+import { handler } from '../src/index.js';
+import { pageTitled } from './fixtures.mjs';
+
+const text = value => [{ name: 'Text', value }];
+
+function sectionedExport(childTitleField) {
+  return {
+    detail: { id: 'doc-1', itemType: 'Document', title: 'Main Doc' },
+    fields: [],
+    children: [
+      {
+        detail: { id: 'sec-1', itemType: 'Document', title: 'Overview' },
+        fields: text('<p>Intro</p>'),
+        children: [
+          { detail: { id: 'sec-2', itemType: 'Document' }, fields: [childTitleField, ...text('<p>Plan</p>')], children: [{ detail: { id: 'p-1', itemType: 'Document' }, fields: text('<p>Step</p>') }] },
+        ],
+      },
+      { detail: { id: 'sec-3', itemType: 'Document', title: 'Overview' }, fields: [], children: [{ detail: { id: 'p-2', itemType: 'Document' }, fields: text('<p>Again</p>') }] },
+    ],
+  };
+}
+
+beforeEach(() => reset());
+
+const migrate = json => handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+
+test('gives titled sections nested headings, unique anchors and a TOC', async () => {
+  const res = await migrate(sectionedExport({ name: 'DocumentTitle', value: 'Plan' }));
+  assert.equal(res.error, undefined);
+  const body = pageTitled('Main Doc').body.storage.value;
+  assert.match(body, /<ac:parameter ac:name="">PageTop<\/ac:parameter>/);
+  assert.match(body, /<ac:structured-macro ac:name="toc" ac:schema-version="1" \/>/);
+  assert.match(body, /<ac:parameter ac:name="">Overview<\/ac:parameter><\/ac:structured-macro><h1>Overview<\/h1><p>Intro<\/p>/);
+  assert.match(body, /<ac:parameter ac:name="">Plan<\/ac:parameter><\/ac:structured-macro><h2>Plan<\/h2><p>Plan<\/p><p>Step<\/p>/);
+  assert.match(body, /<ac:parameter ac:name="">Overview-2<\/ac:parameter><\/ac:structured-macro><h1>Overview<\/h1><p>Again<\/p>/);
+  // The nested section's link back to the top closes its parent as well
+  assert.equal(body.match(/Back to top/g).length, 2);
+});
+
+test('uses the text of an HTML Title field for the heading', async () => {
+  const res = await migrate(sectionedExport({ name: 'DocumentTitle', value: '<b>R&amp;D</b> &lt;plan&gt;' }));
+  assert.equal(res.error, undefined);
+  const body = pageTitled('Main Doc').body.storage.value;
+  assert.match(body, /<h2>R&amp;D &lt;plan&gt;<\/h2>/);
+  assert.match(body, /<ac:parameter ac:name="">R-D-plan<\/ac:parameter>/);
+  assert.doesNotMatch(body, /<h2><b>/);
+});
+
+test('leaves untitled groupings without a heading or TOC', async () => {
+  const json = {
+    detail: { id: 'doc-1', itemType: 'Document', title: 'Main Doc' },
+    fields: [],
+    children: [{ detail: { id: 'g-1', itemType: 'Document' }, fields: [], children: [{ detail: { id: 'p-1', itemType: 'Document' }, fields: text('<p>Only</p>') }] }],
+  };
+  const res = await migrate(json);
+  assert.equal(res.error, undefined);
+  const body = pageTitled('Main Doc').body.storage.value;
+  assert.doesNotMatch(body, /<h\d>|ac:name="toc"|Back to top/);
+  assert.match(body, /<p>Only<\/p>/);
+});
@@ -0,0 +1,55 @@
+// Shared paragraphs: one page each, included where they occur and kept in sync
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, sharedParagraph, existingPage, pageTitled } from './fixtures.mjs';
+
+// A document with the shared paragraph between two items of its own
+function documentWithShared(id, title, sharedText) {
+  const json = simpleExport(id, title, '');
+  json.children = [
+    { detail: { id: `${id}-a`, itemType: 'Document' }, fields: [{ name: 'Text', value: '<p>Before</p>' }] },
+    sharedParagraph('shared-1', 'Shared', sharedText),
+    { detail: { id: `${id}-b`, itemType: 'Document' }, fields: [{ name: 'Text', value: '<p>After</p>' }] },
+  ];
+  return json;
+}
+
+const migrate = json => handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+const sharedEntries = res => res.report.sections.sharedParagraphs.map(p => [p.title, p.detail, p.includedBy]);
+
+beforeEach(() => reset());
+
+test('includes the shared paragraph page where the paragraph occurs', async () => {
+  const res = await migrate(documentWithShared('doc-1', 'First', '<p>Shared text</p>'));
+  assert.equal(res.error, undefined);
+  assert.match(confluence.pages.get(res.page.id).body.storage.value,
+    /<p>Before<\/p><ac:structured-macro ac:name="include" ac:schema-version="1"><ac:parameter ac:name=""><ac:link><ri:page ri:space-key="SP" ri:content-title="Shared"\/><\/ac:link><\/ac:parameter><\/ac:structured-macro><p>After<\/p>/);
+  const shared = pageTitled('Shared');
+  assert.equal(shared.body.storage.value, '<div><p>Shared text</p></div>');
+  assert.equal(shared.parentId, res.page.id);
+  assert.deepEqual(sharedEntries(res), [['Shared', 'created', 'First']]);
+});
+
+test('updates the shared page only when its Text changed and lists every including document', async () => {
+  await migrate(documentWithShared('doc-1', 'First', '<p>Shared text</p>'));
+  const second = await migrate(documentWithShared('doc-2', 'Second', '<p>Shared text</p>'));
+  assert.deepEqual(sharedEntries(second), [['Shared', 'unchanged', 'Second; First']]);
+  assert.equal(pageTitled('Shared').version.number, 1);
+
+  const changed = await migrate(documentWithShared('doc-2', 'Second', '<p>New shared text</p>'));
+  assert.deepEqual(sharedEntries(changed), [['Shared', 'updated', 'Second; First']]);
+  const shared = pageTitled('Shared');
+  assert.equal(shared.version.number, 2);
+  assert.equal(shared.body.storage.value, '<div><p>New shared text</p></div>');
+});
+
+test('adopts a page that already has the shared paragraph\'s title', async () => {
+  const existing = existingPage('Shared', '<p>Pasted by hand</p>');
+  const res = await migrate(documentWithShared('doc-1', 'First', '<p>Shared text</p>'));
+  assert.equal(res.error, undefined);
+  assert.equal(res.report.sections.sharedParagraphs[0].pageId, existing.id);
+  assert.equal(confluence.pages.get(existing.id).body.storage.value, '<div><p>Shared text</p></div>');
+  assert.equal([...confluence.pages.values()].filter(p => p.title === 'Shared').length, 1);
+});
@@ -0,0 +1,49 @@
+// listSpaces: the space picker's paging and type-ahead search
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+
+const listSpaces = payload => handler('listSpaces', payload);
+
+function addSpaces(count, name = i => `Space ${String(i).padStart(4, '0')}`) {
+  for (let i = 0; i < count; i++) {
+    confluence.spaces.push({ id: String(1000 + confluence.spaces.length), key: `K${confluence.spaces.length}`, name: name(i), type: 'global' });
+  }
+}
+
+beforeEach(() => reset());
+
+test('pages through every space by name', async () => {
+  addSpaces(30);
+  const first = await listSpaces({});
+  assert.equal(first.spaces.length, 25);
+  assert.deepEqual(first.spaces[0], { id: '1', key: 'SP', name: 'Space', type: 'global' });
+  const rest = await listSpaces({ cursor: first.nextCursor });
+  assert.equal(rest.spaces.length, 6);
+  assert.equal(rest.nextCursor, null);
+  assert.equal(new Set([...first.spaces, ...rest.spaces].map(s => s.id)).size, 31);
+});
+
+test('searches keys and names, with an exact key match first', async () => {
+  confluence.spaces.push(
+    { id: '2', key: 'HR', name: 'People team', type: 'global' },
+    { id: '3', key: 'OPS', name: 'Shared HR processes', type: 'global' },
+    { id: '4', key: '~abc', name: 'Alex', type: 'personal' },
+  );
+  const res = await listSpaces({ query: 'hr' });
+  assert.deepEqual(res.spaces.map(s => s.key), ['HR', 'OPS']);
+  assert.deepEqual((await listSpaces({ query: '~abc' })).spaces.map(s => s.key), ['~abc']);
+  assert.deepEqual((await listSpaces({ type: 'personal' })).spaces.map(s => s.key), ['~abc']);
+});
+
+test('stops a search after a bounded scan and continues it from the cursor', async () => {
+  addSpaces(2100);
+  addSpaces(1, () => 'Zebra handbook');
+  const first = await listSpaces({ query: 'zebra' });
+  assert.deepEqual(first.spaces, []);
+  assert.ok(first.nextCursor);
+  const next = await listSpaces({ query: 'zebra', cursor: first.nextCursor });
+  assert.deepEqual(next.spaces.map(s => s.name), ['Zebra handbook']);
+  assert.equal(next.nextCursor, null);
+});
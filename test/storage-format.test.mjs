@@ -0,0 +1,59 @@
+// Storage-format validation and repair, and the checks before page writes
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { validateStorageFormat, repairStorageFormat } from '../src/storage-format.js';
+import { simpleExport, pageWrites } from './fixtures.mjs';
+
+beforeEach(() => reset());
+
+test('reports problems with their line and column', () => {
+  assert.deepEqual(validateStorageFormat('<p>a\n<b>x</p>').errors, [
+    { line: 2, column: 1, rule: 'well-formed', message: '<b> is not closed before </p>' },
+  ]);
+  assert.deepEqual(validateStorageFormat('<ac:structured-macro ac:name="nope"/>').errors.map(e => e.rule), ['macro']);
+  assert.deepEqual(validateStorageFormat('<p><ri:page ri:content-title="x"/></p>').errors.map(e => [e.rule, e.column]), [['structure', 4]]);
+  const cdata = '<ac:link><ri:page ri:content-title="x"/><ac:plain-text-link-body><![CDATA[a]]>b]]></ac:plain-text-link-body></ac:link>';
+  assert.deepEqual(validateStorageFormat(cdata).errors.map(e => e.rule), ['cdata']);
+  assert.equal(validateStorageFormat('<p>Fine &amp; <ac:image><ri:attachment ri:filename="a.png"/></ac:image></p>').valid, true);
+});
+
+test('repairs unclosed tags, CDATA, quotes in attributes and bare ampersands', () => {
+  for (const [broken, repaired] of [
+    ['<p>a\n<b>x</p>', '<p>a\n<b>x</b></p>'],
+    ['<ac:link><ri:page ri:content-title="x"/><ac:plain-text-link-body><![CDATA[a]]>b]]></ac:plain-text-link-body></ac:link>',
+      '<ac:link><ri:page ri:content-title="x"/><ac:plain-text-link-body><![CDATA[a]]]]><![CDATA[>b]]></ac:plain-text-link-body></ac:link>'],
+    ['<ac:link><ri:page ri:content-title="The "new" process"/></ac:link>', '<ac:link><ri:page ri:content-title="The &quot;new&quot; process"/></ac:link>'],
+    ['<p>R&D &amp; more<br></p>', '<p>R&amp;D &amp; more<br/></p>'],
+  ]) {
+    assert.equal(repairStorageFormat(broken), repaired);
+    assert.equal(validateStorageFormat(repaired).valid, true);
+  }
+});
+
+test('escapes Link item URLs in ri:url', async () => {
+  const json = simpleExport('doc-1', 'Main Doc', '');
+  json.children = [
+    { detail: { id: 'item-1', itemType: 'Document' }, fields: [{ name: 'Text', value: '<p>Go to <a data-itemid="link-1">the form</a></p>' }] },
+    { detail: { id: 'link-1', itemType: 'Link' }, fields: [{ name: 'URL', value: 'https://example.com/form?a=1&amp;b="2"' }] },
+  ];
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+  assert.equal(res.error, undefined);
+  assert.match(confluence.pages.get(res.page.id).body.storage.value, /<ri:url ri:value="https:\/\/example.com\/form\?a=1&amp;b=&quot;2&quot;"\/>/);
+});
+
+test('refuses to write an invalid body and returns where it is invalid', async () => {
+  await handler('saveProfile', { profile: { name: 'Raw', stages: [] } });
+  const json = simpleExport('doc-1', 'Main Doc', '<p>R&D<br></p>');
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP', profile: 'Raw' });
+  assert.match(res.error, /Storage format for "Main Doc" is invalid \(2 problem\(s\)\)/);
+  assert.deepEqual(res.validationErrors[0].errors.map(e => e.message), ['Unescaped "&" (use &amp;)', '<br> is not closed before </p>']);
+  assert.deepEqual(pageWrites(), []);
+
+  const repaired = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP', profile: 'Raw', autoRepair: true });
+  assert.equal(repaired.error, undefined);
+  assert.match(confluence.pages.get(repaired.page.id).body.storage.value, /<p>R&amp;D<br\/><\/p>/);
+  assert.equal(repaired.validation[0].repaired, true);
+  assert.deepEqual(repaired.validation[0].errors, []);
+});
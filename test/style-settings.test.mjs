@@ -0,0 +1,57 @@
+// Admin style settings: class styles, unit conversions and table attributes
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport } from './fixtures.mjs';
+
+const STYLED = '<p class="alt3">Red</p><p class="warn" style="width: 2cm; font-size: 12pt">W</p>' +
+  '<table width="500" style="width: 10cm"><tbody><tr><td style="background-color: rgb(255, 0, 0)">x</td></tr></tbody></table>';
+
+// The converted body after the details macro
+async function convert(text) {
+  const json = simpleExport('doc-1', 'Main Doc', '');
+  json.children = [{ detail: { id: 'item-1', itemType: 'Document' }, fields: [{ name: 'Text', value: text }] }];
+  const res = await handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP', dryRun: true });
+  return res.storage.split('</ac:structured-macro>').pop().replace(/<\/div>$/, '');
+}
+
+beforeEach(() => reset());
+
+test('applies the default class colours, units and table cleanup', async () => {
+  assert.equal(await convert(STYLED),
+    '<p class="alt3" style="color: red;">Red</p><p class="warn" style="width: 75.60px; font-size: 16.00px">W</p>' +
+    '<table data-layout="default"><tbody><tr><td style="background-color:#ff0000;" data-highlight-colour="#ff0000">x</td></tr></tbody></table>');
+  const { settings, defaults } = await handler('getStyleSettings', {});
+  assert.deepEqual(settings, defaults);
+});
+
+test('converts with the saved settings instead', async () => {
+  const saved = await handler('saveStyleSettings', {
+    settings: {
+      classStyles: [{ className: '.warn', style: 'color: orange' }],
+      unitConversions: [{ unit: 'CM', factor: 10 }],
+      tables: { layout: 'wide', highlightCells: false, stripWidths: false },
+    },
+  });
+  assert.deepEqual(saved.settings.classStyles, [{ className: 'warn', style: 'color: orange' }]);
+  assert.deepEqual(saved.settings.unitConversions, [{ unit: 'cm', factor: 10 }]);
+  assert.equal(await convert(STYLED),
+    '<p class="alt3">Red</p><p class="warn" style="width: 20.00px; font-size: 12pt; color: orange;">W</p>' +
+    '<table width="500" style="width: 100.00px" data-layout="wide"><tbody><tr><td style="background-color:#ff0000;">x</td></tr></tbody></table>');
+
+  // A class style never replaces a property the element sets itself
+  assert.equal(await convert('<p class="warn" style="color: blue">B</p>'), '<p class="warn" style="color: blue">B</p>');
+
+  const back = await handler('saveStyleSettings', { reset: true });
+  assert.deepEqual(back.settings, (await handler('getStyleSettings', {})).defaults);
+});
+
+test('rejects settings it cannot apply', async () => {
+  const save = settings => handler('saveStyleSettings', { settings });
+  assert.match((await save({ classStyles: [{ className: '1bad', style: 'color: red' }] })).error, /Class rule #1: "1bad" is not a CSS class name/);
+  assert.match((await save({ classStyles: [{ className: 'ok', style: 'red' }] })).error, /style must be CSS declarations/);
+  assert.match((await save({ unitConversions: [{ unit: 'px', factor: 1 }] })).error, /Unit rule #1: "px" is not a unit to convert/);
+  assert.match((await save({ unitConversions: [{ unit: 'em', factor: 0 }] })).error, /factor must be a positive number/);
+  assert.match((await save({ tables: { layout: 'huge' } })).error, /Unknown table layout "huge"/);
+});
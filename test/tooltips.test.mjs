@@ -0,0 +1,57 @@
+// External information links: inline info panels, tooltip pages and
+// tooltips that can't be migrated
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, pageTitled } from './fixtures.mjs';
+
+function exportWithTooltips(text) {
+  const json = simpleExport('doc-1', 'Main Doc', text);
+  json.external = {
+    information: [
+      { id: 'ext-1', informationType: 'Tooltip', content: '<p>A short explanation</p>' },
+      { id: 'ext-2', informationType: 'Definition', content: '<p>A definition</p>' },
+      { id: 'ext-3', informationType: 'Image / screenshot', title: 'Screenshot', content: '<p><img itemid="shot-1"></p>' },
+      { id: 'ext-4', informationType: 'Tooltip', content: '' },
+    ],
+  };
+  return json;
+}
+
+beforeEach(() => reset());
+
+const migrate = json => handler('migrateJsonToPage', { json, spaceId: '1', spaceKey: 'SP' });
+const bodyOf = page => confluence.pages.get(page.id).body.storage.value;
+
+test('puts inline info panels after the paragraph holding the link, in link order', async () => {
+  const res = await migrate(exportWithTooltips('<p>See <a data-externalid="ext-1"><strong>this</strong></a> and <a data-externalid="ext-2">that</a> here.</p><p>Next</p>'));
+  assert.equal(res.error, undefined);
+  const body = bodyOf(res.page);
+  assert.match(body, /<p>See <strong>this<\/strong> and that here\.<\/p><ac:structured-macro ac:name="info"><ac:parameter ac:name="title">this<\/ac:parameter><ac:rich-text-body><p>A short explanation<\/p><\/ac:rich-text-body><\/ac:structured-macro><ac:structured-macro ac:name="info"><ac:parameter ac:name="title">that<\/ac:parameter>.*<\/ac:structured-macro><p>Next<\/p>/);
+  // No panel is left inside a paragraph
+  assert.doesNotMatch(body, /<p>(?:(?!<\/p>).)*ac:name="info"/);
+});
+
+test('puts the info panel inside a table cell after the link when there is no paragraph', async () => {
+  const res = await migrate(exportWithTooltips('<table><tbody><tr><td>Cell <a data-externalid="ext-1">term</a></td></tr></tbody></table>'));
+  assert.match(bodyOf(res.page), /<td>Cell term<ac:structured-macro ac:name="info">.*<\/ac:structured-macro><\/td>/);
+});
+
+test('links image tooltips to a tooltip page under the main page', async () => {
+  const res = await migrate(exportWithTooltips('<p>Look at <a data-externalid="ext-3">the screen</a></p>'));
+  assert.equal(res.error, undefined);
+  const tooltipPage = pageTitled('Screenshot');
+  assert.equal(tooltipPage.parentId, res.page.id);
+  assert.match(bodyOf(tooltipPage), /<ri:attachment ri:filename="shot-1.png"\/>/);
+  assert.match(bodyOf(res.page), /<p>Look at <ac:link><ri:page ri:content-title="Screenshot" ri:space-key="SP"\/><ac:plain-text-link-body><!\[CDATA\[the screen\]\]><\/ac:plain-text-link-body><\/ac:link><\/p>/);
+});
+
+test('keeps the link text of tooltips that cannot be migrated and reports them', async () => {
+  const res = await migrate(exportWithTooltips('<p>An <a data-externalid="ext-4">empty</a> and a <a data-externalid="ext-9">missing</a> tooltip</p>'));
+  assert.match(bodyOf(res.page), /<p>An empty and a missing tooltip<\/p>/);
+  assert.deepEqual(res.report.sections.droppedTooltips.map(t => [t.itemId, t.detail]), [
+    ['ext-4', 'External information entry has no content'],
+    ['ext-9', 'No external information entry with this id'],
+  ]);
+});
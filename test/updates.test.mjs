@@ -0,0 +1,96 @@
+// Updates of a page an earlier run created: the diff shown before the
+// write, and what happens when an editor changed the page since then
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, confluence } from '@forge/api';
+import { handler } from '../src/index.js';
+import { simpleExport, editPage, pageWrites } from './fixtures.mjs';
+
+function exportWithText(text) {
+  const json = simpleExport('doc-1', 'Main Doc', '');
+  json.children = [{ detail: { id: 'item-1', itemType: 'Document' }, fields: [{ name: 'Text', value: text }] }];
+  return json;
+}
+
+const migrate = (text, options = {}) => handler('migrateJsonToPage', { json: exportWithText(text), spaceId: '1', spaceKey: 'SP', ...options });
+const bodyOf = id => confluence.pages.get(id).body.storage.value;
+
+// The first migration, then an editor adding a paragraph after "One"
+async function migratedAndEdited() {
+  const first = await migrate('<p>One</p><p>Two</p>');
+  editPage(first.page.id, bodyOf(first.page.id).replace('<p>One</p>', '<p>One</p><p>Editor note</p>'));
+  return first;
+}
+
+beforeEach(() => reset());
+
+test('previews an update as a block diff without writing it', async () => {
+  const first = await migrate('<p>One</p><p>Two</p>');
+  const writes = pageWrites().length;
+  const res = await migrate('<p>One</p><p>Two changed</p>', { dryRun: true });
+  assert.equal(res.error, undefined);
+  assert.equal(res.update.pageId, first.page.id);
+  assert.equal(res.update.conflict, null);
+  assert.deepEqual(res.update.diff.changes.filter(c => c.type !== 'unchanged'), [
+    { type: 'removed', block: '<p>Two</p>' },
+    { type: 'added', block: '<p>Two changed</p>' },
+  ]);
+  assert.equal(pageWrites().length, writes);
+});
+
+test('refuses to overwrite an edited page without a conflict policy', async () => {
+  const first = await migratedAndEdited();
+  const writes = pageWrites().length;
+  const res = await migrate('<p>One</p><p>Two changed</p>');
+  assert.match(res.error, /was edited since the last migration \(version 1, now 2\); choose overwrite, skip or merge/);
+  assert.deepEqual(res.update.conflict, { editedBy: 'editor-1', editedAt: '2026-01-02T00:00:00.000Z' });
+  assert.equal(pageWrites().length, writes);
+  assert.match(bodyOf(first.page.id), /Editor note/);
+  assert.match((await migrate('<p>x</p>', { conflictPolicy: 'ignore' })).error, /Unknown conflict policy "ignore"/);
+});
+
+test('leaves an edited page alone with the skip policy', async () => {
+  const first = await migratedAndEdited();
+  const res = await migrate('<p>One</p><p>Two changed</p>', { conflictPolicy: 'skip' });
+  assert.equal(res.action, 'skipped');
+  assert.deepEqual(res.update.diff.changes.filter(c => c.type !== 'unchanged'), []);
+  assert.equal(confluence.pages.get(first.page.id).version.number, 2);
+});
+
+test('replaces the editor\'s changes with the overwrite policy', async () => {
+  const first = await migratedAndEdited();
+  const res = await migrate('<p>One</p><p>Two changed</p>', { conflictPolicy: 'overwrite' });
+  assert.equal(res.action, 'updated');
+  assert.equal(confluence.pages.get(first.page.id).version.number, 3);
+  assert.doesNotMatch(bodyOf(first.page.id), /Editor note/);
+  assert.match(bodyOf(first.page.id), /<p>One<\/p><p>Two changed<\/p>/);
+});
+
+test('keeps the editor\'s changes next to ours with the merge policy', async () => {
+  const first = await migrate('<p>One</p><p>Two</p><p>Three</p>');
+  editPage(first.page.id, bodyOf(first.page.id).replace('<p>One</p>', '<p>One</p><p>Editor note</p>'));
+  const res = await migrate('<p>One</p><p>Two</p><p>Three changed</p>', { conflictPolicy: 'merge' });
+  assert.equal(res.action, 'updated');
+  assert.deepEqual(res.update.mergeConflicts, []);
+  assert.match(bodyOf(first.page.id), /<p>One<\/p>\s*<p>Editor note<\/p>\s*<p>Two<\/p>\s*<p>Three changed<\/p>/);
+  // The merged version is ours now, so the next run is not a conflict
+  const again = await migrate('<p>One</p><p>Two again</p>');
+  assert.equal(again.error, undefined);
+  assert.equal(again.update.conflict, null);
+});
+
+test('keeps the editor\'s blocks where both sides changed the same place', async () => {
+  const first = await migratedAndEdited();
+  const res = await migrate('<p>One</p><p>Two changed</p>', { conflictPolicy: 'merge' });
+  assert.deepEqual(res.update.mergeConflicts, [{ current: ['<p>Editor note</p>', '<p>Two</p>'], next: ['<p>Two changed</p>'] }]);
+  assert.match(bodyOf(first.page.id), /<p>One<\/p>\s*<p>Editor note<\/p>\s*<p>Two<\/p><\/div>/);
+});
+
+test('refuses an update when the page changed after its diff was reviewed', async () => {
+  const first = await migrate('<p>One</p><p>Two</p>');
+  const preview = await migrate('<p>One</p><p>Two changed</p>', { dryRun: true });
+  editPage(first.page.id, bodyOf(first.page.id));
+  const res = await migrate('<p>One</p><p>Two changed</p>', { conflictPolicy: 'overwrite', expectedVersion: preview.update.currentVersion });
+  assert.match(res.error, /now at version 2, not the version 1 that was reviewed/);
+  assert.equal(confluence.pages.get(first.page.id).version.number, 2);
+});